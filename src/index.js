@@ -15,5 +15,16 @@ export {
 // };
 
 */
-import FnDatabaseAdapter from './modules/adaptors/FnDB.js';
-export {FnDatabaseAdapter};
\ No newline at end of file
+import FnDatabaseAdapter, { createDatabaseAdapter } from './modules/adaptors/FnDB.js';
+import {
+    FnError, NotFoundError, ConflictError, ValidationError, UnauthorizedError, RateLimitedError, UnavailableError, TimeoutError, CircuitOpenError, PaymentProviderError, CardDeclinedError,
+} from './modules/errors.js';
+import { migrateCollection, exportCollection, importCollection, fileCheckpoint } from './modules/adaptors/FnMigration.js';
+export {FnDatabaseAdapter, createDatabaseAdapter, migrateCollection, exportCollection, importCollection, fileCheckpoint};
+export {FnError, NotFoundError, ConflictError, ValidationError, UnauthorizedError, RateLimitedError, UnavailableError, TimeoutError, CircuitOpenError, PaymentProviderError, CardDeclinedError};
+import { configureLogging, createLogger, DEFAULT_REDACTED_FIELDS, LOG_LEVELS } from './modules/logger.js';
+export {configureLogging, createLogger, DEFAULT_REDACTED_FIELDS, LOG_LEVELS};
+import { createResiliencePolicy, DEFAULT_POLICIES } from './modules/resilience.js';
+export {createResiliencePolicy, DEFAULT_POLICIES};
+import { configureTelemetry } from './modules/telemetry.js';
+export {configureTelemetry};
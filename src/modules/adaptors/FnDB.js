@@ -1,127 +1,1338 @@
-import { DATABASE_TYPE, DEFAULT_CACHE_EXPIRY } from './config.js';
-import redisService from './RedisService.js';
+import { DATABASE_TYPE, CACHE_TYPE, CACHE_KEY_PREFIX, CACHE_POLICIES, KEY_SCHEMAS, TENANCY, DOCUMENT_POLICIES, DEFAULT_CACHE_EXPIRY, DEFAULT_NEGATIVE_CACHE_EXPIRY, DEFAULT_PAGE_SIZE, WATCH_POLL_INTERVAL, RESILIENCE } from './config.js';
+import { createCacheStore, withCacheBypass, withKeyPrefix } from '../database/CACHE/cacheStore.js';
+import { hashQuery, isPortableQuery, normalizeQuery, projectDocument } from '../database/query.js';
+import { normalizeUpdate } from '../database/update.js';
+import { ConflictError, UnavailableError, ValidationError, isCallerError } from '../database/errors.js';
+import { assertKey, formatKey, keyFromItem, normalizeKeySchema } from '../database/keySchema.js';
+import { coerceDocument, normalizeSchema, prepareUpdate, prepareWrite } from '../database/schema.js';
+import { pollChanges } from '../database/watch.js';
+import { DELETED_FIELD, EXPIRY_FIELD, isDeleted, isExpired, secondsUntilExpiry, storedExpiry, toExpiryDate } from '../database/lifecycle.js';
+import { FnTenantView, normalizeTenancy } from './FnTenant.js';
+import { FnMiddlewarePipeline } from './FnMiddleware.js';
+import { createLogger, elapsed } from '../logger.js';
+import { createResiliencePolicy, withPolicy } from '../resilience.js';
+import { probe, summarize } from '../health.js';
+import { instrumentService, recordCacheLookups, traceAdapterOperation } from '../telemetry.js';
+import { setTimeout as sleep } from 'timers/promises';
+
+// Backend modules are imported on first use, so only the selected SDKs are loaded.
+const DATABASE_SERVICES = {
+    mongodb: { path: '../database/MONGO/FnMongo.js', className: 'FnMongoService' },
+    firestore: { path: '../database/GCP/FnFirestore.js', className: 'FnFirestoreService' },
+    redis: { path: '../database/CACHE/FnRedisDatabase.js', className: 'FnRedisDatabaseService' },
+    dynamodb: { path: '../database/AWS/FnDynamoDB.js', className: 'FnDynamoDBService' },
+    memory: { path: '../database/MEMORY/FnMemory.js', className: 'FnMemoryService' },
+};
+
+// The backend calls run under the database's resilience policy, and are traced (see ../telemetry.js). Writes are only retried when
+// the backend rejected them unapplied; a transaction gets no timeout, since it would keep running.
+const BACKEND_OPERATIONS = {
+    get: {},
+    getMany: {},
+    fetch: {},
+    fetchPage: {},
+    keySchema: {},
+    set: { idempotent: false },
+    update: { idempotent: false },
+    delete: { idempotent: false },
+    deleteMany: { idempotent: false },
+    batch: { idempotent: false },
+    configureExpiry: { idempotent: false },
+    transaction: { idempotent: false, timeout: 0 },
+};
+
+// How long close() waits for in-flight operations by default, in ms.
+const CLOSE_TIMEOUT = 10000;
+
+// Backends whose set replaces the stored document instead of merging into it.
+const REPLACING_DATABASES = ['dynamodb', 'redis'];
+
+// Cached in place of a missing document, so repeated lookups of it skip the database too.
+const NOT_FOUND_MARKER = { __fnNotFound: true };
+
+const isNotFoundMarker = data => Boolean(data && data.__fnNotFound === true);
+
+const log = createLogger('adapter');
+
+/**
+ * Loads a backend module and returns its shared instance, or a new instance when options are given.
+ * @param {string} type - The database type, e.g. 'dynamodb'.
+ * @param {object} [options] - Constructor options; undefined selects the module's shared instance.
+ * @returns {Promise<object>} The backend service.
+ */
+async function loadDatabaseService(type, options) {
+    const service = DATABASE_SERVICES[type];
+    if (!service) {
+        throw new Error(`Unsupported database type: ${type}`);
+    }
+    const serviceModule = await import(service.path);
+    return options === undefined ? serviceModule.default : new serviceModule[service.className](options);
+}
 
 class FnDatabaseAdapter {
     #dbInstance;
+    #cache;
+    #type;
+    #options;
+    #cacheConfig;
+    #cacheKeyPrefix;
+    #cachePolicies;
+    #keySchemas;
+    #resolvedKeySchemas = new Map();
+    #schemas = new Map();
+    #tenancy;
+    #tenantCollections = new Map();
+    #documentPolicies;
+    #middleware = new FnMiddlewarePipeline();
+    #databaseResilience;
+    #cacheResilience;
+    #inflight = new Set();
+    #watchers = new Set();
+    #closing;
+    #initializing;
+    #inflightLoads = new Map();
+    #loadGenerations = new Map();
+    #queryGenerations = new Map();
+
+    /**
+     * @param {object} [config={}] - Adapter configuration.
+     * @param {string} [config.type] - The database type; defaults to DATABASE_TYPE.
+     * @param {object} [config.options] - Client options for a dedicated backend instance. When
+     *   omitted, the backend module's shared, environment-configured instance is used.
+     * @param {string|object} [config.cache] - A cache store, a cache type, `{ type, options }` or
+     *   `{ type: 'tiered', tiers }` (see ../database/CACHE/cacheStore.js); defaults to CACHE_TYPE.
+     * @param {string} [config.cacheKeyPrefix] - A prefix for every cache key; defaults to CACHE_KEY_PREFIX, else
+     *   'cache:' on a redis database, whose documents would otherwise share their keys with the cache's entries.
+     * @param {object} [config.cachePolicies] - Per-collection `{ ttl, negativeTtl }` in seconds, plus an
+     *   optional `default` entry; defaults to CACHE_POLICIES. `negativeTtl: 0` disables caching of misses.
+     * @param {object} [config.keySchemas] - Per-collection key schemas (see ../database/keySchema.js), e.g.
+     *   `{ orders: { partitionKey: 'customerId', sortKey: 'orderId' } }`; defaults to KEY_SCHEMAS. Undeclared
+     *   collections are keyed by document ID, or by the table's own key schema on DynamoDB.
+     * @param {object} [config.schemas] - Per-collection document schemas (see ../database/schema.js); see registerSchema().
+     * @param {object} [config.tenancy] - How forTenant() isolates tenants (see ./FnTenant.js), e.g. `{ scheme: 'partition' }`;
+     *   defaults to TENANCY.
+     * @param {object} [config.documentPolicies] - Per-collection document lifecycles (see ../database/lifecycle.js):
+     *   `{ ttl }` in seconds sets expiresAt on every set, `{ softDelete: true }` makes delete() tombstone
+     *   documents with deletedAt; defaults to DOCUMENT_POLICIES.
+     * @param {object} [config.resilience] - Timeout, retry and circuit-breaker policies (see ../resilience.js) as
+     *   `{ database, cache }`, overriding RESILIENCE and the defaults; `false` disables one. A cache that fails
+     *   or times out is bypassed.
+     */
+    constructor({
+        type = DATABASE_TYPE,
+        options,
+        cache = CACHE_TYPE,
+        cacheKeyPrefix = CACHE_KEY_PREFIX ?? (type === 'redis' ? 'cache:' : ''),
+        cachePolicies = CACHE_POLICIES,
+        keySchemas = KEY_SCHEMAS,
+        schemas = {},
+        tenancy = TENANCY,
+        documentPolicies = DOCUMENT_POLICIES,
+        resilience = RESILIENCE,
+    } = {}) {
+        for (const [collection, schema] of Object.entries(keySchemas)) {
+            normalizeKeySchema(collection, schema);
+            if (Boolean(schema.partitionKey) !== (type === 'dynamodb')) {
+                throw new Error(`The key schema of collection "${collection}" does not fit a ${type} database: only DynamoDB tables have partition and sort keys.`);
+            }
+        }
+        const cacheType = typeof cache === 'string' ? cache : cache?.type;
+        if (type === 'redis' && !cacheKeyPrefix && ['redis', 'redis-standalone'].includes(cacheType)) {
+            throw new Error('A redis cache in front of a redis database needs a cacheKeyPrefix (or CACHE_KEY_PREFIX), so cache entries do not overwrite documents.');
+        }
+        this.#type = type;
+        this.#options = options;
+        this.#cacheConfig = cache;
+        this.#cacheKeyPrefix = cacheKeyPrefix;
+        this.#cachePolicies = cachePolicies;
+        this.#keySchemas = keySchemas;
+        this.#tenancy = normalizeTenancy(tenancy, type);
+        for (const [collection, { ttl } = {}] of Object.entries(documentPolicies)) {
+            if (ttl !== undefined && (!Number.isFinite(ttl) || ttl <= 0)) {
+                throw new Error(`The ttl of collection "${collection}" must be a positive number of seconds, got ${ttl}.`);
+            }
+        }
+        this.#documentPolicies = documentPolicies;
+        this.#databaseResilience = createResiliencePolicy('database', resilience.database, type);
+        this.#cacheResilience = createResiliencePolicy('cache', resilience.cache);
+        for (const [collection, schema] of Object.entries(schemas)) {
+            this.registerSchema(collection, schema);
+        }
+    }
+
+    /**
+     * Validates every write to a collection against a schema (see ../database/schema.js).
+     * Invalid writes throw a ValidationError listing each problem, before the backend is called.
+     * A schema can also fill in defaults and createdAt/updatedAt, and make reads return dates in
+     * one form whatever the backend stores.
+     * @example
+     * adapter.registerSchema('users', {
+     *     fields: { email: { type: 'string', required: true }, plan: { type: 'string', enum: ['free', 'pro'], default: 'free' } },
+     *     timestamps: true,
+     *     readDates: 'iso',
+     * });
+     * @param {string} collection - The name of the collection.
+     * @param {object} schema - The schema.
+     */
+    registerSchema(collection, schema) {
+        this.#schemas.set(collection, normalizeSchema(collection, schema));
+    }
+
+    /**
+     * Adds middleware around this adapter's operations (see ./FnMiddleware.js), for every
+     * collection or only the given ones. Hooks see each operation's arguments and result the
+     * same way whether it was served from the cache or the backend:
+     *   beforeGet / afterGet: get and getMany; afterGet receives each document that was found;
+     *   beforeSet / afterSet: set, update (whose context has `ops` instead of `data`), and the
+     *     sets of a batch (before only, with operation 'batch');
+     *   beforeFetch / afterFetch: fetch, and fetchPage for each page of iterate; afterFetch
+     *     receives the array of documents;
+     *   beforeDelete: delete, deleteMany (whose context has `query` instead of `key`), and the
+     *     deletes of a batch.
+     * A transaction's `tx.get`, `tx.set` and `tx.delete` run the same hooks, with operation
+     * 'transaction', and watch() runs afterGet on each event's document, with operation 'watch'.
+     * Tenant key mapping happens outside middleware: a tenant view's operations reach the hooks
+     * with the physical collection and key. Results may be shared
+     * with concurrent reads, so after hooks should return a changed copy instead of mutating.
+     * @example
+     * adapter.use('users', {
+     *     beforeSet: ({ data }) => { if (data?.role === 'root') throw new Error('Not allowed.'); },
+     *     afterGet: user => ({ ...user, ssn: '***' }),
+     * });
+     * @param {string|Array<string>|object} collections - The collection(s) to apply to; omit to apply to all.
+     * @param {object} [middleware] - The hooks.
+     * @returns {Function} Removes the middleware again.
+     */
+    use(collections, middleware) {
+        if (middleware === undefined) {
+            return this.#middleware.use(undefined, collections);
+        }
+        return this.#middleware.use(Array.isArray(collections) ? collections : [collections], middleware);
+    }
+
+    /**
+     * The database type this adapter talks to, e.g. 'firestore'.
+     * @returns {string}
+     */
+    get type() {
+        return this.#type;
+    }
+
+    /**
+     * Returns a view of this adapter restricted to one tenant, with the same methods. Collections
+     * and keys are mapped into the tenant's namespace by the configured tenancy scheme (a
+     * collection prefix, a partition-key prefix or a Firestore subcollection), cache keys follow,
+     * and access that could reach another tenant's data is rejected. Schemas, key schemas and
+     * cache policies declared for a collection apply to every tenant's copy of it.
+     * @example
+     * const acme = adapter.forTenant('acme');
+     * await acme.set('users', 'u1', { name: 'Ada' }); // stored in acme.users with the default prefix scheme
+     * @param {string} tenantId - The tenant: letters, digits, "-" and "_".
+     * @returns {FnTenantView} The tenant's view.
+     */
+    forTenant(tenantId) {
+        return new FnTenantView(this, tenantId, this.#tenancy, {
+            keySchema: async collection => {
+                if (!this.#dbInstance) await this.initialize();
+                return this.#keySchema(collection);
+            },
+            registerCollection: (physical, logical) => this.#tenantCollections.set(physical, logical),
+        });
+    }
+
+    /**
+     * The name a collection's configuration (schema, key schema, cache policy) is declared under:
+     * tenant views use physical names such as `acme.users` for the declared `users`.
+     * @param {string} collection - The collection name, possibly a tenant's physical name.
+     * @returns {string} The declared name.
+     */
+    #configName(collection) {
+        return this.#tenantCollections.get(collection) ?? collection;
+    }
+
+    /**
+     * The fields a schema always accepts besides its own: the key attributes, the lifecycle
+     * fields, and the tenant marker of the partition tenancy scheme.
+     * @param {object} keySchema - The collection's key schema.
+     * @returns {Array<string>} The field names.
+     */
+    #systemFields(keySchema) {
+        return [
+            keySchema.partitionKey,
+            keySchema.sortKey,
+            keySchema.idField,
+            EXPIRY_FIELD,
+            DELETED_FIELD,
+            this.#tenancy.scheme === 'partition' ? this.#tenancy.tenantField : undefined,
+        ].filter(Boolean);
+    }
+
+    /**
+     * Resolves a collection's key schema: the declared one, else the DynamoDB table's own,
+     * else keying by document ID in `_id` (MongoDB) or `id` (every other backend).
+     * Needs the backend, so call it after initialize().
+     * @param {string} collection - The name of the collection.
+     * @returns {Promise<object>} The key schema.
+     */
+    async #keySchema(collection) {
+        if (!this.#resolvedKeySchemas.has(collection)) {
+            let schema = this.#keySchemas[this.#configName(collection)];
+            if (!schema) {
+                schema = typeof this.#dbInstance.keySchema === 'function'
+                    ? await this.#dbInstance.keySchema(collection)
+                    : { idField: this.#type === 'mongodb' ? '_id' : 'id' };
+            }
+            this.#resolvedKeySchemas.set(collection, schema);
+        }
+        return this.#resolvedKeySchemas.get(collection);
+    }
+
+    /**
+     * Builds the `collection:id` cache key of a document key, rejecting keys that do not fit the
+     * collection's key schema. A partition and sort key pair becomes `collection:["pk","sk"]`.
+     * @param {string} collection - The name of the collection.
+     * @param {object|string} key - The document ID or primary key object.
+     * @returns {Promise<string>} The cache key.
+     */
+    async #buildCacheKey(collection, key) {
+        return `${collection}:${formatKey(collection, await this.#keySchema(collection), key)}`;
+    }
+
+    /**
+     * Converts a Date to the form the backend stores dates in: ISO strings on DynamoDB, whose
+     * document client cannot marshal Dates, and native dates everywhere else.
+     * @param {Date} date - The date.
+     * @returns {Date|string} The stored form.
+     */
+    #storeDate(date) {
+        return this.#type === 'dynamodb' ? date.toISOString() : date;
+    }
+
+    /**
+     * Applies the collection schema's read coercion to a document about to be returned.
+     * @param {string} collection - The name of the collection.
+     * @param {object|null} doc - The document, from the backend or the cache.
+     * @returns {object|null} The document as the caller sees it.
+     */
+    #present(collection, doc) {
+        const schema = this.#schemas.get(this.#configName(collection));
+        return schema ? coerceDocument(schema, doc) : doc;
+    }
+
+    /**
+     * Resolves a collection's document lifecycle.
+     * @param {string} collection - The name of the collection.
+     * @returns {{ ttl: number|undefined, softDelete: boolean }}
+     */
+    #documentPolicy(collection) {
+        return { ttl: undefined, softDelete: false, ...this.#documentPolicies[this.#configName(collection)] };
+    }
+
+    /**
+     * Prepares a document for a read's caller: hidden (null) when it has expired, even if the
+     * backend has not purged it yet, or when it is soft-deleted and `includeDeleted` is not set.
+     * @param {string} collection - The name of the collection.
+     * @param {object|null} doc - The document, from the backend or the cache.
+     * @param {boolean} [includeDeleted=false] - Return soft-deleted documents too.
+     * @returns {object|null} The document as the caller sees it, or null.
+     */
+    #reveal(collection, doc, includeDeleted = false) {
+        if (!doc || isExpired(doc)) return null;
+        if (!includeDeleted && this.#documentPolicy(collection).softDelete && isDeleted(doc)) return null;
+        return this.#present(collection, doc);
+    }
+
+    /**
+     * Sets the stored expiresAt of a document about to be written: the `expiresAt` write option,
+     * else one already in the data (read as stored: a date, or epoch seconds), else the
+     * collection's ttl from now. Soft-deleted documents are revived by a set, so deletedAt is
+     * cleared unless the data sets it.
+     * @param {string} collection - The name of the collection.
+     * @param {object} data - The data to write.
+     * @param {Date|string|number|null} [expiresAt] - The requested expiry: a Date, an ISO string or
+     *   epoch milliseconds; null for none.
+     * @returns {object} The data to write.
+     */
+    #applyLifecycle(collection, data, expiresAt) {
+        const { ttl, softDelete } = this.#documentPolicy(collection);
+        const prepared = { ...data };
+        if (softDelete && !(DELETED_FIELD in data)) {
+            prepared[DELETED_FIELD] = null;
+        }
+
+        let date;
+        if (expiresAt !== undefined) {
+            date = expiresAt === null ? null : new Date(expiresAt);
+        } else if (data[EXPIRY_FIELD] !== undefined) {
+            date = data[EXPIRY_FIELD] === null ? null : toExpiryDate(data[EXPIRY_FIELD]) ?? new Date(NaN);
+        } else if (ttl !== undefined) {
+            date = new Date(Date.now() + ttl * 1000);
+        } else {
+            return prepared;
+        }
+        if (date && Number.isNaN(date.getTime())) {
+            throw new ValidationError(`Invalid expiresAt for collection "${collection}": ${expiresAt ?? data[EXPIRY_FIELD]}.`);
+        }
+        prepared[EXPIRY_FIELD] = date && storedExpiry(date, this.#type);
+        return prepared;
+    }
+
+    /**
+     * Caches a document for the given TTL, or less if the document expires sooner.
+     * @param {string} cacheKey - The cache key.
+     * @param {object} doc - The document.
+     * @param {number} ttl - The TTL in seconds.
+     * @returns {Promise<number>} The TTL used; 0 if the document was not cached because it has expired.
+     */
+    async #cacheDocument(cacheKey, doc, ttl) {
+        const remaining = secondsUntilExpiry(doc);
+        const expiry = remaining === undefined ? ttl : Math.min(ttl, remaining);
+        if (expiry > 0) {
+            await this.#cache.set(cacheKey, doc, expiry);
+            return expiry;
+        }
+        await this.#cache.delete(cacheKey);
+        return 0;
+    }
+
+    /**
+     * The update operation that soft-deletes a document.
+     * @returns {object} A `set` of deletedAt to now.
+     */
+    #tombstone() {
+        return { op: 'set', field: DELETED_FIELD, value: this.#storeDate(new Date()) };
+    }
+
+    /**
+     * The key of a document read from a collection, as the adapter methods take it.
+     * @param {string} collection - The name of the collection.
+     * @param {object} keySchema - The collection's key schema.
+     * @param {object} doc - The document, with its key fields.
+     * @returns {object|string} The document ID or primary key object.
+     */
+    #keyOf(collection, keySchema, doc) {
+        return keySchema.idField ? doc[keySchema.idField] : keyFromItem(collection, keySchema, doc);
+    }
+
+    /**
+     * The tag under which a collection's cached fetch results are indexed.
+     * @param {string} collection - The name of the collection.
+     * @returns {string} The tag.
+     */
+    #queryTag(collection) {
+        return `${collection}:queries`;
+    }
+
+    /**
+     * Drops every cached fetch result of the given collections, after a write to them.
+     * @param {Iterable<string>} collections - The written collections.
+     * @returns {Promise<void>}
+     */
+    async #invalidateQueries(collections) {
+        if (typeof this.#cache.invalidateTag !== 'function') return;
+        await Promise.all([...new Set(collections)].map(collection => {
+            // Bumped first, so a fetch already in flight does not cache what it read before this write.
+            this.#queryGenerations.set(collection, (this.#queryGenerations.get(collection) ?? 0) + 1);
+            return this.#cache.invalidateTag(this.#queryTag(collection));
+        }));
+    }
+
+    /**
+     * Starts tracking database reads whose results are to be cached. Writes to the same documents
+     * meanwhile bump the keys' generation (see #documentsWritten), so a read a write overtook does
+     * not cache what it read before it, as #queryGenerations does for fetch. Keys are only tracked
+     * while a load of them runs.
+     * @param {Iterable<string>} cacheKeys - The cache keys of the documents being read.
+     * @returns {{ current: Function, done: Function }} `current(cacheKey)` tells whether the key is
+     *   unwritten since; `done()` ends the tracking.
+     */
+    #trackLoads(cacheKeys) {
+        const started = new Map();
+        for (const cacheKey of cacheKeys) {
+            const entry = this.#loadGenerations.get(cacheKey) ?? { loads: 0, generation: 0 };
+            entry.loads += 1;
+            this.#loadGenerations.set(cacheKey, entry);
+            started.set(cacheKey, entry.generation);
+        }
+        return {
+            current: cacheKey => this.#loadGenerations.get(cacheKey)?.generation === started.get(cacheKey),
+            done: () => {
+                for (const cacheKey of started.keys()) {
+                    const entry = this.#loadGenerations.get(cacheKey);
+                    entry.loads -= 1;
+                    if (entry.loads === 0) this.#loadGenerations.delete(cacheKey);
+                }
+            },
+        };
+    }
+
+    /**
+     * Marks documents as written, once the write reached the database and before the cache is
+     * updated, so loads of them already in flight skip their write-back.
+     * @param {Iterable<string>} cacheKeys - The cache keys of the written documents.
+     */
+    #documentsWritten(cacheKeys) {
+        for (const cacheKey of cacheKeys) {
+            const entry = this.#loadGenerations.get(cacheKey);
+            if (entry) entry.generation += 1;
+        }
+    }
+
+    /**
+     * Resolves the cache TTLs for a collection.
+     * @param {string} collection - The name of the collection.
+     * @returns {{ ttl: number, negativeTtl: number }} TTLs in seconds.
+     */
+    #cachePolicy(collection) {
+        return {
+            ttl: DEFAULT_CACHE_EXPIRY,
+            negativeTtl: DEFAULT_NEGATIVE_CACHE_EXPIRY,
+            ...this.#cachePolicies.default,
+            ...this.#cachePolicies[this.#configName(collection)],
+        };
+    }
+
+    /**
+     * Validates a batch or transaction write against the collection's schema, if it has one.
+     * The stored document is unknown there, so only the checks that need no read are applied.
+     * The collection's expiry and soft-delete fields are applied as they are by set().
+     * @param {string} collection - The name of the collection.
+     * @param {object} data - The data to write.
+     * @returns {object} The data to write.
+     */
+    #preparePartialWrite(collection, data) {
+        data = this.#applyLifecycle(collection, data);
+        const schema = this.#schemas.get(this.#configName(collection));
+        if (!schema) return data;
+        const keySchema = this.#resolvedKeySchemas.get(collection) ?? this.#keySchemas[this.#configName(collection)] ?? {};
+        return prepareWrite(collection, schema, data, {
+            existing: undefined,
+            allowedFields: this.#systemFields(keySchema),
+            storeDate: date => this.#storeDate(date),
+        });
+    }
+
+    /**
+     * Runs an operation and logs its outcome and duration: completions at debug level, failures
+     * at warn when the call itself was at fault (see isCallerError) and at error otherwise.
+     * @param {string} operation - The operation, e.g. 'get'.
+     * @param {object} fields - Fields to log with it, e.g. `{ collection }`.
+     * @param {Function} run - The operation.
+     * @returns {Promise<*>} The operation's result.
+     */
+    async #observe(operation, fields, run) {
+        this.#assertOpen();
+        const started = performance.now();
+        const pending = traceAdapterOperation(this.#type, operation, fields.collection, run);
+        this.#inflight.add(pending);
+        try {
+            const result = await pending;
+            log.debug('Database operation completed', { operation, ...fields, database: this.#type, durationMs: elapsed(started) });
+            return result;
+        } catch (error) {
+            const level = isCallerError(error) ? 'warn' : 'error';
+            log[level]('Database operation failed', { operation, ...fields, database: this.#type, durationMs: elapsed(started), error });
+            throw error;
+        } finally {
+            this.#inflight.delete(pending);
+        }
+    }
+
+    #assertOpen() {
+        if (this.#closing) {
+            throw new UnavailableError('The database adapter is closed.', { backend: this.#type, retryable: false });
+        }
+    }
+
+    /**
+     * Reports whether the database and the cache answer, and how fast (see ../health.js). The
+     * status is 'degraded' when only the cache is down, since reads then bypass it, and 'down'
+     * when the database is, or once the adapter is closed.
+     * @example
+     * app.get('/readyz', async (req, res) => {
+     *     const health = await adapter.healthCheck();
+     *     res.status(health.status === 'down' ? 503 : 200).json(health);
+     * });
+     * @param {object} [options={}] - { timeout: ms each dependency gets to answer }.
+     * @returns {Promise<{ status: string, dependencies: { database: object, cache: object } }>}
+     */
+    async healthCheck({ timeout } = {}) {
+        const cacheName = typeof this.#cacheConfig === 'string' ? this.#cacheConfig : this.#cacheConfig?.type ?? 'custom';
+        const [database, cache] = await Promise.all([
+            probe(this.#type, async () => {
+                this.#assertOpen();
+                if (!this.#dbInstance) await this.initialize();
+                await this.#dbInstance.ping?.();
+            }, { timeout, breaker: this.#databaseResilience.breaker }),
+            probe(cacheName, async () => {
+                this.#assertOpen();
+                if (!this.#cache) await this.initialize();
+                await this.#cache.ping?.();
+            }, { timeout, breaker: this.#cacheResilience.breaker }),
+        ]);
+        return summarize({ database, cache }, ['cache']);
+    }
+
+    /**
+     * Shuts the adapter down: new operations are refused with an UnavailableError, the ones in
+     * flight are waited for (up to `timeout`), every watch is stopped and the database and cache
+     * clients are closed. The default adapter uses the backends' shared clients, so closing it
+     * closes them for every adapter that shares them.
+     * @example
+     * process.on('SIGTERM', async () => {
+     *     await adapter.close();
+     *     process.exit(0);
+     * });
+     * @param {object} [options={}] - { timeout: ms to wait for in-flight operations (default 10000) }.
+     * @returns {Promise<void>} Resolves once the clients are closed; repeated calls share it.
+     */
+    async close({ timeout = CLOSE_TIMEOUT } = {}) {
+        this.#closing ??= this.#shutdown(timeout);
+        return this.#closing;
+    }
+
+    async #shutdown(timeout) {
+        if (this.#inflight.size > 0) {
+            const drained = await Promise.race([
+                Promise.allSettled([...this.#inflight]).then(() => true),
+                sleep(timeout, false, { ref: false }),
+            ]);
+            if (!drained) {
+                log.warn('Closing with operations still in flight', { database: this.#type, inflight: this.#inflight.size, timeout });
+            }
+        }
+        await Promise.allSettled([...this.#watchers].map(stop => stop()));
+        this.#watchers.clear();
+        await this.#initializing?.catch(() => {});
+
+        const results = await Promise.allSettled([this.#dbInstance?.close?.(), this.#cache?.close?.()]);
+        for (const { status, reason } of results) {
+            if (status === 'rejected') {
+                log.error('Failed to close a client', { database: this.#type, error: reason });
+            }
+        }
+        log.info('Database adapter closed', { database: this.#type });
+    }
 
     async initialize() {
         if (!this.#dbInstance) {
-            try {
-                let serviceModule;
-                if (DATABASE_TYPE === 'mongodb') {
-                    serviceModule = await import('../database/MONGO/FnMongo.js');
-                } else if (DATABASE_TYPE === 'firestore') {
-                    serviceModule = await import('../database/GCP/FnFirestore.js');
-                } else if (DATABASE_TYPE === 'redis') {
-                    serviceModule = await import('../database/CACHE/FnRedis.js');
-                } else if (DATABASE_TYPE === 'dynamodb') {
-                    serviceModule = await import('../database/AWS/FnDynamoDB.js');
-                } else {
-                    throw new Error(`Unsupported database type: ${DATABASE_TYPE}`);
+            // Concurrent first calls share one initialization instead of creating several clients.
+            this.#initializing = this.#initializing || (async () => {
+                try {
+                    // A shared adapter shares the cache too; a dedicated one gets its own connection.
+                    const cache = await createCacheStore(this.#cacheConfig, { shared: this.#options === undefined });
+                    this.#cache = withCacheBypass(withKeyPrefix(cache, this.#cacheKeyPrefix), this.#cacheResilience);
+                    const service = await loadDatabaseService(this.#type, this.#options);
+                    this.#dbInstance = withPolicy(instrumentService(service, this.#type, BACKEND_OPERATIONS), this.#databaseResilience, BACKEND_OPERATIONS);
+                } catch (error) {
+                    this.#initializing = undefined;
+                    throw error;
                 }
-                this.#dbInstance = serviceModule.default;
-            } catch (error) {
-                console.error('Failed to initialize database service:', error);
-                throw error;
-            }
+            })();
+            await this.#initializing;
         }
     }
 
     /**
      * Gets a single document by key from a collection, with configurable caching.
+     * Concurrent cached reads of the same missing key share one database read, and a
+     * document that does not exist is remembered for the collection's `negativeTtl`.
+     * Expired documents read as null, and so do soft-deleted ones unless `includeDeleted` is set.
      * @param {string} collection - The name of the collection.
      * @param {object|string} key - The document ID (for Mongo/Firestore/Redis) or primary key object (for DynamoDB).
-     * @param {object} [options={}] - Optional cache settings: { useCache: boolean, cacheExpiry: number }.
+     * @param {object} [options={}] - Optional settings: { useCache: boolean, cacheExpiry: number, includeDeleted: boolean }.
+     *   `cacheExpiry` overrides the collection's TTL policy for this read.
      * @returns {Promise<object|null>} The document data or null if not found.
      */
-    async get(collection, key, options = { useCache: false, cacheExpiry: DEFAULT_CACHE_EXPIRY }) {
-        const { useCache, cacheExpiry } = options;
-        
-        let cacheKey;
-        if (typeof key === 'string') {
-            cacheKey = `${collection}:${key}`;
-        } else if (typeof key === 'object') {
-            const keyName = Object.keys(key);
-            cacheKey = `${collection}:${key[keyName]}`;
+    async get(collection, key, options = {}) {
+        return this.#observe('get', { collection }, async () => {
+            const name = this.#configName(collection);
+            const context = await this.#middleware.before('beforeGet', name, { operation: 'get', collection, key, options });
+            const doc = await this.#get(collection, context.key, context.options);
+            return this.#middleware.after('afterGet', name, doc, context);
+        });
+    }
+
+    async #get(collection, key, options = {}) {
+        const { useCache = false, cacheExpiry, includeDeleted = false } = options;
+
+        if (!this.#dbInstance) await this.initialize();
+        const cacheKey = await this.#buildCacheKey(collection, key);
+
+        if (!useCache) {
+            return this.#reveal(collection, await this.#dbInstance.get(collection, key), includeDeleted);
         }
 
-        try {
-            if (useCache && cacheKey) {
-                const cachedData = await redisService.get(cacheKey);
-                if (cachedData) {
-                    console.log(`Cache hit for key: ${cacheKey}`);
-                    return cachedData;
-                }
-            }
+        const cachedData = await this.#cache.get(cacheKey);
+        if (cachedData) {
+            log.debug('Cache hit', { operation: 'get', collection, cacheKey });
+            recordCacheLookups(this.#type, collection, 1);
+            return isNotFoundMarker(cachedData) ? null : this.#reveal(collection, cachedData, includeDeleted);
+        }
 
-            if (!this.#dbInstance) await this.initialize();
+        recordCacheLookups(this.#type, collection, 0, 1);
+        if (!this.#inflightLoads.has(cacheKey)) {
+            const load = this.#loadIntoCache(collection, key, cacheKey, cacheExpiry)
+                .finally(() => this.#inflightLoads.delete(cacheKey));
+            this.#inflightLoads.set(cacheKey, load);
+        }
+        return this.#reveal(collection, await this.#inflightLoads.get(cacheKey), includeDeleted);
+    }
+
+    async #loadIntoCache(collection, key, cacheKey, cacheExpiry) {
+        const { ttl, negativeTtl } = this.#cachePolicy(collection);
+        const load = this.#trackLoads([cacheKey]);
+        try {
             const doc = await this.#dbInstance.get(collection, key);
-            
-            if (doc && useCache && cacheKey) {
-                await redisService.set(cacheKey, doc, cacheExpiry);
-                console.log(`Stored in cache with key: ${cacheKey} (expires in ${cacheExpiry}s)`);
+
+            if (!load.current(cacheKey)) {
+                log.debug('Not caching a document written during its read', { operation: 'get', collection, cacheKey });
+            } else if (doc) {
+                const expiry = await this.#cacheDocument(cacheKey, doc, cacheExpiry ?? ttl);
+                log.debug('Cached document', { operation: 'get', collection, cacheKey, ttl: expiry });
+            } else if (negativeTtl > 0) {
+                await this.#cache.set(cacheKey, NOT_FOUND_MARKER, negativeTtl);
             }
-            
+
             return doc;
-        } catch (error) {
-            console.error(`Error getting document with key: ${key}`, error);
-            throw error;
+        } finally {
+            load.done();
         }
     }
 
+    /**
+     * Gets several documents by key in as few round trips as the cache and backend allow.
+     * With `useCache`, cached documents are read in one multi-get (one MGET per slot on a Redis
+     * cluster), and only the misses go to the database: BatchGetItem on DynamoDB, getAll on
+     * Firestore, an `$in` query on MongoDB. Misses are then written back to the cache, and
+     * missing documents are remembered for the collection's `negativeTtl`, as in `get`.
+     * @param {string} collection - The name of the collection.
+     * @param {Array<object|string>} keys - Document IDs, or primary key objects for DynamoDB.
+     * @param {object} [options={}] - Optional settings: { useCache: boolean, cacheExpiry: number, includeDeleted: boolean }.
+     * @returns {Promise<Array<object|null>>} The documents in the order of `keys`, with null for missing (or hidden) ones.
+     */
+    async getMany(collection, keys, options = {}) {
+        return this.#observe('getMany', { collection }, async () => {
+            const name = this.#configName(collection);
+            const context = await this.#middleware.before('beforeGet', name, { operation: 'getMany', collection, keys, options });
+            const docs = await this.#getMany(collection, context.keys, context.options);
+            return Promise.all(docs.map((doc, index) => this.#middleware.after('afterGet', name, doc, { ...context, key: context.keys[index] })));
+        });
+    }
+
+    async #getMany(collection, keys, options = {}) {
+        const { useCache = false, cacheExpiry, includeDeleted = false } = options;
+        if (!Array.isArray(keys)) {
+            throw new ValidationError('getMany() needs an array of keys.');
+        }
+
+        if (!this.#dbInstance) await this.initialize();
+        const cacheKeys = await Promise.all(keys.map(key => this.#buildCacheKey(collection, key)));
+        if (!useCache) {
+            return (await this.#dbInstance.getMany(collection, keys)).map(doc => this.#reveal(collection, doc, includeDeleted));
+        }
+
+        const cached = typeof this.#cache.getMany === 'function'
+            ? await this.#cache.getMany(cacheKeys)
+            : await Promise.all(cacheKeys.map(cacheKey => this.#cache.get(cacheKey)));
+        const results = cached.map(data => (data && !isNotFoundMarker(data) ? data : null));
+        const hits = cached.filter(Boolean).length;
+        recordCacheLookups(this.#type, collection, hits, cached.length - hits);
+
+        // Each missing document is loaded once, even if its key was passed several times.
+        const misses = new Map();
+        cacheKeys.forEach((cacheKey, index) => {
+            if (!cached[index] && !misses.has(cacheKey)) misses.set(cacheKey, keys[index]);
+        });
+        if (misses.size === 0) {
+            return results.map(doc => this.#reveal(collection, doc, includeDeleted));
+        }
+
+        const load = this.#trackLoads(misses.keys());
+        let loaded;
+        try {
+            const docs = await this.#dbInstance.getMany(collection, [...misses.values()]);
+            loaded = new Map([...misses.keys()].map((cacheKey, index) => [cacheKey, docs[index]]));
+            const { ttl, negativeTtl } = this.#cachePolicy(collection);
+            await Promise.all([...loaded].filter(([cacheKey]) => load.current(cacheKey)).map(([cacheKey, doc]) => {
+                if (doc) return this.#cacheDocument(cacheKey, doc, cacheExpiry ?? ttl);
+                return negativeTtl > 0 ? this.#cache.set(cacheKey, NOT_FOUND_MARKER, negativeTtl) : undefined;
+            }));
+        } finally {
+            load.done();
+        }
+
+        return cacheKeys.map((cacheKey, index) => this.#reveal(collection, results[index] ?? loaded.get(cacheKey) ?? null, includeDeleted));
+    }
+
     /**
      * Sets or updates a document and invalidates the cache.
+     * Every write gives the document a new `_version`. Pass the `_version` of a document read
+     * earlier as `ifVersion` to write only if nobody has changed it since, or `ifNotExists` to
+     * only create it. When the condition fails a ConflictError is thrown, the cached copy is
+     * evicted rather than refreshed, and the caller should re-read and retry.
+     * If the collection has a schema, the stored document is read first (bypassing the cache) to
+     * tell a create, which gets defaults and createdAt, from an update; an invalid write throws a
+     * ValidationError without reaching the backend.
+     * The document expires at the `expiresAt` option, or the expiresAt in the data, or else the
+     * collection's `ttl` from now; writing it to a soft-deleted document revives it.
+     * @example
+     * const cart = await adapter.get('carts', 'c1');
+     * await adapter.set('carts', 'c1', { items: [...cart.items, 'sku9'] }, { ifVersion: cart._version });
      * @param {string} collection - The name of the collection.
      * @param {object|string} keyOrQuery - The document ID or query object (Mongo/Firestore) or entire item (DynamoDB).
      * @param {object} data - The data to set or update.
-     * @returns {Promise<object>} The updated document.
+     * @param {object} [options={}] - Write conditions: { ifVersion: string, ifNotExists: boolean }, and
+     *   `expiresAt`: a Date, ISO string or epoch milliseconds, or null to never expire.
+     * @returns {Promise<object>} The updated document, including its new `_version`.
      */
-    async set(collection, keyOrQuery, data) {
-        let cacheKey;
+    async set(collection, keyOrQuery, data, options = {}) {
+        return this.#observe('set', { collection }, async () => {
+            const name = this.#configName(collection);
+            const context = await this.#middleware.before('beforeSet', name, { operation: 'set', collection, key: keyOrQuery, data, options });
+            const doc = await this.#set(collection, context.key, context.data, context.options);
+            return this.#middleware.after('afterSet', name, doc, context);
+        });
+    }
+
+    async #set(collection, keyOrQuery, data, options = {}) {
+        const { ifVersion, ifNotExists = false, expiresAt } = options;
+        if ('ifVersion' in options && (ifVersion === undefined || ifVersion === null)) {
+            throw new ValidationError('ifVersion needs the _version of a document read earlier.');
+        }
+        if (ifNotExists && ifVersion !== undefined) {
+            throw new ValidationError('Use either ifVersion or ifNotExists, not both.');
+        }
+        const condition = ifNotExists ? { ifNotExists } : ifVersion !== undefined ? { ifVersion } : {};
+        // The document's key, when known before the write; a Mongo filter or insert only reveals it afterwards.
+        let key;
 
         try {
             if (!this.#dbInstance) await this.initialize();
+            const schema = await this.#keySchema(collection);
+            const isMongoFilter = this.#type === 'mongodb' && (keyOrQuery === null || keyOrQuery === undefined
+                || (typeof keyOrQuery === 'object' && typeof keyOrQuery.toHexString !== 'function'));
+
+            if (this.#type === 'dynamodb') {
+                key = keyFromItem(collection, schema, data);
+            } else if (!isMongoFilter) {
+                key = assertKey(collection, schema, keyOrQuery);
+            }
 
-            let updatedDoc;
-            if (DATABASE_TYPE === 'dynamodb') {
-                updatedDoc = await this.#dbInstance.set(collection, data);
-                const keyName = Object.keys(data);
-                cacheKey = `${collection}:${data[keyName]}`;
-            } else {
-                updatedDoc = await this.#dbInstance.set(collection, keyOrQuery, data);
-                if (updatedDoc && updatedDoc._id) {
-                    cacheKey = `${collection}:${updatedDoc._id.toString()}`;
-                } else if (updatedDoc && updatedDoc.id) {
-                    cacheKey = `${collection}:${updatedDoc.id}`;
-                } else if (typeof keyOrQuery === 'string') {
-                    cacheKey = `${collection}:${keyOrQuery}`;
+            data = this.#applyLifecycle(collection, data, expiresAt);
+            const documentSchema = this.#schemas.get(this.#configName(collection));
+            if (documentSchema) {
+                let existing;
+                if (ifNotExists || (isMongoFilter && !keyOrQuery)) {
+                    existing = null;
+                } else if (key !== undefined) {
+                    existing = await this.#dbInstance.get(collection, key);
                 }
+                data = prepareWrite(collection, documentSchema, data, {
+                    existing,
+                    replaces: REPLACING_DATABASES.includes(this.#type),
+                    allowedFields: this.#systemFields(schema),
+                    storeDate: date => this.#storeDate(date),
+                });
             }
 
+            const updatedDoc = this.#type === 'dynamodb'
+                ? await this.#dbInstance.set(collection, data, condition)
+                : await this.#dbInstance.set(collection, keyOrQuery, data, condition);
+
+            const storedKey = key ?? updatedDoc?.[schema.idField];
+            const cacheKey = storedKey === undefined ? undefined : await this.#buildCacheKey(collection, storedKey);
             if (cacheKey) {
-                // Update cache with fresh data using the default expiry
-                await redisService.set(cacheKey, updatedDoc, DEFAULT_CACHE_EXPIRY);
-                console.log(`Updated cache for key: ${cacheKey} (expires in ${DEFAULT_CACHE_EXPIRY}s)`);
+                this.#documentsWritten([cacheKey]);
+                // Update cache with fresh data using the collection's expiry
+                const expiry = await this.#cacheDocument(cacheKey, updatedDoc, this.#cachePolicy(collection).ttl);
+                log.debug('Cached document', { operation: 'set', collection, cacheKey, ttl: expiry });
             }
+            await this.#invalidateQueries([collection]);
 
-            return updatedDoc;
+            return this.#present(collection, updatedDoc);
         } catch (error) {
-            console.error('Error setting document:', error);
+            if (error instanceof ConflictError && key !== undefined) {
+                // Someone else wrote the document, so the cached copy is probably stale.
+                const cacheKey = await this.#buildCacheKey(collection, key);
+                this.#documentsWritten([cacheKey]);
+                await this.#cache.delete(cacheKey);
+            }
             throw error;
         }
     }
 
     /**
-     * Fetches documents from a collection, optionally filtered (no caching).
+     * Applies partial updates atomically, without a read-modify-write in the caller, and
+     * refreshes the cache with the result. The document is created if it does not exist.
+     * With a collection schema, the operations are validated against it and updatedAt is set;
+     * createdAt is not, even if the update creates the document. The document's expiry is left
+     * as it is; set expiresAt with a `set` operation to change it.
+     * Operators are backend-neutral (see ../database/update.js), e.g.
+     * @example
+     * await adapter.update('posts', 'p1', [
+     *     { op: 'increment', field: 'views', value: 1 },
+     *     { op: 'array-union', field: 'tags', value: ['trending'] },
+     *     { op: 'unset', field: 'draft' },
+     * ]);
      * @param {string} collection - The name of the collection.
-     * @param {object} [filters={}] - Optional filters.
+     * @param {object|string} key - The document ID (for Mongo/Firestore/Redis) or primary key object (for DynamoDB).
+     * @param {Array<object>} ops - `{ op, field, value }` operations; op is one of increment, set, unset, array-union, array-remove.
+     * @returns {Promise<object>} The updated document.
+     */
+    async update(collection, key, ops) {
+        return this.#observe('update', { collection }, async () => {
+            const name = this.#configName(collection);
+            const context = await this.#middleware.before('beforeSet', name, { operation: 'update', collection, key, ops });
+            const doc = await this.#update(collection, context.key, context.ops);
+            return this.#middleware.after('afterSet', name, doc, context);
+        });
+    }
+
+    async #update(collection, key, ops) {
+        normalizeUpdate(ops);
+        const schema = this.#schemas.get(this.#configName(collection));
+        if (schema) {
+            ops = prepareUpdate(collection, schema, ops, {
+                storeDate: date => this.#storeDate(date),
+                allowedFields: this.#systemFields({}),
+            });
+        }
+
+        if (!this.#dbInstance) await this.initialize();
+        const cacheKey = await this.#buildCacheKey(collection, key);
+        const updatedDoc = await this.#dbInstance.update(collection, key, ops);
+
+        this.#documentsWritten([cacheKey]);
+        const expiry = await this.#cacheDocument(cacheKey, updatedDoc, this.#cachePolicy(collection).ttl);
+        log.debug('Cached document', { operation: 'update', collection, cacheKey, ttl: expiry });
+        await this.#invalidateQueries([collection]);
+
+        return this.#present(collection, updatedDoc);
+    }
+
+    /**
+     * Fetches documents from a collection, optionally filtered and cached.
+     * The query is backend-neutral (see ../database/query.js), e.g.
+     * `{ where: [{ field: 'age', op: '>', value: 25 }], orderBy: [{ field: 'age', direction: 'desc' }], limit: 10, select: ['name'] }`.
+     * Cached results are keyed on the normalized query, so equivalent queries share an entry, and
+     * any write to the collection through this adapter (set, update, delete, deleteMany, batch, transaction)
+     * drops all of them. Writes made by other processes are only picked up when the entry expires.
+     * Expired and soft-deleted documents are left out after the query runs, so a `limit` may
+     * return fewer documents; add a where on deletedAt to filter them in the query instead.
+     * @param {string} collection - The name of the collection.
+     * @param {object|Array<object>} [query={}] - Optional portable query.
+     * @param {object} [options={}] - Optional settings: { useCache: boolean, ttl: number, includeDeleted: boolean }.
+     *   `ttl` overrides the collection's TTL policy for this result.
      * @returns {Promise<Array<object>>} An array of documents.
      */
-    async fetch(collection, filters = {}) {
+    async fetch(collection, query = {}, options = {}) {
+        return this.#observe('fetch', { collection }, async () => {
+            const name = this.#configName(collection);
+            const context = await this.#middleware.before('beforeFetch', name, { operation: 'fetch', collection, query, options });
+            const docs = await this.#fetch(collection, context.query, context.options);
+            return this.#middleware.after('afterFetch', name, docs, context);
+        });
+    }
+
+    async #fetch(collection, query = {}, options = {}) {
+        const { useCache = false, ttl, includeDeleted = false } = options;
+
+        if (!this.#dbInstance) await this.initialize();
+        const present = docs => docs.map(doc => this.#reveal(collection, doc, includeDeleted)).filter(Boolean);
+        if (!useCache) {
+            return present(await this.#dbInstance.fetch(collection, query));
+        }
+        if (typeof this.#cache.tag !== 'function') {
+            throw new ValidationError('The cache store does not implement tag() and invalidateTag(), so fetch results cannot be cached.', { collection });
+        }
+
+        const cacheKey = `${collection}:query:${hashQuery(query)}`;
+        const cachedDocs = await this.#cache.get(cacheKey);
+        if (cachedDocs) {
+            log.debug('Cache hit', { operation: 'fetch', collection, cacheKey });
+            recordCacheLookups(this.#type, collection, 1);
+            return present(cachedDocs);
+        }
+        recordCacheLookups(this.#type, collection, 0, 1);
+
+        const generation = this.#queryGenerations.get(collection);
+        const docs = await this.#dbInstance.fetch(collection, query);
+        if (this.#queryGenerations.get(collection) === generation) {
+            // Tagged before it is stored, so a write's invalidation from here on finds the entry; one
+            // that started before the entry was stored bumped the generation, and the entry is dropped.
+            const expiry = ttl ?? this.#cachePolicy(collection).ttl;
+            await this.#cache.tag(this.#queryTag(collection), cacheKey, expiry);
+            await this.#cache.set(cacheKey, docs, expiry);
+            if (this.#queryGenerations.get(collection) !== generation) {
+                await this.#cache.delete(cacheKey);
+            }
+        }
+        return present(docs);
+    }
+
+    /**
+     * Fetches one page of documents matching a query (no caching).
+     * The cursor is opaque and only valid for the same collection, query and backend.
+     * Redis pages are approximate in size, since SCAN only takes a COUNT hint, and expired or
+     * soft-deleted documents are dropped from a page after it is read, as in fetch().
+     * @param {string} collection - The name of the collection.
+     * @param {object|Array<object>} [query={}] - Optional portable query. Its `limit` is ignored in favour of `pageSize`.
+     * @param {object} [options={}] - Paging options: { pageSize: number, cursor: string|null, includeDeleted: boolean }.
+     * @returns {Promise<{ items: Array<object>, nextCursor: string|null }>} The page, and the cursor of the next one (null on the last page).
+     */
+    async fetchPage(collection, query = {}, options = {}) {
+        return this.#observe('fetchPage', { collection }, async () => {
+            const name = this.#configName(collection);
+            const context = await this.#middleware.before('beforeFetch', name, { operation: 'fetchPage', collection, query, options });
+            const page = await this.#fetchPage(collection, context.query, context.options);
+            return { ...page, items: await this.#middleware.after('afterFetch', name, page.items, context) };
+        });
+    }
+
+    async #fetchPage(collection, query = {}, { pageSize = DEFAULT_PAGE_SIZE, cursor = null, includeDeleted = false } = {}) {
+        if (!Number.isInteger(pageSize) || pageSize < 1) {
+            throw new ValidationError(`pageSize must be a positive integer, got ${pageSize}.`);
+        }
+        if (!this.#dbInstance) await this.initialize();
+        const page = await this.#dbInstance.fetchPage(collection, query, { pageSize, cursor });
+        return { ...page, items: page.items.map(doc => this.#reveal(collection, doc, includeDeleted)).filter(Boolean) };
+    }
+
+    /**
+     * Streams every document matching a query, one page at a time.
+     * @example
+     * for await (const doc of adapter.iterate('orders', { where: [{ field: 'status', op: '==', value: 'open' }] })) { ... }
+     * @param {string} collection - The name of the collection.
+     * @param {object|Array<object>} [query={}] - Optional portable query.
+     * @param {object} [options={}] - Paging options: { pageSize: number, includeDeleted: boolean }.
+     * @returns {AsyncGenerator<object>} The matching documents.
+     */
+    async *iterate(collection, query = {}, { pageSize = DEFAULT_PAGE_SIZE, includeDeleted = false } = {}) {
+        let cursor = null;
+        do {
+            const page = await this.fetchPage(collection, query, { pageSize, cursor, includeDeleted });
+            yield* page.items;
+            cursor = page.nextCursor;
+        } while (cursor);
+    }
+
+    /**
+     * Subscribes to changes to the documents matching a query. The handler receives
+     * `{ type: 'added'|'modified'|'removed', id, doc }` for each change made after the
+     * subscription starts, one at a time and in order; `doc` is null for removals. Each change
+     * also evicts the document's cached copy and the collection's cached fetch results, so
+     * writes made by other processes stop being served from the cache.
+     * Feeds (see ../database/watch.js): Firestore snapshot listeners, MongoDB change streams
+     * (replica sets only) and Redis keyspace notifications (`notify-keyspace-events` must be
+     * enabled, see FnRedisService.subscribe). DynamoDB and memory have no feed here, so the
+     * query is re-run every `pollInterval` milliseconds and the results compared.
+     * @example
+     * const unsubscribe = await adapter.watch('orders', { where: [{ field: 'status', op: '==', value: 'open' }] }, event => {
+     *     console.log(event.type, event.id);
+     * });
+     * await unsubscribe();
+     * @param {string} collection - The name of the collection.
+     * @param {object|Array<object>} query - Optional portable query.
+     * @param {Function} handler - Receives the events; may be async.
+     * @param {object} [options={}] - { invalidateCache: boolean (default true), pollInterval: number,
+     *   onError: function receiving feed and handler failures (logged by default) }.
+     * @returns {Promise<Function>} Stops watching.
+     */
+    async watch(collection, query, handler, options = {}) {
+        return this.#observe('watch', { collection }, async () => {
+            const stop = await this.#watch(collection, query, handler, options);
+            this.#watchers.add(stop);
+            return () => {
+                this.#watchers.delete(stop);
+                return stop();
+            };
+        });
+    }
+
+    async #watch(collection, query, handler, options = {}) {
+        const { invalidateCache = true, pollInterval = WATCH_POLL_INTERVAL } = options;
+        const onError = options.onError ?? (error => log.error('Watch failed', { operation: 'watch', collection, error }));
+        if (typeof handler !== 'function') {
+            throw new ValidationError('watch() needs a handler function.');
+        }
+
+        if (!this.#dbInstance) await this.initialize();
+        const keySchema = await this.#keySchema(collection);
+
+        let queue = Promise.resolve();
+        const emit = event => {
+            queue = queue.then(async () => {
+                if (invalidateCache) {
+                    const cacheKey = await this.#buildCacheKey(collection, event.id);
+                    this.#documentsWritten([cacheKey]);
+                    await this.#cache.delete(cacheKey);
+                    await this.#invalidateQueries([collection]);
+                }
+                const doc = await this.#middleware.after('afterGet', this.#configName(collection), this.#present(collection, event.doc), {
+                    operation: 'watch', collection, key: event.id,
+                });
+                await handler({ ...event, doc });
+            }).catch(onError);
+        };
+
+        if (typeof this.#dbInstance.watch === 'function') {
+            return this.#dbInstance.watch(collection, query ?? {}, emit, onError);
+        }
+        // Polled without the projection, since telling documents apart needs their key fields.
+        const { select, ...fullQuery } = normalizeQuery(query ?? {});
+        return pollChanges({
+            load: () => this.#dbInstance.fetch(collection, fullQuery),
+            keyOf: doc => {
+                const key = this.#keyOf(collection, keySchema, doc);
+                return { key, id: formatKey(collection, keySchema, key) };
+            },
+            handler: event => emit({ ...event, doc: event.doc && projectDocument(event.doc, select) }),
+            onError,
+            interval: pollInterval,
+        });
+    }
+
+    /**
+     * Writes several documents atomically: either every operation is applied or none is.
+     * Cached copies are evicted only after the batch commits. Sets to collections with a schema
+     * are checked for types, enums and unknown fields and get updatedAt, but since the stored
+     * documents are not read, required fields, defaults and createdAt are not applied. Sets get
+     * the collection's expiry like set() does; deletes always remove the document, even in a
+     * soft-delete collection.
+     * Limits: 500 operations on Firestore, 100 on DynamoDB; on a Redis cluster all keys must share a slot.
+     * @example
+     * await adapter.batch([
+     *     { type: 'set', collection: 'orders', key: 'o1', data: { status: 'placed' } },
+     *     { type: 'delete', collection: 'carts', key: 'c1' },
+     * ]);
+     * @param {Array<object>} ops - `{ type: 'set'|'delete', collection, key, data }` operations. On DynamoDB,
+     *   `key` is the primary key object and a set's `data` is the whole item, which `key` is merged into.
+     * @returns {Promise<void>}
+     */
+    async batch(ops) {
+        const collections = Array.isArray(ops) ? [...new Set(ops.map(op => op?.collection))] : [];
+        return this.#observe('batch', { collections }, () => this.#batch(ops));
+    }
+
+    async #batch(ops) {
+        if (!Array.isArray(ops) || ops.length === 0) {
+            throw new ValidationError('batch() needs a non-empty array of operations.');
+        }
+        ops.forEach((op, index) => {
+            if (op.type !== 'set' && op.type !== 'delete') {
+                throw new ValidationError(`Batch operation ${index} has unsupported type "${op.type}"; use "set" or "delete".`);
+            }
+            if (typeof op.collection !== 'string' || op.key === undefined || op.key === null) {
+                throw new ValidationError(`Batch operation ${index} needs a collection and a key.`);
+            }
+            if (op.type === 'set' && (!op.data || typeof op.data !== 'object')) {
+                throw new ValidationError(`Batch operation ${index} is a set without a data object.`);
+            }
+        });
+
+        const hooked = [];
+        for (const op of ops) {
+            const { collection, type } = op;
+            const context = await this.#middleware.before(type === 'set' ? 'beforeSet' : 'beforeDelete', this.#configName(collection), {
+                operation: 'batch', collection, key: op.key, ...(type === 'set' && { data: op.data }),
+            });
+            hooked.push({ ...op, key: context.key, ...(type === 'set' && { data: context.data }) });
+        }
+        ops = hooked;
+
+        if (!this.#dbInstance) await this.initialize();
+        // Built first, so a key that does not fit its collection's schema fails the batch before it is sent.
+        const cacheKeys = await Promise.all(ops.map(op => this.#buildCacheKey(op.collection, op.key)));
+        ops = ops.map(op => (op.type === 'set' ? { ...op, data: this.#preparePartialWrite(op.collection, op.data) } : op));
+        await this.#dbInstance.batch(ops);
+
+        this.#documentsWritten(cacheKeys);
+        await Promise.all(cacheKeys.map(cacheKey => this.#cache.delete(cacheKey)));
+        await this.#invalidateQueries(ops.map(op => op.collection));
+    }
+
+    /**
+     * Runs a read-modify-write transaction. The callback receives `tx.get`, `tx.set` and
+     * `tx.delete`, which take the same arguments as the adapter methods; reads bypass the cache.
+     * Backends retry the callback when the documents it read change before commit, so it may
+     * run more than once and must not have side effects. Cached copies of written documents
+     * are evicted only after the commit succeeds. Schemas and expiry apply to `tx.set` as they do
+     * to batch sets, `tx.get` hides expired and soft-deleted documents, and `tx.delete` is permanent.
+     * Middleware runs around each call (see use()), and the calls reach the backend in call order.
+     * @example
+     * await adapter.transaction(async tx => {
+     *     const item = await tx.get('inventory', 'sku1');
+     *     tx.set('inventory', 'sku1', { stock: item.stock - 1 });
+     *     tx.set('orders', 'o1', { sku: 'sku1' });
+     * });
+     * @param {Function} fn - The transaction body.
+     * @returns {Promise<*>} The callback's result.
+     */
+    async transaction(fn) {
+        return this.#observe('transaction', {}, () => this.#transaction(fn));
+    }
+
+    async #transaction(fn) {
+        if (!this.#dbInstance) await this.initialize();
+
+        let writes;
+        let cacheKeys;
+        const result = await this.#dbInstance.transaction(async tx => {
+            // Reset on every attempt, so only the committed attempt's writes are evicted.
+            writes = [];
+            const written = [];
+            // Each call runs its hooks and reaches the backend in call order, even when tx.set is not awaited.
+            let last = Promise.resolve();
+            const inOrder = call => {
+                const done = last.then(call);
+                last = done.catch(() => {});
+                return done;
+            };
+            const write = (hook, collection, context, apply) => {
+                const done = inOrder(async () => {
+                    const hooked = await this.#middleware.before(hook, this.#configName(collection), { operation: 'transaction', collection, ...context });
+                    writes.push({ collection, key: hooked.key });
+                    return apply(hooked);
+                });
+                written.push(done);
+                return done;
+            };
+            const value = await fn({
+                get: (collection, key) => inOrder(async () => {
+                    const name = this.#configName(collection);
+                    const context = await this.#middleware.before('beforeGet', name, { operation: 'transaction', collection, key });
+                    const doc = this.#reveal(collection, await tx.get(collection, context.key));
+                    return this.#middleware.after('afterGet', name, doc, context);
+                }),
+                set: (collection, key, data) => write('beforeSet', collection, { key, data },
+                    hooked => tx.set(collection, hooked.key, this.#preparePartialWrite(collection, hooked.data))),
+                delete: (collection, key) => write('beforeDelete', collection, { key },
+                    hooked => tx.delete(collection, hooked.key)),
+            });
+            // A write the callback did not await, or whose hook threw, fails the transaction here.
+            await Promise.all(written);
+            // Built before the backend commits, so a key that does not fit its collection's schema aborts the transaction.
+            cacheKeys = await Promise.all(writes.map(({ collection, key }) => this.#buildCacheKey(collection, key)));
+            return value;
+        });
+
+        this.#documentsWritten(new Set(cacheKeys));
+        await Promise.all([...new Set(cacheKeys)].map(cacheKey => this.#cache.delete(cacheKey)));
+        await this.#invalidateQueries(writes.map(({ collection }) => collection));
+        return result;
+    }
+
+    /**
+     * Deletes a single document by key and evicts it from the cache. In a collection with the
+     * `softDelete` policy, the document is kept and given a deletedAt date instead, unless
+     * `permanent` is set; reads then skip it until a set revives it.
+     * @param {string} collection - The name of the collection.
+     * @param {object|string} key - The document ID (for Mongo/Firestore/Redis) or primary key object (for DynamoDB).
+     * @param {object} [options={}] - { permanent: boolean }.
+     * @returns {Promise<boolean>} True if a document was deleted, false if none existed.
+     */
+    async delete(collection, key, options = {}) {
+        return this.#observe('delete', { collection }, async () => {
+            const context = await this.#middleware.before('beforeDelete', this.#configName(collection), { operation: 'delete', collection, key, options });
+            return this.#delete(collection, context.key, context.options);
+        });
+    }
+
+    async #delete(collection, key, { permanent = false } = {}) {
         if (!this.#dbInstance) await this.initialize();
-        return this.#dbInstance.fetch(collection, filters);
+        const cacheKey = await this.#buildCacheKey(collection, key);
+        let deleted;
+        if (!permanent && this.#documentPolicy(collection).softDelete) {
+            deleted = this.#reveal(collection, await this.#dbInstance.get(collection, key)) !== null;
+            if (deleted) {
+                await this.#dbInstance.update(collection, key, [this.#tombstone()]);
+            }
+        } else {
+            deleted = await this.#dbInstance.delete(collection, key);
+        }
+
+        // Evict even when nothing was deleted, in case the cache outlived the document.
+        this.#documentsWritten([cacheKey]);
+        await this.#cache.delete(cacheKey);
+        await this.#invalidateQueries([collection]);
+
+        return deleted;
     }
+
+    /**
+     * Deletes every document matching the query and evicts them from the cache. In a
+     * `softDelete` collection the matching documents are read and tombstoned one by one,
+     * unless `permanent` is set.
+     * @param {string} collection - The name of the collection.
+     * @param {object|Array<object>} [query={}] - Optional portable query, in the same form `fetch` accepts.
+     * @param {object} [options={}] - { permanent: boolean }.
+     * @returns {Promise<number>} The number of deleted documents.
+     */
+    async deleteMany(collection, query = {}, options = {}) {
+        return this.#observe('deleteMany', { collection }, async () => {
+            const context = await this.#middleware.before('beforeDelete', this.#configName(collection), { operation: 'deleteMany', collection, query, options });
+            return this.#deleteMany(collection, context.query, context.options);
+        });
+    }
+
+    async #deleteMany(collection, query = {}, { permanent = false } = {}) {
+        if (!this.#dbInstance) await this.initialize();
+        let deletedKeys;
+        if (!permanent && this.#documentPolicy(collection).softDelete) {
+            const keySchema = await this.#keySchema(collection);
+            // Read without the projection, since the keys are needed.
+            const { select, ...fullQuery } = isPortableQuery(query) ? normalizeQuery(query) : query;
+            const docs = await this.#dbInstance.fetch(collection, fullQuery);
+            deletedKeys = docs
+                .filter(doc => this.#reveal(collection, doc) !== null)
+                .map(doc => this.#keyOf(collection, keySchema, doc));
+            for (const key of deletedKeys) {
+                await this.#dbInstance.update(collection, key, [this.#tombstone()]);
+            }
+        } else {
+            deletedKeys = await this.#dbInstance.deleteMany(collection, query);
+        }
+
+        const cacheKeys = await Promise.all(deletedKeys.map(key => this.#buildCacheKey(collection, key)));
+        this.#documentsWritten(cacheKeys);
+        await Promise.all(cacheKeys.map(cacheKey => this.#cache.delete(cacheKey)));
+        await this.#invalidateQueries([collection]);
+
+        return deletedKeys.length;
+    }
+
+    /**
+     * Sets up the backend's own expiry of a collection's documents on their expiresAt field:
+     * a TTL on DynamoDB, a TTL index on MongoDB. Firestore TTL policies can only be created
+     * with gcloud or the console, so there this throws with the command to run. Redis and the
+     * memory backend need no setup. Reads hide expired documents either way.
+     * @param {string} collection - The name of the collection.
+     * @returns {Promise<void>}
+     */
+    async configureExpiry(collection) {
+        return this.#observe('configureExpiry', { collection }, async () => {
+            if (!this.#dbInstance) await this.initialize();
+            if (typeof this.#dbInstance.configureExpiry === 'function') {
+                await this.#dbInstance.configureExpiry(collection);
+            }
+        });
+    }
+}
+
+/**
+ * Creates an independent adapter with its own backend client, e.g. to use Firestore and
+ * DynamoDB side by side:
+ * @example
+ * const firestore = createDatabaseAdapter({ type: 'firestore', options: { appName: 'legacy', projectId: 'legacy-project' } });
+ * const dynamo = createDatabaseAdapter({ type: 'dynamodb', options: { region: 'eu-west-1' }, cache: 'memory' });
+ * @param {object} config - { type, options, cache, cachePolicies, keySchemas, schemas, tenancy, documentPolicies }; see the FnDatabaseAdapter constructor.
+ * @returns {FnDatabaseAdapter} The new adapter.
+ */
+export function createDatabaseAdapter(config = {}) {
+    return new FnDatabaseAdapter({ ...config, options: config.options ?? {} });
 }
 
+// The default, environment-configured adapter, kept for backwards compatibility.
 const databaseAdapterInstance = new FnDatabaseAdapter();
 export default databaseAdapterInstance;
@@ -0,0 +1,93 @@
+/**
+ * Middleware around FnDatabaseAdapter operations (see FnDatabaseAdapter.use).
+ *
+ * A middleware is an object with any of the MIDDLEWARE_HOOKS, registered for every collection
+ * or only for some. Hooks may be async and run one after another:
+ *   before hooks, in registration order, receive the operation's context, e.g.
+ *     `{ operation: 'set', collection, key, data, options }`, and may change it by mutating it or
+ *     returning a replacement; `operation` and `collection` cannot be changed;
+ *   after hooks, in reverse registration order, receive `(result, context)` and may return a
+ *     replacement result.
+ * A hook aborts the operation by throwing: the backend is not called (or the result is not
+ * returned) and the caller receives the error.
+ */
+
+export const MIDDLEWARE_HOOKS = ['beforeGet', 'afterGet', 'beforeSet', 'afterSet', 'beforeFetch', 'afterFetch', 'beforeDelete'];
+
+/**
+ * The middleware registered on one adapter.
+ */
+export class FnMiddlewarePipeline {
+    #entries = [];
+
+    /**
+     * Registers a middleware.
+     * @param {Array<string>|undefined} collections - The collections it applies to; undefined for all.
+     * @param {object} middleware - The hooks.
+     * @returns {Function} Removes the middleware again.
+     */
+    use(collections, middleware) {
+        if (!middleware || typeof middleware !== 'object') {
+            throw new Error('use() needs a middleware object with hooks such as beforeSet or afterGet.');
+        }
+        const hooks = Object.keys(middleware);
+        const unknown = hooks.filter(hook => !MIDDLEWARE_HOOKS.includes(hook));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown middleware hooks: ${unknown.join(', ')}. Use: ${MIDDLEWARE_HOOKS.join(', ')}.`);
+        }
+        const notFunctions = hooks.filter(hook => typeof middleware[hook] !== 'function');
+        if (hooks.length === 0 || notFunctions.length > 0) {
+            throw new Error(`Middleware hooks must be functions${notFunctions.length > 0 ? `: ${notFunctions.join(', ')}` : ''}.`);
+        }
+
+        const entry = { collections, middleware };
+        this.#entries.push(entry);
+        return () => {
+            this.#entries = this.#entries.filter(registered => registered !== entry);
+        };
+    }
+
+    #hooks(hook, name) {
+        return this.#entries
+            .filter(({ collections, middleware }) => middleware[hook] && (!collections || collections.includes(name)))
+            .map(({ middleware }) => middleware[hook]);
+    }
+
+    /**
+     * Runs the before hooks of an operation.
+     * @param {string} hook - The hook, e.g. 'beforeSet'.
+     * @param {string} name - The declared collection name the middleware is matched on.
+     * @param {object} context - `{ operation, collection, ... }`.
+     * @returns {Promise<object>} The context to run the operation with.
+     */
+    async before(hook, name, context) {
+        const { operation, collection } = context;
+        for (const run of this.#hooks(hook, name)) {
+            const replacement = await run(context);
+            if (replacement !== undefined) {
+                context = { ...replacement, operation, collection };
+            }
+        }
+        return context;
+    }
+
+    /**
+     * Runs the after hooks of an operation. They are skipped when there is no result, such as
+     * the null of a get for a missing document.
+     * @param {string} hook - The hook, e.g. 'afterGet'.
+     * @param {string} name - The declared collection name the middleware is matched on.
+     * @param {*} result - The operation's result.
+     * @param {object} context - The context the operation ran with.
+     * @returns {Promise<*>} The result to return.
+     */
+    async after(hook, name, result, context) {
+        if (result === null || result === undefined) return result;
+        for (const run of this.#hooks(hook, name).reverse()) {
+            const replacement = await run(result, context);
+            if (replacement !== undefined) {
+                result = replacement;
+            }
+        }
+        return result;
+    }
+}
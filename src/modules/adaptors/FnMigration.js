@@ -0,0 +1,289 @@
+import { createReadStream, createWriteStream } from 'fs';
+import { readFile, rm, writeFile } from 'fs/promises';
+import { once } from 'events';
+import { createInterface } from 'readline';
+import { DEFAULT_PAGE_SIZE } from './config.js';
+import { VERSION_FIELD } from '../database/versioning.js';
+import { ValidationError } from '../database/errors.js';
+import { createLogger, elapsed } from '../logger.js';
+
+/**
+ * Copies collections between adapters (e.g. Firestore to DynamoDB) and backs them up to NDJSON.
+ * Documents are written with the target adapter's batch(), so `batchSize` must fit the target's
+ * batch limit (100 on DynamoDB, 500 on Firestore), and on a Redis cluster each batch's keys
+ * must share a slot. Writes overwrite, so a batch that is repeated after a resume is harmless.
+ */
+
+// Identifier fields of the source document, which the target replaces with its own.
+const SOURCE_ID_FIELDS = ['id', '_id', VERSION_FIELD];
+
+// Marks a date in NDJSON, so it is imported as a date and not as a string.
+const DATE_TAG = '$date';
+
+const log = createLogger('migration');
+
+/**
+ * Stores migration progress in a JSON file, so an interrupted run resumes where it stopped.
+ * Any object with the same load/save/clear methods (e.g. backed by a database) works too.
+ * @param {string} path - The file to keep the progress in.
+ * @returns {{ load: Function, save: Function, clear: Function }} The checkpoint store.
+ */
+export function fileCheckpoint(path) {
+    return {
+        async load() {
+            try {
+                return JSON.parse(await readFile(path, 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+        async save(state) {
+            await writeFile(path, JSON.stringify(state));
+        },
+        async clear() {
+            await rm(path, { force: true });
+        },
+    };
+}
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Converts values the target cannot store as they are: Firestore Timestamps become Dates, and
+ * on DynamoDB, whose document client cannot marshal Dates, Dates become ISO strings.
+ */
+function toStorable(value, targetType) {
+    if (value && typeof value.toDate === 'function' && !(value instanceof Date)) {
+        value = value.toDate();
+    }
+    if (value instanceof Date) {
+        return targetType === 'dynamodb' ? value.toISOString() : value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => toStorable(item, targetType));
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([field, item]) => [field, toStorable(item, targetType)]));
+    }
+    return value;
+}
+
+function defaultKey(doc) {
+    const id = doc.id ?? doc._id;
+    if (id === undefined || id === null) {
+        throw new ValidationError('The document has no id or _id to key it by; pass a mapKey function.');
+    }
+    return String(id);
+}
+
+/**
+ * Writes a stream of documents to a target collection in batches, resuming from a checkpoint.
+ * The checkpoint holds the counters and, for paged sources, the cursor of the next page.
+ */
+async function writeDocuments(pages, { target, collection, transform, mapKey, checkpoint, dryRun, resumed }) {
+    const report = { read: 0, written: 0, skipped: 0, batches: 0, dryRun, ...resumed };
+
+    for await (const { docs, cursor } of pages) {
+        const ops = [];
+        for (const doc of docs) {
+            report.read += 1;
+            const data = transform ? await transform(doc) : doc;
+            if (data === null || data === undefined) {
+                report.skipped += 1;
+                continue;
+            }
+            const key = mapKey ? await mapKey(doc) : defaultKey(doc);
+            const fields = Object.fromEntries(Object.entries(data).filter(([field]) => !SOURCE_ID_FIELDS.includes(field)));
+            // A DynamoDB item carries its own key attributes.
+            const item = isPlainObject(key) ? { ...fields, ...key } : fields;
+            ops.push({ type: 'set', collection, key, data: toStorable(item, target.type) });
+        }
+
+        report.written += ops.length;
+        if (dryRun) continue;
+        if (ops.length > 0) {
+            await target.batch(ops);
+            report.batches += 1;
+        }
+        if (checkpoint) {
+            const { read, written, skipped, batches } = report;
+            await checkpoint.save({ read, written, skipped, batches, cursor });
+        }
+    }
+
+    if (checkpoint && !dryRun) {
+        await checkpoint.clear();
+    }
+    return report;
+}
+
+/**
+ * Streams a collection from one adapter into another, page by page.
+ * @example
+ * const report = await migrateCollection({
+ *     source: firestoreAdapter,
+ *     target: dynamoAdapter,
+ *     collection: 'orders',
+ *     mapKey: doc => ({ customerId: doc.customerId, orderId: doc.id }),
+ *     transform: doc => (doc.archived ? null : { ...doc, total: Number(doc.total) }),
+ *     checkpoint: fileCheckpoint('./orders.migration.json'),
+ * });
+ * @param {object} options - Migration settings:
+ *   source, target: FnDatabaseAdapter instances;
+ *   collection: the source collection; targetCollection: the target one (defaults to `collection`);
+ *   query: an optional portable query selecting the documents to copy;
+ *   transform: (doc) => data, may be async; return null to skip the document. The source's
+ *     id, _id and _version are dropped from the data;
+ *   mapKey: (doc) => the target key, e.g. a DynamoDB primary key object; defaults to the source ID;
+ *   batchSize: documents per page and per target batch (defaults to DEFAULT_PAGE_SIZE, max 100 for DynamoDB);
+ *   checkpoint: a progress store such as fileCheckpoint(); a run with a saved checkpoint resumes
+ *     after the last written batch, and a completed run clears it;
+ *   dryRun: read and transform everything but write nothing, to count what would be copied.
+ * @returns {Promise<{ read: number, written: number, skipped: number, batches: number, dryRun: boolean }>}
+ *   The counts, including those of earlier interrupted runs; in a dry run, `written` is what would be written.
+ */
+export async function migrateCollection({
+    source,
+    target,
+    collection,
+    targetCollection = collection,
+    query = {},
+    transform,
+    mapKey,
+    batchSize = DEFAULT_PAGE_SIZE,
+    checkpoint,
+    dryRun = false,
+}) {
+    if (!source || !target || typeof collection !== 'string') {
+        throw new ValidationError('migrateCollection() needs a source adapter, a target adapter and a collection.');
+    }
+
+    const started = performance.now();
+    try {
+        const saved = checkpoint && !dryRun ? await checkpoint.load() : null;
+        const { cursor: startCursor = null, ...resumed } = saved ?? {};
+        if (saved) {
+            log.info('Resuming migration', { operation: 'migrate', collection, read: resumed.read });
+        }
+
+        async function* pages() {
+            if (saved && !startCursor) {
+                return; // The last page was written, but the run stopped before clearing the checkpoint.
+            }
+            let cursor = startCursor;
+            do {
+                const page = await source.fetchPage(collection, query, { pageSize: batchSize, cursor });
+                cursor = page.nextCursor;
+                yield { docs: page.items, cursor };
+            } while (cursor);
+        }
+
+        const report = await writeDocuments(pages(), {
+            target, collection: targetCollection, transform, mapKey, checkpoint, dryRun, resumed,
+        });
+        log.info('Migrated collection', { operation: 'migrate', collection, targetCollection, ...report, durationMs: elapsed(started) });
+        return report;
+    } catch (error) {
+        log.error('Migration failed', { operation: 'migrate', collection, targetCollection, durationMs: elapsed(started), error });
+        throw error;
+    }
+}
+
+/**
+ * Writes every document of a collection to NDJSON, one JSON document per line. Dates and
+ * Firestore Timestamps are written as `{ "$date": "<ISO 8601>" }` so they import as dates.
+ * @param {object} adapter - The FnDatabaseAdapter to read from.
+ * @param {string} collection - The name of the collection.
+ * @param {string|import('stream').Writable} destination - A file path, or a writable stream (left open).
+ * @param {object} [options={}] - { query: portable query, pageSize: number }.
+ * @returns {Promise<number>} The number of exported documents.
+ */
+export async function exportCollection(adapter, collection, destination, { query = {}, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    const output = typeof destination === 'string' ? createWriteStream(destination) : destination;
+    let count = 0;
+    const started = performance.now();
+
+    try {
+        for await (const doc of adapter.iterate(collection, query, { pageSize })) {
+            const line = JSON.stringify(doc, function replacer(field, value) {
+                // `this[field]` is the value before toJSON(), which turns Dates into plain strings.
+                const original = this[field];
+                if (original instanceof Date || (original && typeof original.toDate === 'function')) {
+                    return { [DATE_TAG]: (original instanceof Date ? original : original.toDate()).toISOString() };
+                }
+                return value;
+            });
+            // Waits for the stream to drain rather than buffering a whole collection in memory.
+            if (!output.write(`${line}\n`)) {
+                await once(output, 'drain');
+            }
+            count += 1;
+        }
+        if (typeof destination === 'string') {
+            output.end();
+            await once(output, 'finish');
+        }
+        log.info('Exported collection', { operation: 'export', collection, count, durationMs: elapsed(started) });
+        return count;
+    } catch (error) {
+        if (typeof destination === 'string') output.destroy();
+        log.error('Export failed', { operation: 'export', collection, count, durationMs: elapsed(started), error });
+        throw error;
+    }
+}
+
+/**
+ * Imports an NDJSON export into a collection, with the same batching, transforms, key mapping,
+ * checkpoints and dry runs as migrateCollection. A resumed import skips the lines already read.
+ * @param {object} adapter - The FnDatabaseAdapter to write to.
+ * @param {string} collection - The name of the collection.
+ * @param {string|import('stream').Readable} input - A file path, or a readable stream.
+ * @param {object} [options={}] - { transform, mapKey, batchSize, checkpoint, dryRun }; see migrateCollection.
+ * @returns {Promise<{ read: number, written: number, skipped: number, batches: number, dryRun: boolean }>} The counts.
+ */
+export async function importCollection(adapter, collection, input, {
+    transform,
+    mapKey,
+    batchSize = DEFAULT_PAGE_SIZE,
+    checkpoint,
+    dryRun = false,
+} = {}) {
+    const stream = typeof input === 'string' ? createReadStream(input) : input;
+    const started = performance.now();
+
+    try {
+        const saved = checkpoint && !dryRun ? await checkpoint.load() : null;
+        const { read: skipLines = 0, written = 0, skipped = 0, batches = 0 } = saved ?? {};
+        const resumed = { read: skipLines, written, skipped, batches };
+
+        async function* pages() {
+            let lineNumber = 0;
+            let docs = [];
+            for await (const line of createInterface({ input: stream, crlfDelay: Infinity })) {
+                if (line.trim() === '') continue;
+                lineNumber += 1;
+                if (lineNumber <= skipLines) continue;
+                docs.push(JSON.parse(line, (field, value) => (
+                    value && typeof value === 'object' && typeof value[DATE_TAG] === 'string' ? new Date(value[DATE_TAG]) : value
+                )));
+                if (docs.length === batchSize) {
+                    yield { docs, cursor: null };
+                    docs = [];
+                }
+            }
+            if (docs.length > 0) {
+                yield { docs, cursor: null };
+            }
+        }
+
+        const report = await writeDocuments(pages(), { target: adapter, collection, transform, mapKey, checkpoint, dryRun, resumed });
+        log.info('Imported collection', { operation: 'import', collection, ...report, durationMs: elapsed(started) });
+        return report;
+    } catch (error) {
+        log.error('Import failed', { operation: 'import', collection, durationMs: elapsed(started), error });
+        throw error;
+    } finally {
+        if (typeof input === 'string') stream.destroy();
+    }
+}
@@ -0,0 +1,365 @@
+import { isPortableQuery, normalizeQuery } from '../database/query.js';
+import { UnauthorizedError, ValidationError } from '../database/errors.js';
+
+/**
+ * Tenant-scoped views of FnDatabaseAdapter (see FnDatabaseAdapter.forTenant).
+ *
+ * Schemes:
+ *   prefix: each tenant has its own collections, named `tenant.collection` (tables on DynamoDB);
+ *   partition: tenants share collections; document IDs (or DynamoDB partition key values) are
+ *     stored as `tenant#id` and every document carries a `_tenant` field that queries filter on;
+ *   subcollection: Firestore only; collections live under a tenant document, at `tenants/tenant/collection`.
+ * Cache keys follow the physical names, e.g. `acme.users:u1`, `tenants/acme/users:u1` or `users:acme#u1`,
+ * so tenants never share cache entries.
+ */
+
+export const TENANCY_SCHEMES = ['prefix', 'partition', 'subcollection'];
+
+// Tenant IDs cannot contain the separators the schemes use, so no two tenants can map to the same name.
+const TENANT_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const KEY_SEPARATOR = '#';
+
+/**
+ * Validates a tenancy configuration and fills in defaults.
+ * @param {object} tenancy - { scheme, separator: string (prefix), root: string (subcollection), tenantField: string (partition) }.
+ * @param {string} type - The database type.
+ * @returns {{ scheme: string, separator: string, root: string, tenantField: string }}
+ */
+export function normalizeTenancy(tenancy, type) {
+    const { scheme = 'prefix', separator = '.', root = 'tenants', tenantField = '_tenant' } = tenancy || {};
+    if (!TENANCY_SCHEMES.includes(scheme)) {
+        throw new Error(`Unsupported tenancy scheme "${scheme}". Use one of: ${TENANCY_SCHEMES.join(', ')}.`);
+    }
+    if (scheme === 'subcollection' && type !== 'firestore') {
+        throw new Error(`The subcollection tenancy scheme needs Firestore; use "prefix" or "partition" with ${type}.`);
+    }
+    if (TENANT_ID_PATTERN.test(separator)) {
+        throw new Error(`The tenancy separator "${separator}" could appear in tenant IDs; use a character such as ".".`);
+    }
+    return { scheme, separator, root, tenantField };
+}
+
+/**
+ * An adapter restricted to one tenant's data, with the same methods as FnDatabaseAdapter.
+ * Collection names and keys are the caller's own; the view maps them to the tenant's namespace
+ * and rejects anything that could reach another tenant: raw key patterns, backend-native queries,
+ * and documents or keys carrying another tenant's marker.
+ */
+export class FnTenantView {
+    #adapter;
+    #tenantId;
+    #tenancy;
+    #resolveKeySchema;
+    #registerCollection;
+    #keySchemas = new Map();
+
+    /**
+     * Created by FnDatabaseAdapter.forTenant, which supplies the hooks into the adapter.
+     * @param {object} adapter - The FnDatabaseAdapter.
+     * @param {string} tenantId - The tenant.
+     * @param {object} tenancy - The normalized tenancy configuration.
+     * @param {object} hooks - { keySchema: (collection) => Promise<object>, registerCollection: (physical, logical) => void }.
+     */
+    constructor(adapter, tenantId, tenancy, { keySchema, registerCollection }) {
+        if (typeof tenantId !== 'string' || !TENANT_ID_PATTERN.test(tenantId)) {
+            throw new ValidationError(`Invalid tenant ID "${tenantId}": use letters, digits, "-" and "_" only.`);
+        }
+        this.#adapter = adapter;
+        this.#tenantId = tenantId;
+        this.#tenancy = tenancy;
+        this.#resolveKeySchema = keySchema;
+        this.#registerCollection = registerCollection;
+    }
+
+    get tenantId() {
+        return this.#tenantId;
+    }
+
+    get type() {
+        return this.#adapter.type;
+    }
+
+    get #partitioned() {
+        return this.#tenancy.scheme === 'partition';
+    }
+
+    /**
+     * Maps a collection name to the tenant's physical collection.
+     * @param {string} collection - The collection name as the caller knows it.
+     * @returns {string} The physical name.
+     */
+    #collection(collection) {
+        if (typeof collection !== 'string' || collection === '' || /[*?[\]/]/.test(collection)) {
+            throw new ValidationError(`Invalid collection "${collection}" for tenant ${this.#tenantId}: patterns and paths are not allowed.`);
+        }
+        const { scheme, separator, root } = this.#tenancy;
+        const physical = scheme === 'prefix' ? `${this.#tenantId}${separator}${collection}`
+            : scheme === 'subcollection' ? `${root}/${this.#tenantId}/${collection}`
+                : collection;
+        // Lets the adapter find the schemas, key schemas and cache policies declared for `collection`.
+        this.#registerCollection(physical, collection);
+        return physical;
+    }
+
+    async #keySchema(collection) {
+        if (!this.#keySchemas.has(collection)) {
+            this.#keySchemas.set(collection, await this.#resolveKeySchema(collection));
+        }
+        return this.#keySchemas.get(collection);
+    }
+
+    #crossTenant(detail) {
+        return new UnauthorizedError(`Cross-tenant access rejected for tenant ${this.#tenantId}: ${detail}.`);
+    }
+
+    #prefixValue(value) {
+        if (typeof value !== 'string' && typeof value !== 'number') {
+            throw new ValidationError(`Tenant ${this.#tenantId} keys must be strings or numbers under the partition scheme, got ${value}.`);
+        }
+        return `${this.#tenantId}${KEY_SEPARATOR}${value}`;
+    }
+
+    #unprefixValue(value) {
+        const prefix = `${this.#tenantId}${KEY_SEPARATOR}`;
+        if (typeof value !== 'string' || !value.startsWith(prefix)) {
+            throw this.#crossTenant(`key ${value} belongs to another tenant`);
+        }
+        return value.slice(prefix.length);
+    }
+
+    // The field holding the prefixed value: the DynamoDB partition key, or the document ID.
+    #keyField(schema) {
+        return schema.partitionKey ?? schema.idField;
+    }
+
+    /**
+     * Maps a document key into the tenant's namespace (partition scheme only).
+     * Synchronous, so transaction writes can use it; the key schema must be resolved already.
+     */
+    #mapKeyWith(schema, key) {
+        if (!this.#partitioned) return key;
+        if (schema.partitionKey) {
+            if (!key || typeof key !== 'object') {
+                throw new ValidationError(`Collection needs a primary key object with "${schema.partitionKey}".`);
+            }
+            return { ...key, [schema.partitionKey]: this.#prefixValue(key[schema.partitionKey]) };
+        }
+        return this.#prefixValue(key);
+    }
+
+    async #mapKey(collection, key) {
+        return this.#mapKeyWith(this.#partitioned ? await this.#keySchema(collection) : {}, key);
+    }
+
+    #unmapKeyWith(schema, key) {
+        if (!this.#partitioned) return key;
+        if (schema.partitionKey) {
+            return { ...key, [schema.partitionKey]: this.#unprefixValue(key[schema.partitionKey]) };
+        }
+        return this.#unprefixValue(key);
+    }
+
+    /**
+     * Marks data written under the partition scheme with the tenant, rejecting data marked for another.
+     */
+    #mapDataWith(schema, data) {
+        if (!this.#partitioned || !data) return data;
+        const { tenantField } = this.#tenancy;
+        if (data[tenantField] !== undefined && data[tenantField] !== this.#tenantId) {
+            throw this.#crossTenant(`data is marked for tenant ${data[tenantField]}`);
+        }
+        const mapped = { ...data, [tenantField]: this.#tenantId };
+        if (schema.partitionKey && data[schema.partitionKey] !== undefined) {
+            mapped[schema.partitionKey] = this.#prefixValue(data[schema.partitionKey]);
+        }
+        return mapped;
+    }
+
+    /**
+     * Checks that a document read through the view is the tenant's, and removes the tenancy markers.
+     */
+    #presentWith(schema, doc) {
+        if (!this.#partitioned || !doc) return doc;
+        const { tenantField } = this.#tenancy;
+        const { [tenantField]: owner, ...rest } = doc;
+        if (owner !== this.#tenantId) {
+            throw this.#crossTenant(`a document of tenant ${owner} was read`);
+        }
+        const field = this.#keyField(schema);
+        if (rest[field] !== undefined) {
+            rest[field] = this.#unprefixValue(typeof rest[field] === 'object' ? String(rest[field]) : rest[field]);
+        }
+        return rest;
+    }
+
+    async #present(collection, doc) {
+        return this.#presentWith(this.#partitioned ? await this.#keySchema(collection) : {}, doc);
+    }
+
+    /**
+     * Restricts a query to the tenant. Native queries could name any table, so they are rejected.
+     */
+    async #query(collection, query = {}) {
+        if (!isPortableQuery(query)) {
+            throw this.#crossTenant('backend-native queries cannot be scoped to a tenant; use a portable query');
+        }
+        if (!this.#partitioned) return query;
+
+        const schema = await this.#keySchema(collection);
+        const keyField = this.#keyField(schema);
+        const normalized = normalizeQuery(query);
+        const where = normalized.where.map(condition => {
+            if (condition.field === this.#tenancy.tenantField) {
+                throw this.#crossTenant(`queries cannot filter on ${condition.field}`);
+            }
+            if (condition.field !== keyField) return condition;
+            if (condition.op === '==') return { ...condition, value: this.#prefixValue(condition.value) };
+            if (condition.op === 'in') return { ...condition, value: condition.value.map(value => this.#prefixValue(value)) };
+            throw new ValidationError(`Only == and in can filter on the key field "${keyField}" under the partition scheme.`);
+        });
+        // Projected documents keep the marker, so they can still be checked.
+        const select = normalized.select && [...normalized.select, this.#tenancy.tenantField];
+        return { ...normalized, where: [...where, { field: this.#tenancy.tenantField, op: '==', value: this.#tenantId }], select };
+    }
+
+    async get(collection, key, options) {
+        const physical = this.#collection(collection);
+        return this.#present(physical, await this.#adapter.get(physical, await this.#mapKey(physical, key), options));
+    }
+
+    async getMany(collection, keys, options) {
+        const physical = this.#collection(collection);
+        if (!Array.isArray(keys)) {
+            throw new ValidationError('getMany() needs an array of keys.');
+        }
+        const mapped = await Promise.all(keys.map(key => this.#mapKey(physical, key)));
+        const docs = await this.#adapter.getMany(physical, mapped, options);
+        return Promise.all(docs.map(doc => this.#present(physical, doc)));
+    }
+
+    async set(collection, keyOrQuery, data, options) {
+        const physical = this.#collection(collection);
+        let key = keyOrQuery;
+        if (this.#partitioned) {
+            const schema = await this.#keySchema(physical);
+            data = this.#mapDataWith(schema, data);
+            if (!schema.partitionKey) {
+                if (keyOrQuery === null || keyOrQuery === undefined || typeof keyOrQuery === 'object') {
+                    throw new ValidationError(`Tenant ${this.#tenantId} writes need a document ID under the partition scheme, not a filter.`);
+                }
+                key = this.#prefixValue(keyOrQuery);
+            }
+        }
+        return this.#present(physical, await this.#adapter.set(physical, key, data, options));
+    }
+
+    async update(collection, key, ops) {
+        const physical = this.#collection(collection);
+        if (this.#partitioned && Array.isArray(ops)) {
+            const { tenantField } = this.#tenancy;
+            if (ops.some(({ field }) => field === tenantField || String(field).startsWith(`${tenantField}.`))) {
+                throw this.#crossTenant(`${tenantField} cannot be updated`);
+            }
+            // An update may create the document, which must then belong to the tenant too.
+            ops = [...ops, { op: 'set', field: tenantField, value: this.#tenantId }];
+        }
+        return this.#present(physical, await this.#adapter.update(physical, await this.#mapKey(physical, key), ops));
+    }
+
+    async fetch(collection, query, options) {
+        const physical = this.#collection(collection);
+        const docs = await this.#adapter.fetch(physical, await this.#query(physical, query), options);
+        return Promise.all(docs.map(doc => this.#present(physical, doc)));
+    }
+
+    async fetchPage(collection, query, options) {
+        const physical = this.#collection(collection);
+        const page = await this.#adapter.fetchPage(physical, await this.#query(physical, query), options);
+        return { ...page, items: await Promise.all(page.items.map(doc => this.#present(physical, doc))) };
+    }
+
+    async *iterate(collection, query, options) {
+        const physical = this.#collection(collection);
+        for await (const doc of this.#adapter.iterate(physical, await this.#query(physical, query), options)) {
+            yield this.#present(physical, doc);
+        }
+    }
+
+    async batch(ops) {
+        if (!Array.isArray(ops)) {
+            throw new ValidationError('batch() needs a non-empty array of operations.');
+        }
+        const mapped = await Promise.all(ops.map(async op => {
+            const physical = this.#collection(op.collection);
+            const schema = this.#partitioned ? await this.#keySchema(physical) : {};
+            return {
+                ...op,
+                collection: physical,
+                key: this.#mapKeyWith(schema, op.key),
+                ...(op.type === 'set' && { data: this.#mapDataWith(schema, op.data) }),
+            };
+        }));
+        return this.#adapter.batch(mapped);
+    }
+
+    /**
+     * Runs a transaction on the tenant's data. Under the partition scheme on DynamoDB, the key
+     * schema of a collection written with `tx.set` or `tx.delete` must be known before the write:
+     * declare it in keySchemas, or `tx.get` from the collection first.
+     */
+    async transaction(fn) {
+        return this.#adapter.transaction(async tx => {
+            const schemaOf = physical => {
+                if (!this.#partitioned) return {};
+                const schema = this.#keySchemas.get(physical);
+                if (!schema) {
+                    if (this.#adapter.type === 'dynamodb') {
+                        throw new ValidationError(`The key schema of "${physical}" is not known yet; declare it in keySchemas or read from the collection first.`);
+                    }
+                    return { idField: this.#adapter.type === 'mongodb' ? '_id' : 'id' };
+                }
+                return schema;
+            };
+            return fn({
+                get: async (collection, key) => {
+                    const physical = this.#collection(collection);
+                    return this.#present(physical, await tx.get(physical, await this.#mapKey(physical, key)));
+                },
+                set: (collection, key, data) => {
+                    const physical = this.#collection(collection);
+                    const schema = schemaOf(physical);
+                    return tx.set(physical, this.#mapKeyWith(schema, key), this.#mapDataWith(schema, data));
+                },
+                delete: (collection, key) => {
+                    const physical = this.#collection(collection);
+                    return tx.delete(physical, this.#mapKeyWith(schemaOf(physical), key));
+                },
+            });
+        });
+    }
+
+    async delete(collection, key, options) {
+        const physical = this.#collection(collection);
+        return this.#adapter.delete(physical, await this.#mapKey(physical, key), options);
+    }
+
+    async deleteMany(collection, query, options) {
+        const physical = this.#collection(collection);
+        return this.#adapter.deleteMany(physical, await this.#query(physical, query), options);
+    }
+
+    async configureExpiry(collection) {
+        return this.#adapter.configureExpiry(this.#collection(collection));
+    }
+
+    async watch(collection, query, handler, options) {
+        const physical = this.#collection(collection);
+        const schema = this.#partitioned ? await this.#keySchema(physical) : {};
+        return this.#adapter.watch(physical, await this.#query(physical, query), async event => handler({
+            ...event,
+            id: this.#unmapKeyWith(schema, event.id),
+            doc: this.#presentWith(schema, event.doc),
+        }), options);
+    }
+}
@@ -6,7 +6,81 @@ const __dirname = path.dirname(__filename);
 
 export const DATABASE_TYPE = process.env.DATABASE_TYPE || 'firestore'; 
 
+// Where cached documents live: 'redis' (the FnRedis cluster), 'redis-standalone', 'lru', 'memory' or 'none'
+export const CACHE_TYPE = process.env.CACHE_TYPE || 'redis';
+
+// A prefix for the adapter's cache keys, e.g. 'cache:'. Defaults to 'cache:' when DATABASE_TYPE is redis,
+// so cache entries never land on the documents' own `collection:id` keys, and to none otherwise.
+export const CACHE_KEY_PREFIX = process.env.CACHE_KEY_PREFIX;
+
 // Add a default cache expiry time in seconds (e.g., 1 hour)
 export const DEFAULT_CACHE_EXPIRY = parseInt(process.env.DEFAULT_CACHE_EXPIRY, 10) || 3600;
 
+// How long a lookup of a missing document is remembered, in seconds (0 disables it)
+export const DEFAULT_NEGATIVE_CACHE_EXPIRY = parseInt(process.env.DEFAULT_NEGATIVE_CACHE_EXPIRY ?? '60', 10);
+
+// Per-collection cache TTLs as JSON, e.g. '{"products":{"ttl":300},"sessions":{"ttl":60,"negativeTtl":0}}'
+export const CACHE_POLICIES = process.env.CACHE_POLICIES ? JSON.parse(process.env.CACHE_POLICIES) : {};
+
+// Per-collection key schemas as JSON, e.g. '{"orders":{"partitionKey":"customerId","sortKey":"orderId"},"users":{"idField":"_id"}}'
+// Undeclared collections are keyed by document ID, or by the table's own key schema on DynamoDB.
+export const KEY_SCHEMAS = process.env.KEY_SCHEMAS ? JSON.parse(process.env.KEY_SCHEMAS) : {};
+
+// Per-collection document lifecycles as JSON, e.g. '{"sessions":{"ttl":900},"orders":{"softDelete":true}}'
+// `ttl` (seconds) sets expiresAt on every write; `softDelete` makes delete() tombstone documents with deletedAt.
+export const DOCUMENT_POLICIES = process.env.DOCUMENT_POLICIES ? JSON.parse(process.env.DOCUMENT_POLICIES) : {};
+
+// How adapter.forTenant() isolates tenants, as JSON, e.g. '{"scheme":"subcollection","root":"tenants"}'
+// Schemes: "prefix" (tenant.collection), "partition" (tenant#id keys in shared collections), "subcollection" (Firestore only)
+export const TENANCY = process.env.TENANCY ? JSON.parse(process.env.TENANCY) : { scheme: 'prefix' };
+
+// Default number of documents returned per page by fetchPage/iterate
+export const DEFAULT_PAGE_SIZE = parseInt(process.env.DEFAULT_PAGE_SIZE, 10) || 100;
+
+// The library's log level: 'silent', 'error', 'warn', 'info' or 'debug' (see ../logger.js).
+// Unset, nothing is logged unless a logger is injected with configureLogging().
+export const LOG_LEVEL = process.env.LOG_LEVEL;
+
+// Timeout, retry and circuit-breaker policies per dependency as JSON (see ../resilience.js). Timed-out calls are
+// aborted and, unless a policy sets "retryTimeouts":true, not retried. E.g.
+// '{"database":{"timeout":{"default":5000,"fetch":15000},"retries":3},"cache":{"timeout":200},"stripe":false}'
+export const RESILIENCE = process.env.RESILIENCE ? JSON.parse(process.env.RESILIENCE) : {};
+
+// Milliseconds between polls when watch() falls back to polling (DynamoDB, memory)
+export const WATCH_POLL_INTERVAL = parseInt(process.env.WATCH_POLL_INTERVAL, 10) || 5000;
+
+// MongoDB connection settings. Without MONGODB_DB_NAME the database named in the URI is used.
+export const MONGODB_URI = process.env.MONGODB_URI;
+export const MONGODB_DB_NAME = process.env.MONGODB_DB_NAME;
+export const MONGODB_OPTIONS = {
+    maxPoolSize: parseInt(process.env.MONGODB_MAX_POOL_SIZE, 10) || 10,
+    serverSelectionTimeoutMS: parseInt(process.env.MONGODB_SERVER_SELECTION_TIMEOUT_MS, 10) || 30000,
+    // Any other MongoClient option can be passed as JSON, e.g. '{"tls":true,"replicaSet":"rs0"}'
+    ...(process.env.MONGODB_OPTIONS ? JSON.parse(process.env.MONGODB_OPTIONS) : {}),
+};
+
+// Redis connection settings. REDIS_MODE is 'cluster', 'standalone' or 'sentinel'.
+const parseRedisNodes = list => list.split(',').map(node => {
+    const [host, port] = node.trim().split(':');
+    return { host, port: parseInt(port, 10) || 6379 };
+});
+export const REDIS_MODE = process.env.REDIS_MODE || 'cluster';
+export const REDIS_HOST = process.env.REDIS_HOST || 'localhost';
+export const REDIS_PORT = parseInt(process.env.REDIS_PORT, 10) || 6379;
+// Cluster startup nodes as "host:port,host:port"; ioredis discovers the rest. Defaults to REDIS_HOST:REDIS_PORT.
+export const REDIS_CLUSTER_NODES = process.env.REDIS_CLUSTER_NODES
+    ? parseRedisNodes(process.env.REDIS_CLUSTER_NODES)
+    : [{ host: REDIS_HOST, port: REDIS_PORT }];
+// Sentinels as "host:port,host:port", and the name of the master they monitor
+export const REDIS_SENTINELS = process.env.REDIS_SENTINELS ? parseRedisNodes(process.env.REDIS_SENTINELS) : [];
+export const REDIS_SENTINEL_NAME = process.env.REDIS_SENTINEL_NAME || 'mymaster';
+// Set to 'true' to connect over TLS; certificate settings go in REDIS_OPTIONS' "tls" object
+export const REDIS_TLS = process.env.REDIS_TLS === 'true';
+export const REDIS_OPTIONS = {
+    username: process.env.REDIS_USERNAME,
+    password: process.env.REDIS_PASSWORD,
+    // Any other ioredis option can be passed as JSON, e.g. '{"db":2,"tls":{"servername":"cache.example.com"}}'
+    ...(process.env.REDIS_OPTIONS ? JSON.parse(process.env.REDIS_OPTIONS) : {}),
+};
+
 export const serviceAccountPath = path.resolve(__dirname, 'serviceAccountKey.json');
\ No newline at end of file
@@ -1,16 +1,171 @@
-import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, QueryCommand, ScanCommand } from "@aws-sdk/lib-dynamodb";
+import { DynamoDBClient, DescribeTableCommand, DescribeTimeToLiveCommand, ListTablesCommand, UpdateTimeToLiveCommand } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, QueryCommand, ScanCommand, DeleteCommand, BatchGetCommand, BatchWriteCommand, TransactGetCommand, TransactWriteCommand } from "@aws-sdk/lib-dynamodb";
+import { getField, normalizeQuery } from '../query.js';
+import { applyUpdate } from '../update.js';
+import { decodeCursor, encodeCursor } from '../cursor.js';
+import { VERSION_FIELD, newVersion, versionConflict, withoutVersion } from '../versioning.js';
+import { EXPIRY_FIELD } from '../lifecycle.js';
+import { RateLimitedError, ValidationError, toDatabaseError } from '../errors.js';
+import { createLogger } from '../../logger.js';
+import { attemptSignal } from '../../resilience.js';
 
 const AWS_REGION = process.env.AWS_REGION || 'us-east-1';
+// Optional endpoint override, e.g. http://localhost:8000 for DynamoDB Local.
+const DYNAMODB_ENDPOINT = process.env.DYNAMODB_ENDPOINT;
 
-class FnDynamoDBService {
+// TransactWriteItems accepts at most 100 actions per call.
+const TRANSACTION_LIMIT = 100;
+// Attempts for a read-modify-write transaction (or array update) whose reads changed before commit.
+const MAX_TRANSACTION_ATTEMPTS = 3;
+
+// Operators DynamoDB accepts on a sort key inside a KeyConditionExpression.
+const KEY_CONDITION_OPERATORS = ['==', '<', '<=', '>', '>='];
+
+// BatchWriteItem accepts at most 25 put/delete requests per call, BatchGetItem at most 100 keys.
+const BATCH_WRITE_LIMIT = 25;
+const BATCH_GET_LIMIT = 100;
+const MAX_BATCH_RETRIES = 5;
+
+const log = createLogger('dynamodb');
+
+/**
+ * Raw DynamoDB params are recognised by their PascalCase keys (e.g. `KeyConditionExpression`).
+ * @param {object|Array<object>} query - The query passed to `fetch`.
+ * @returns {boolean} True if the query should be sent to DynamoDB unchanged.
+ */
+function isNativeParams(query) {
+    return !Array.isArray(query) && Object.keys(query || {}).some(key => /^[A-Z]/.test(key));
+}
+
+function readKeySchema(keySchema) {
+    return {
+        hashKey: keySchema.find(key => key.KeyType === 'HASH').AttributeName,
+        rangeKey: keySchema.find(key => key.KeyType === 'RANGE')?.AttributeName,
+    };
+}
+
+/**
+ * Collects ExpressionAttributeNames/Values placeholders while an expression is built.
+ */
+function createExpressionContext() {
+    const names = {};
+    const values = {};
+    let nameCount = 0;
+    let valueCount = 0;
+    return {
+        names,
+        values,
+        name(path) {
+            return path.split('.').map(segment => {
+                const placeholder = `#n${nameCount++}`;
+                names[placeholder] = segment;
+                return placeholder;
+            }).join('.');
+        },
+        value(value) {
+            const placeholder = `:v${valueCount++}`;
+            values[placeholder] = value;
+            return placeholder;
+        },
+    };
+}
+
+function toExpression(expression, { field, op, value }) {
+    const name = expression.name(field);
+    switch (op) {
+        case '==':
+            return `${name} = ${expression.value(value)}`;
+        case 'in':
+            return `${name} IN (${value.map(v => expression.value(v)).join(', ')})`;
+        case 'array-contains':
+            return `contains(${name}, ${expression.value(value)})`;
+        default:
+            return `${name} ${op} ${expression.value(value)}`;
+    }
+}
+
+function itemIdentity(collectionName, primaryKey) {
+    const sorted = Object.keys(primaryKey).sort().map(name => [name, primaryKey[name]]);
+    return `${collectionName}:${JSON.stringify(sorted)}`;
+}
+
+/**
+ * Builds a condition asserting that an item still looks exactly as it did when read:
+ * absent if it was absent, otherwise with every top-level attribute unchanged.
+ * @returns {object} ConditionExpression and its attribute names/values.
+ */
+function unchangedCondition(primaryKey, item) {
+    const expression = createExpressionContext();
+    const ConditionExpression = item
+        ? Object.keys(item).map(name => `${expression.name(name)} = ${expression.value(item[name])}`).join(' AND ')
+        : `attribute_not_exists(${expression.name(Object.keys(primaryKey)[0])})`;
+    return {
+        ConditionExpression,
+        ExpressionAttributeNames: expression.names,
+        ...(Object.keys(expression.values).length > 0 && { ExpressionAttributeValues: expression.values }),
+    };
+}
+
+/**
+ * Picks the table or index key that can serve the query, preferring one whose sort key
+ * is also constrained or ordered on.
+ * @returns {object|undefined} The chosen key, or undefined if only a Scan can serve the query.
+ */
+function chooseKey(schema, where, orderBy) {
+    const candidates = [schema, ...schema.indexes]
+        .filter(key => where.some(c => c.field === key.hashKey && c.op === '=='));
+    const score = key => (key.rangeKey && where.some(c => c.field === key.rangeKey) ? 1 : 0)
+        + (key.rangeKey && orderBy[0]?.field === key.rangeKey ? 1 : 0);
+    return candidates.reduce((best, key) => (!best || score(key) > score(best) ? key : best), undefined);
+}
+
+export class FnDynamoDBService {
     #client;
+    #options;
+    #keySchemas = new Map();
 
-    constructor() {
-        this.#client = DynamoDBDocumentClient.from(
-            new DynamoDBClient({ region: AWS_REGION })
+    /**
+     * @param {object} [options={}] - DynamoDBClient configuration (region, endpoint, credentials...) overriding the environment defaults.
+     */
+    constructor(options = {}) {
+        this.#options = options;
+        this.#client = this.#createClient();
+        log.info('DynamoDB client initialized', { region: AWS_REGION, endpoint: DYNAMODB_ENDPOINT });
+    }
+
+    #createClient() {
+        return DynamoDBDocumentClient.from(
+            new DynamoDBClient({ region: AWS_REGION, endpoint: DYNAMODB_ENDPOINT, ...this.#options })
         );
-        console.log('DynamoDB client initialized.');
+    }
+
+    // Sends a command, aborted if the call it is part of times out (see ../../resilience.js).
+    #send(command) {
+        return this.#client.send(command, { abortSignal: attemptSignal() });
+    }
+
+    /**
+     * Checks that DynamoDB answers, and that the credentials are accepted, by listing one table.
+     * @returns {Promise<void>}
+     */
+    async ping() {
+        try {
+            await this.#send(new ListTablesCommand({ Limit: 1 }));
+        } catch (error) {
+            throw toDatabaseError(error, 'dynamodb');
+        }
+    }
+
+    /**
+     * Closes the client's open sockets. Requests are not queued, so there is nothing to drain
+     * beyond the adapter's in-flight operations; the next call gets a new client.
+     * @returns {Promise<void>}
+     */
+    async close() {
+        const client = this.#client;
+        this.#client = this.#createClient();
+        client.destroy();
+        log.info('DynamoDB client closed');
     }
 
     /**
@@ -25,66 +180,521 @@ class FnDynamoDBService {
             Key: primaryKey,
         };
         try {
-            const data = await this.#client.send(new GetCommand(params));
+            const data = await this.#send(new GetCommand(params));
             return data.Item || null;
         } catch (error) {
-            console.error('Error getting document from DynamoDB:', error);
-            throw error;
+            log.debug('DynamoDB operation failed', { operation: 'get', collection: collectionName, error });
+            throw toDatabaseError(error, 'dynamodb');
+        }
+    }
+
+    /**
+     * Gets several items with BatchGetItem, 100 keys per call, retrying unprocessed keys with backoff.
+     * @param {string} collectionName - The name of the DynamoDB table.
+     * @param {Array<object>} primaryKeys - The primary keys of the items.
+     * @returns {Promise<Array<object|null>>} The items in the order of `primaryKeys`, with null for missing ones.
+     */
+    async getMany(collectionName, primaryKeys) {
+        try {
+            // BatchGetItem rejects duplicate keys, and returns items in no particular order.
+            const unique = new Map(primaryKeys.map(key => [itemIdentity(collectionName, key), key]));
+            const keyNames = primaryKeys.length > 0 ? Object.keys(primaryKeys[0]) : [];
+            const found = new Map();
+
+            const keys = [...unique.values()];
+            for (let i = 0; i < keys.length; i += BATCH_GET_LIMIT) {
+                let pending = { [collectionName]: { Keys: keys.slice(i, i + BATCH_GET_LIMIT) } };
+                for (let attempt = 0; pending && Object.keys(pending).length > 0; attempt++) {
+                    if (attempt > MAX_BATCH_RETRIES) {
+                        throw new RateLimitedError(`BatchGetItem left unprocessed keys in table ${collectionName} after ${MAX_BATCH_RETRIES} retries.`, { backend: 'dynamodb' });
+                    }
+                    if (attempt > 0) {
+                        await new Promise(resolve => setTimeout(resolve, 50 * 2 ** attempt));
+                    }
+                    const data = await this.#send(new BatchGetCommand({ RequestItems: pending }));
+                    for (const item of data.Responses?.[collectionName] || []) {
+                        const key = Object.fromEntries(keyNames.map(name => [name, item[name]]));
+                        found.set(itemIdentity(collectionName, key), item);
+                    }
+                    pending = data.UnprocessedKeys;
+                }
+            }
+            return primaryKeys.map(key => found.get(itemIdentity(collectionName, key)) || null);
+        } catch (error) {
+            log.debug('DynamoDB operation failed', { operation: 'getMany', collection: collectionName, error });
+            throw toDatabaseError(error, 'dynamodb');
         }
     }
 
     /**
      * Sets or updates a document in a table. Assumes primary key is in data.
+     * A conditional write adds a ConditionExpression on the stored `_version` (`ifVersion`) or
+     * on the item's absence (`ifNotExists`), and throws a ConflictError when it fails.
      * @param {string} collectionName - The name of the DynamoDB table.
      * @param {object} data - The entire item data, including the primary key.
+     * @param {object} [condition={}] - { ifVersion, ifNotExists }; see ../versioning.js.
      * @returns {Promise<object>} The updated document.
      */
-    async set(collectionName, data) {
+    async set(collectionName, data, condition = {}) {
+        const { ifVersion, ifNotExists } = condition;
+        const item = { ...withoutVersion(data), [VERSION_FIELD]: newVersion() };
         const params = {
             TableName: collectionName,
-            Item: data,
+            Item: item,
             ReturnValues: 'ALL_OLD', // or 'NONE'
         };
         try {
-            await this.#client.send(new PutCommand(params));
-            return data;
+            if (ifNotExists) {
+                const { hashKey } = await this.#getKeySchema(collectionName);
+                params.ConditionExpression = 'attribute_not_exists(#hash)';
+                params.ExpressionAttributeNames = { '#hash': hashKey };
+            } else if (ifVersion !== undefined) {
+                params.ConditionExpression = '#version = :version';
+                params.ExpressionAttributeNames = { '#version': VERSION_FIELD };
+                params.ExpressionAttributeValues = { ':version': ifVersion };
+            }
+
+            try {
+                await this.#send(new PutCommand(params));
+            } catch (error) {
+                if (error.name === 'ConditionalCheckFailedException' && params.ConditionExpression) {
+                    const { hashKey, rangeKey } = await this.#getKeySchema(collectionName);
+                    const primaryKey = { [hashKey]: data[hashKey], ...(rangeKey && { [rangeKey]: data[rangeKey] }) };
+                    throw versionConflict(collectionName, primaryKey, condition);
+                }
+                throw error;
+            }
+            return item;
         } catch (error) {
-            console.error('Error setting document in DynamoDB:', error);
-            throw error;
+            log.debug('DynamoDB operation failed', { operation: 'set', collection: collectionName, error });
+            throw toDatabaseError(error, 'dynamodb');
         }
     }
 
     /**
-     * Fetches documents from a table using Query or Scan. Uses Scan for generic filters.
-     * WARNING: `Scan` can be very inefficient on large tables. Prefer `Query` with a primary key.
+     * Fetches documents from a table. A portable query uses Query when it has an equality
+     * condition on the partition key of the table or one of its indexes, and otherwise
+     * falls back to a (warned) Scan. Raw DynamoDB params (`KeyConditionExpression`,
+     * `FilterExpression`, ...) are still passed through unchanged.
      * @param {string} collectionName - The name of the DynamoDB table.
-     * @param {object} [filters] - Optional filters. Use a `KeyConditionExpression` for Query or `FilterExpression` for Scan.
+     * @param {object|Array<object>} [query] - A portable query or raw Query/Scan params.
      * @returns {Promise<Array<object>>} An array of documents.
      */
-    async fetch(collectionName, filters = {}) {
-        let command;
-        let params = {
+    async fetch(collectionName, query = {}) {
+        try {
+            const { Command, params, limit } = await this.#buildRequest(collectionName, query);
+            const { items } = await this.#collect(Command, params, { limit });
+            return items;
+        } catch (error) {
+            log.debug('DynamoDB operation failed', { operation: 'fetch', collection: collectionName, error });
+            throw toDatabaseError(error, 'dynamodb');
+        }
+    }
+
+    /**
+     * Fetches one page of documents. The cursor wraps DynamoDB's LastEvaluatedKey.
+     * @param {string} collectionName - The name of the DynamoDB table.
+     * @param {object|Array<object>} [query] - A portable query or raw Query/Scan params.
+     * @param {object} options - { pageSize: number, cursor: string|null }.
+     * @returns {Promise<{ items: Array<object>, nextCursor: string|null }>}
+     */
+    async fetchPage(collectionName, query = {}, { pageSize, cursor }) {
+        try {
+            const request = isNativeParams(query) ? query : { ...normalizeQuery(query), limit: undefined };
+            const { Command, params } = await this.#buildRequest(collectionName, request);
+            const { items, lastEvaluatedKey } = await this.#collect(Command, params, {
+                limit: pageSize,
+                exclusiveStartKey: cursor ? decodeCursor(cursor) : undefined,
+                exact: true,
+            });
+            return { items, nextCursor: lastEvaluatedKey ? encodeCursor(lastEvaluatedKey) : null };
+        } catch (error) {
+            log.debug('DynamoDB operation failed', { operation: 'fetchPage', collection: collectionName, error });
+            throw toDatabaseError(error, 'dynamodb');
+        }
+    }
+
+    /**
+     * Deletes a single document by its primary key.
+     * @param {string} collectionName - The name of the DynamoDB table.
+     * @param {object} primaryKey - The primary key of the item, e.g., { id: 'doc123' }.
+     * @returns {Promise<boolean>} True if an item was deleted, false if none existed.
+     */
+    async delete(collectionName, primaryKey) {
+        const params = {
             TableName: collectionName,
+            Key: primaryKey,
+            ReturnValues: 'ALL_OLD',
         };
-        
-        // Use Query if filters include a KeyConditionExpression
-        if (filters.KeyConditionExpression) {
-            params = { ...params, ...filters };
-            command = new QueryCommand(params);
+        try {
+            const data = await this.#send(new DeleteCommand(params));
+            return Boolean(data.Attributes);
+        } catch (error) {
+            log.debug('DynamoDB operation failed', { operation: 'delete', collection: collectionName, error });
+            throw toDatabaseError(error, 'dynamodb');
+        }
+    }
+
+    /**
+     * Deletes every item matching the query using BatchWriteItem.
+     * Matching items are read with Query/Scan, so the same `fetch` caveats apply.
+     * @param {string} collectionName - The name of the DynamoDB table.
+     * @param {object|Array<object>} [query] - A portable query or raw Query/Scan params.
+     * @returns {Promise<Array<object>>} The primary keys of the deleted items.
+     */
+    async deleteMany(collectionName, query = {}) {
+        try {
+            const { hashKey, rangeKey } = await this.#getKeySchema(collectionName);
+            const keyAttributes = [hashKey, rangeKey].filter(Boolean);
+            // The whole item is read, so a projection would only risk dropping key attributes.
+            const request = isNativeParams(query) ? query : { ...normalizeQuery(query), select: undefined };
+            const { Command, params, limit } = await this.#buildRequest(collectionName, request);
+            const { items } = await this.#collect(Command, params, { limit });
+            const keys = items.map(item => Object.fromEntries(keyAttributes.map(name => [name, item[name]])));
+
+            for (let i = 0; i < keys.length; i += BATCH_WRITE_LIMIT) {
+                const requests = keys
+                    .slice(i, i + BATCH_WRITE_LIMIT)
+                    .map(Key => ({ DeleteRequest: { Key } }));
+                await this.#batchWrite(collectionName, requests);
+            }
+            return keys;
+        } catch (error) {
+            log.debug('DynamoDB operation failed', { operation: 'deleteMany', collection: collectionName, error });
+            throw toDatabaseError(error, 'dynamodb');
+        }
+    }
+
+    /**
+     * Applies update operations with one UpdateItem, creating the item if missing.
+     * Increments, set-field and unset-field are native SET/REMOVE actions. DynamoDB lists cannot
+     * be changed by value, so array operations read the item, compute the new lists and write
+     * them on condition that the item's version is unchanged, retrying if it changed.
+     * Nested fields need their parent map to exist already.
+     * @param {string} collectionName - The name of the DynamoDB table.
+     * @param {object} primaryKey - The primary key of the item, e.g., { id: 'doc123' }.
+     * @param {Array<object>} ops - Validated update operations (see ../update.js).
+     * @returns {Promise<object>} The updated item.
+     */
+    async update(collectionName, primaryKey, ops) {
+        const arrayOps = ops.filter(({ op }) => op === 'array-union' || op === 'array-remove');
+
+        for (let attempt = 1; ; attempt++) {
+            const expression = createExpressionContext();
+            const sets = [`${expression.name(VERSION_FIELD)} = ${expression.value(newVersion())}`];
+            const removes = [];
+            let ConditionExpression;
+
+            try {
+                if (arrayOps.length > 0) {
+                    const { Item: current } = await this.#send(new GetCommand({ TableName: collectionName, Key: primaryKey, ConsistentRead: true }));
+                    const updated = applyUpdate(current || {}, arrayOps);
+                    for (const { field } of arrayOps) {
+                        sets.push(`${expression.name(field)} = ${expression.value(getField(updated, field))}`);
+                    }
+                    if (!current) {
+                        ConditionExpression = `attribute_not_exists(${expression.name(Object.keys(primaryKey)[0])})`;
+                    } else if (current[VERSION_FIELD] === undefined) {
+                        ConditionExpression = `attribute_not_exists(${expression.name(VERSION_FIELD)})`;
+                    } else {
+                        ConditionExpression = `${expression.name(VERSION_FIELD)} = ${expression.value(current[VERSION_FIELD])}`;
+                    }
+                }
+                for (const { op, field, value } of ops) {
+                    const name = expression.name(field);
+                    if (op === 'increment') {
+                        sets.push(`${name} = if_not_exists(${name}, ${expression.value(0)}) + ${expression.value(value)}`);
+                    } else if (op === 'set') {
+                        sets.push(`${name} = ${expression.value(value)}`);
+                    } else if (op === 'unset') {
+                        removes.push(name);
+                    }
+                }
+
+                const { Attributes } = await this.#send(new UpdateCommand({
+                    TableName: collectionName,
+                    Key: primaryKey,
+                    UpdateExpression: `SET ${sets.join(', ')}${removes.length > 0 ? ` REMOVE ${removes.join(', ')}` : ''}`,
+                    ...(ConditionExpression && { ConditionExpression }),
+                    ExpressionAttributeNames: expression.names,
+                    ExpressionAttributeValues: expression.values,
+                    ReturnValues: 'ALL_NEW',
+                }));
+                return Attributes;
+            } catch (error) {
+                if (error.name === 'ConditionalCheckFailedException' && attempt < MAX_TRANSACTION_ATTEMPTS) {
+                    continue;
+                }
+                log.debug('DynamoDB operation failed', { operation: 'update', collection: collectionName, error });
+                throw toDatabaseError(error, 'dynamodb');
+            }
+        }
+    }
+
+    /**
+     * Applies set/delete operations atomically with TransactWriteItems.
+     * Set operations write `data` as the whole item, with the primary key in `key` merged over it.
+     * @param {Array<object>} ops - `{ type: 'set'|'delete', collection, key, data }` operations.
+     * @returns {Promise<void>}
+     */
+    async batch(ops) {
+        if (ops.length > TRANSACTION_LIMIT) {
+            throw new ValidationError(`A DynamoDB transaction accepts at most ${TRANSACTION_LIMIT} operations; got ${ops.length}.`);
+        }
+        const TransactItems = ops.map(({ type, collection, key, data }) => (type === 'set'
+            ? { Put: { TableName: collection, Item: { ...withoutVersion(data), ...key, [VERSION_FIELD]: newVersion() } } }
+            : { Delete: { TableName: collection, Key: key } }));
+        try {
+            await this.#send(new TransactWriteCommand({ TransactItems }));
+        } catch (error) {
+            log.debug('DynamoDB operation failed', { operation: 'batch', error });
+            throw toDatabaseError(error, 'dynamodb');
+        }
+    }
+
+    /**
+     * Runs a read-modify-write transaction. Reads use TransactGetItems; writes are buffered and
+     * committed with TransactWriteItems, conditioned on every item read being unchanged. If one
+     * changed in the meantime the callback is run again, up to MAX_TRANSACTION_ATTEMPTS times,
+     * so it must not have side effects.
+     * @param {Function} fn - Receives `{ get, set, delete }` bound to the transaction.
+     * @returns {Promise<*>} The callback's result.
+     */
+    async transaction(fn) {
+        for (let attempt = 1; ; attempt++) {
+            const reads = new Map();
+            const writes = new Map();
+
+            const result = await fn({
+                get: async (collectionName, primaryKey) => {
+                    let Responses;
+                    try {
+                        ({ Responses } = await this.#send(new TransactGetCommand({
+                            TransactItems: [{ Get: { TableName: collectionName, Key: primaryKey } }],
+                        })));
+                    } catch (error) {
+                        log.debug('DynamoDB operation failed', { operation: 'transaction', collection: collectionName, error });
+                        throw toDatabaseError(error, 'dynamodb');
+                    }
+                    const item = Responses?.[0]?.Item || null;
+                    reads.set(itemIdentity(collectionName, primaryKey), { collectionName, primaryKey, item });
+                    return item;
+                },
+                set: (collectionName, primaryKey, data) => {
+                    const item = { ...withoutVersion(data), ...primaryKey, [VERSION_FIELD]: newVersion() };
+                    writes.set(itemIdentity(collectionName, primaryKey), { Put: { TableName: collectionName, Item: item } });
+                },
+                delete: (collectionName, primaryKey) => {
+                    writes.set(itemIdentity(collectionName, primaryKey), { Delete: { TableName: collectionName, Key: primaryKey } });
+                },
+            });
+            if (writes.size === 0) {
+                return result;
+            }
+
+            const TransactItems = [];
+            for (const [identity, write] of writes) {
+                const read = reads.get(identity);
+                const action = Object.values(write)[0];
+                if (read) {
+                    Object.assign(action, unchangedCondition(read.primaryKey, read.item));
+                }
+                TransactItems.push(write);
+            }
+            for (const [identity, { collectionName, primaryKey, item }] of reads) {
+                if (!writes.has(identity)) {
+                    TransactItems.push({ ConditionCheck: { TableName: collectionName, Key: primaryKey, ...unchangedCondition(primaryKey, item) } });
+                }
+            }
+            if (TransactItems.length > TRANSACTION_LIMIT) {
+                throw new ValidationError(`A DynamoDB transaction accepts at most ${TRANSACTION_LIMIT} items (writes plus reads); got ${TransactItems.length}.`);
+            }
+
+            try {
+                await this.#send(new TransactWriteCommand({ TransactItems }));
+                return result;
+            } catch (error) {
+                const conflicted = error.name === 'TransactionCanceledException'
+                    && (error.CancellationReasons || []).some(reason => reason.Code === 'ConditionalCheckFailed');
+                if (conflicted && attempt < MAX_TRANSACTION_ATTEMPTS) {
+                    continue;
+                }
+                log.debug('DynamoDB operation failed', { operation: 'transaction', error });
+                throw toDatabaseError(error, 'dynamodb');
+            }
+        }
+    }
+
+    /**
+     * Sends a BatchWriteItem request, retrying UnprocessedItems with exponential backoff.
+     * @param {string} collectionName - The name of the DynamoDB table.
+     * @param {Array<object>} requests - Up to 25 PutRequest/DeleteRequest entries.
+     */
+    async #batchWrite(collectionName, requests) {
+        let pending = { [collectionName]: requests };
+        for (let attempt = 0; pending && Object.keys(pending).length > 0; attempt++) {
+            if (attempt > MAX_BATCH_RETRIES) {
+                throw new RateLimitedError(`BatchWriteItem left unprocessed items in table ${collectionName} after ${MAX_BATCH_RETRIES} retries.`, { backend: 'dynamodb' });
+            }
+            if (attempt > 0) {
+                await new Promise(resolve => setTimeout(resolve, 50 * 2 ** attempt));
+            }
+            const data = await this.#send(new BatchWriteCommand({ RequestItems: pending }));
+            pending = data.UnprocessedItems;
+        }
+    }
+
+    /**
+     * Runs a Query/Scan across as many pages as needed to satisfy the limit.
+     * @param {Function} Command - QueryCommand or ScanCommand.
+     * @param {object} params - The request params.
+     * @param {object} [options] - { limit, exclusiveStartKey, exact }. With `exact`, `Limit` is
+     *   always sent so no matched item is skipped and the returned key resumes precisely.
+     * @returns {Promise<{ items: Array<object>, lastEvaluatedKey: object|undefined }>} The collected items.
+     */
+    async #collect(Command, params, { limit, exclusiveStartKey, exact = false } = {}) {
+        const items = [];
+        let ExclusiveStartKey = exclusiveStartKey;
+        do {
+            const pageParams = ExclusiveStartKey ? { ...params, ExclusiveStartKey } : { ...params };
+            // `Limit` caps items evaluated, not matched, so it only helps without a filter.
+            if (limit && (exact || !params.FilterExpression)) {
+                pageParams.Limit = limit - items.length;
+            }
+            const data = await this.#send(new Command(pageParams));
+            items.push(...(data.Items || []));
+            ExclusiveStartKey = data.LastEvaluatedKey;
+        } while (ExclusiveStartKey && !(limit && items.length >= limit));
+
+        return {
+            items: limit ? items.slice(0, limit) : items,
+            lastEvaluatedKey: ExclusiveStartKey,
+        };
+    }
+
+    /**
+     * Translates a portable query into Query or Scan params for a table.
+     * @param {string} collectionName - The name of the DynamoDB table.
+     * @param {object|Array<object>} query - A portable query or raw Query/Scan params.
+     * @returns {Promise<{ Command: Function, params: object, limit: number|undefined }>}
+     */
+    async #buildRequest(collectionName, query) {
+        if (isNativeParams(query)) {
+            return {
+                Command: query.KeyConditionExpression ? QueryCommand : ScanCommand,
+                params: { TableName: collectionName, ...query },
+                limit: undefined,
+            };
+        }
+
+        const { where, orderBy, limit, select } = normalizeQuery(query);
+        const schema = await this.#getKeySchema(collectionName);
+        const expression = createExpressionContext();
+        const params = { TableName: collectionName };
+
+        const key = chooseKey(schema, where, orderBy);
+        let filterConditions = where;
+        let Command = ScanCommand;
+
+        if (orderBy.length > 0) {
+            if (!key || orderBy.length > 1 || orderBy[0].field !== key.rangeKey) {
+                const fields = orderBy.map(o => o.field).join(', ');
+                throw new ValidationError(`DynamoDB can only order a Query by the sort key of the queried table or index; cannot order "${collectionName}" by ${fields}.`);
+            }
+            params.ScanIndexForward = orderBy[0].direction === 'asc';
+        }
+
+        if (key) {
+            Command = QueryCommand;
+            const hashCondition = where.find(c => c.field === key.hashKey && c.op === '==');
+            const rangeConditions = where.filter(c => c.field === key.rangeKey && KEY_CONDITION_OPERATORS.includes(c.op));
+            const keyConditions = [toExpression(expression, hashCondition)];
+            const used = [hashCondition];
+
+            const bounds = Object.fromEntries(rangeConditions.map(c => [c.op, c]));
+            if (rangeConditions.length === 2 && bounds['>='] && bounds['<=']) {
+                const name = expression.name(key.rangeKey);
+                keyConditions.push(`${name} BETWEEN ${expression.value(bounds['>='].value)} AND ${expression.value(bounds['<='].value)}`);
+                used.push(...rangeConditions);
+            } else if (rangeConditions.length > 0) {
+                keyConditions.push(toExpression(expression, rangeConditions[0]));
+                used.push(rangeConditions[0]);
+            }
+
+            params.KeyConditionExpression = keyConditions.join(' AND ');
+            if (key.indexName) {
+                params.IndexName = key.indexName;
+            }
+            filterConditions = where.filter(c => !used.includes(c));
         } else {
-            // Otherwise use Scan (less efficient)
-            params = { ...params, ...filters };
-            command = new ScanCommand(params);
+            log.warn('No equality condition on a partition key; falling back to a full table Scan', { operation: 'fetch', collection: collectionName });
         }
 
+        if (filterConditions.length > 0) {
+            params.FilterExpression = filterConditions.map(c => toExpression(expression, c)).join(' AND ');
+        }
+        if (select) {
+            params.ProjectionExpression = select.map(field => expression.name(field)).join(', ');
+        }
+        if (Object.keys(expression.names).length > 0) {
+            params.ExpressionAttributeNames = expression.names;
+        }
+        if (Object.keys(expression.values).length > 0) {
+            params.ExpressionAttributeValues = expression.values;
+        }
+
+        return { Command, params, limit };
+    }
+
+    /**
+     * Enables the table's TTL on the expiresAt attribute (epoch seconds), so DynamoDB deletes
+     * expired items, usually within a few days of their expiry.
+     * @param {string} collectionName - The name of the DynamoDB table.
+     * @returns {Promise<void>}
+     */
+    async configureExpiry(collectionName) {
         try {
-            const data = await this.#client.send(command);
-            // Handle pagination for large results (not implemented here for simplicity)
-            return data.Items;
+            const { TimeToLiveDescription } = await this.#send(new DescribeTimeToLiveCommand({ TableName: collectionName }));
+            const { TimeToLiveStatus, AttributeName } = TimeToLiveDescription ?? {};
+            if (AttributeName === EXPIRY_FIELD && ['ENABLED', 'ENABLING'].includes(TimeToLiveStatus)) {
+                return;
+            }
+            await this.#send(new UpdateTimeToLiveCommand({
+                TableName: collectionName,
+                TimeToLiveSpecification: { AttributeName: EXPIRY_FIELD, Enabled: true },
+            }));
+            log.info('Enabled TTL', { operation: 'configureExpiry', collection: collectionName, field: EXPIRY_FIELD });
         } catch (error) {
-            console.error('Error fetching documents from DynamoDB:', error);
-            throw error;
+            log.debug('DynamoDB operation failed', { operation: 'configureExpiry', collection: collectionName, error });
+            throw toDatabaseError(error, 'dynamodb');
+        }
+    }
+
+    /**
+     * Describes a table's primary key, so callers can build and validate keys for it.
+     * @param {string} collectionName - The name of the DynamoDB table.
+     * @returns {Promise<{ partitionKey: string, sortKey: string|undefined }>}
+     */
+    async keySchema(collectionName) {
+        const { hashKey, rangeKey } = await this.#getKeySchema(collectionName);
+        return { partitionKey: hashKey, sortKey: rangeKey };
+    }
+
+    /**
+     * Resolves (and memoizes) the key schema of a table and its secondary indexes.
+     * @param {string} collectionName - The name of the DynamoDB table.
+     * @returns {Promise<{ hashKey: string, rangeKey: string|undefined, indexes: Array<object> }>}
+     */
+    async #getKeySchema(collectionName) {
+        if (!this.#keySchemas.has(collectionName)) {
+            const { Table } = await this.#send(new DescribeTableCommand({ TableName: collectionName }));
+            const indexes = [...(Table.GlobalSecondaryIndexes || []), ...(Table.LocalSecondaryIndexes || [])];
+            this.#keySchemas.set(collectionName, {
+                ...readKeySchema(Table.KeySchema),
+                indexes: indexes.map(index => ({ indexName: index.IndexName, ...readKeySchema(index.KeySchema) })),
+            });
         }
+        return this.#keySchemas.get(collectionName);
     }
 }
 
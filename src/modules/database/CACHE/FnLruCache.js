@@ -0,0 +1,92 @@
+import { TagIndex } from './cacheStore.js';
+
+/**
+ * A bounded, in-process cache store that evicts the least recently used entry once
+ * `maxEntries` is reached. Use it alone for single-instance services, or in front of
+ * Redis in a tiered cache, where `maxTtl` bounds how stale a local copy can get after
+ * another instance changes the document.
+ */
+export class FnLruCacheService {
+    #entries = new Map();
+    #tags = new TagIndex(this.#entries);
+    #maxEntries;
+    #maxTtl;
+
+    /**
+     * @param {object} [options={}] - { maxEntries: number (default 1000), maxTtl: number in seconds, caps every entry's TTL }.
+     */
+    constructor({ maxEntries = 1000, maxTtl } = {}) {
+        this.#maxEntries = maxEntries;
+        this.#maxTtl = maxTtl;
+    }
+
+    async get(key) {
+        const entry = this.#entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.#entries.delete(key);
+            return null;
+        }
+        // Re-insert so the Map's insertion order tracks recency.
+        this.#entries.delete(key);
+        this.#entries.set(key, entry);
+        return JSON.parse(entry.value);
+    }
+
+    async getMany(keys) {
+        return Promise.all(keys.map(key => this.get(key)));
+    }
+
+    async set(key, data, expiresInSeconds) {
+        const ttl = this.#ttlFor(expiresInSeconds);
+        this.#entries.delete(key);
+        this.#entries.set(key, {
+            value: JSON.stringify(data),
+            expiresAt: ttl ? Date.now() + ttl * 1000 : null,
+        });
+        if (this.#entries.size > this.#maxEntries) {
+            this.#entries.delete(this.#entries.keys().next().value);
+        }
+    }
+
+    async delete(key) {
+        return this.#entries.delete(key);
+    }
+
+    async ttl(key) {
+        const expiresAt = this.#entries.get(key)?.expiresAt;
+        return expiresAt ? Math.max(Math.ceil((expiresAt - Date.now()) / 1000), 0) : null;
+    }
+
+    #ttlFor(expiresInSeconds) {
+        return this.#maxTtl && (!expiresInSeconds || expiresInSeconds > this.#maxTtl)
+            ? this.#maxTtl
+            : expiresInSeconds;
+    }
+
+    // Tagged keys are remembered for their TTL, capped like entries'.
+    async tag(tag, key, expiresInSeconds) {
+        this.#tags.add(tag, key, this.#ttlFor(expiresInSeconds));
+    }
+
+    async invalidateTag(tag) {
+        let removed = 0;
+        for (const key of this.#tags.take(tag)) {
+            if (this.#entries.delete(key)) removed++;
+        }
+        return removed;
+    }
+
+    /**
+     * The number of entries held, including expired ones not yet evicted.
+     * @returns {number}
+     */
+    get size() {
+        return this.#entries.size;
+    }
+}
+
+const instance = new FnLruCacheService();
+export default instance;
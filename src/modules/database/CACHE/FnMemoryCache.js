@@ -0,0 +1,106 @@
+import { TagIndex } from './cacheStore.js';
+
+/**
+ * An in-process stand-in for FnRedis's key/value API (get/set/delete), for tests and
+ * local development. Values are stored as JSON strings, so they round-trip exactly as
+ * they would through Redis (e.g. Dates come back as ISO strings).
+ */
+export class FnMemoryCacheService {
+    #entries = new Map();
+    #tags = new TagIndex(this.#entries);
+
+    /**
+     * Gets data by key.
+     * @param {string} key - The key of the data to retrieve.
+     * @returns {Promise<object|null>} The stored data, or null if missing or expired.
+     */
+    async get(key) {
+        const entry = this.#entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.#entries.delete(key);
+            return null;
+        }
+        return JSON.parse(entry.value);
+    }
+
+    /**
+     * Gets several keys.
+     * @param {Array<string>} keys - The keys of the data to retrieve.
+     * @returns {Promise<Array<object|null>>} The stored data in the order of `keys`, with null for misses.
+     */
+    async getMany(keys) {
+        return Promise.all(keys.map(key => this.get(key)));
+    }
+
+    /**
+     * Sets data with a key and optional expiration.
+     * @param {string} key - The key to store the data under.
+     * @param {object} data - The data to store.
+     * @param {number} [expiresInSeconds] - Optional expiration time in seconds.
+     * @returns {Promise<void>}
+     */
+    async set(key, data, expiresInSeconds) {
+        this.#entries.set(key, {
+            value: JSON.stringify(data),
+            expiresAt: expiresInSeconds ? Date.now() + expiresInSeconds * 1000 : null,
+        });
+    }
+
+    /**
+     * Deletes a key.
+     * @param {string} key - The key to delete.
+     * @returns {Promise<boolean>} True if the key existed and was deleted.
+     */
+    async delete(key) {
+        return (await this.get(key)) !== null && this.#entries.delete(key);
+    }
+
+    /**
+     * The time a key has left to live.
+     * @param {string} key - The key.
+     * @returns {Promise<number|null>} Seconds, rounded up; null if the key is missing or never expires.
+     */
+    async ttl(key) {
+        const expiresAt = this.#entries.get(key)?.expiresAt;
+        return expiresAt ? Math.max(Math.ceil((expiresAt - Date.now()) / 1000), 0) : null;
+    }
+
+    /**
+     * Records a key under a tag. Like the Redis tag set, the record lasts as long as the key's
+     * TTL; it also goes once the key itself is deleted or expires.
+     * @param {string} tag - The tag.
+     * @param {string} key - The tagged key.
+     * @param {number} [expiresInSeconds] - How long to remember the key, usually the entry's TTL.
+     * @returns {Promise<void>}
+     */
+    async tag(tag, key, expiresInSeconds) {
+        this.#tags.add(tag, key, expiresInSeconds);
+    }
+
+    /**
+     * Deletes every key recorded under a tag.
+     * @param {string} tag - The tag.
+     * @returns {Promise<number>} The number of keys deleted.
+     */
+    async invalidateTag(tag) {
+        let removed = 0;
+        for (const key of this.#tags.take(tag)) {
+            if (await this.delete(key)) removed++;
+        }
+        return removed;
+    }
+
+    /**
+     * Removes every entry, e.g. between tests.
+     */
+    clear() {
+        this.#entries.clear();
+        this.#tags.clear();
+    }
+}
+
+const instance = new FnMemoryCacheService();
+export default instance;
@@ -0,0 +1,27 @@
+/**
+ * A cache store that stores nothing, to turn caching off without changing call sites.
+ */
+export class FnNoopCacheService {
+    async get() {
+        return null;
+    }
+
+    async getMany(keys) {
+        return keys.map(() => null);
+    }
+
+    async set() {}
+
+    async delete() {
+        return false;
+    }
+
+    async tag() {}
+
+    async invalidateTag() {
+        return 0;
+    }
+}
+
+const instance = new FnNoopCacheService();
+export default instance;
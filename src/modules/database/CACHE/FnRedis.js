@@ -1,40 +1,143 @@
 import Redis from 'ioredis';
+import calculateSlot from 'cluster-key-slot';
+import { applyQuery, matchesWhere, normalizeQuery, projectDocument } from '../query.js';
+import { decodeCursor, encodeCursor } from '../cursor.js';
+import {
+    REDIS_MODE,
+    REDIS_HOST,
+    REDIS_PORT,
+    REDIS_CLUSTER_NODES,
+    REDIS_SENTINELS,
+    REDIS_SENTINEL_NAME,
+    REDIS_TLS,
+    REDIS_OPTIONS,
+} from '../../adaptors/config.js';
+import { ValidationError, toDatabaseError } from '../errors.js';
+import { createLogger } from '../../logger.js';
+import { probe, summarize } from '../../health.js';
 
-// Define the cluster startup nodes. ioredis will discover the rest.
-const REDIS_CLUSTER_NODES = [
-    { host: 'your_cluster_node_1_host', port: 6379 },
-    { host: 'your_cluster_node_2_host', port: 6379 },
-    // Add more nodes for initial connection discovery
-];
-
-// Configure the connection options
-const REDIS_OPTIONS = {
-    // Add your cluster options here (e.g., password)
-    password: process.env.REDIS_PASSWORD,
-    // Other options for resilience
+const log = createLogger('redis');
+
+// Resilience defaults; REDIS_OPTIONS and the constructor's options override them.
+const CONNECTION_DEFAULTS = {
     retryStrategy: (times) => Math.min(times * 50, 2000),
     maxRetriesPerRequest: 1,
-    enableTLS: false, // Set to true if using TLS
 };
 
-class FnRedisService {
+// The COUNT hint passed to SCAN when streaming a whole collection.
+const SCAN_BATCH_SIZE = 500;
+
+// Writes ARGV[1] to KEYS[1] only if the key is absent (ARGV[2] == 'absent') or its JSON value's
+// ARGV[3] field equals ARGV[4] (a missing field equals ''), expiring it in ARGV[5] seconds if given.
+// Returns 1 if written. One key, so it is safe on a cluster.
+const CONDITIONAL_SET_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if ARGV[2] == 'absent' then
+    if current then return 0 end
+elseif not current or (cjson.decode(current)[ARGV[3]] or '') ~= ARGV[4] then
+    return 0
+end
+if ARGV[5] ~= '' then
+    redis.call('SET', KEYS[1], ARGV[1], 'EX', ARGV[5])
+else
+    redis.call('SET', KEYS[1], ARGV[1])
+end
+return 1
+`;
+
+/**
+ * Documents are stored as JSON under `collection:id`. A collection name containing
+ * glob characters is used as a raw key pattern instead, as `fetch(pattern)` always did.
+ * @param {string} collection - The collection name or key pattern.
+ * @returns {string} The key pattern to match.
+ */
+function toKeyPattern(collection) {
+    return /[*?[]/.test(collection) ? collection : `${collection}:*`;
+}
+
+export class FnRedisService {
     #client;
+    #mode;
+    #nodes;
+    #host;
+    #port;
+    #sentinels;
+    #sentinelName;
+    #tls;
+    #options;
+    #warnedCollections = new Set();
+
+    /**
+     * The connection is opened on first use, not on construction. Every setting defaults to
+     * the REDIS_* values in ../../adaptors/config.js.
+     * @param {object} [config={}] - Connection settings:
+     *   { mode: 'cluster'|'standalone'|'sentinel', nodes: Array<{host, port}> (cluster), host, port (standalone),
+     *     sentinels: Array<{host, port}>, name: string (sentinel master name), tls: boolean|object, options: object (ioredis options) }.
+     */
+    constructor({
+        mode = REDIS_MODE,
+        nodes = REDIS_CLUSTER_NODES,
+        host = REDIS_HOST,
+        port = REDIS_PORT,
+        sentinels = REDIS_SENTINELS,
+        name = REDIS_SENTINEL_NAME,
+        tls = REDIS_TLS,
+        options = {},
+    } = {}) {
+        if (!['cluster', 'standalone', 'sentinel'].includes(mode)) {
+            throw new Error(`Unsupported Redis mode: ${mode}. Use "cluster", "standalone" or "sentinel".`);
+        }
+        this.#mode = mode;
+        this.#nodes = nodes;
+        this.#host = host;
+        this.#port = port;
+        this.#sentinels = sentinels;
+        this.#sentinelName = name;
+        this.#tls = tls;
+        this.#options = { ...CONNECTION_DEFAULTS, ...REDIS_OPTIONS, ...options };
+    }
 
-    constructor() {
-        this.connect();
+    /**
+     * Builds the ioredis client for the configured topology.
+     * @returns {Redis|Redis.Cluster} The client, connecting in the background.
+     */
+    #createClient() {
+        const { retryStrategy, tls: tlsOptions, ...options } = this.#options;
+        // `tls: true` uses Node's TLS defaults; an object, here or as options.tls, sets servername, certificates, etc.
+        const tls = this.#tls || tlsOptions ? { ...(typeof this.#tls === 'object' ? this.#tls : {}), ...tlsOptions } : undefined;
+
+        if (this.#mode === 'standalone') {
+            return new Redis({ host: this.#host, port: this.#port, retryStrategy, tls, ...options });
+        }
+        if (this.#mode === 'sentinel') {
+            return new Redis({
+                sentinels: this.#sentinels,
+                name: this.#sentinelName,
+                retryStrategy,
+                tls,
+                enableTLSForSentinelMode: Boolean(tls),
+                ...options,
+            });
+        }
+        return new Redis.Cluster(this.#nodes, {
+            clusterRetryStrategy: retryStrategy,
+            redisOptions: { tls, ...options },
+            // Managed TLS clusters (e.g. ElastiCache) issue certificates for host names, not the IPs the cluster reports.
+            ...(tls && { dnsLookup: (address, callback) => callback(null, address) }),
+        });
     }
 
     async connect() {
         if (!this.#client || !this.#client.status) {
             try {
-                this.#client = new Redis.Cluster(REDIS_CLUSTER_NODES, REDIS_OPTIONS);
+                this.#client = this.#createClient();
                 
                 // Add error handling
-                this.#client.on('error', (err) => console.error('Redis Cluster Error', err));
+                this.#client.on('error', (error) => log.error('Redis client error', { mode: this.#mode, error }));
                 
                 await new Promise((resolve, reject) => {
                     this.#client.on('ready', () => {
-                        console.log('Redis Cluster connected successfully.');
+                        log.info('Redis client connected', { mode: this.#mode });
                         resolve();
                     });
                     this.#client.on('error', (err) => {
@@ -43,13 +146,51 @@ class FnRedisService {
                 });
 
             } catch (error) {
-                console.error('Error connecting to Redis Cluster:', error);
-                process.exit(1);
+                log.error('Failed to connect to Redis', { mode: this.#mode, error });
+                // Drop the client so the next call connects afresh; a cache outage must not end the process.
+                this.#client?.disconnect();
+                this.#client = null;
+                throw toDatabaseError(error, 'redis');
             }
         }
         return this.#client;
     }
 
+    /**
+     * Checks the connection with a PING, connecting first if needed.
+     * @returns {Promise<void>}
+     */
+    async ping() {
+        try {
+            const client = await this.connect();
+            await client.ping();
+        } catch (error) {
+            throw toDatabaseError(error, 'redis');
+        }
+    }
+
+    /**
+     * Reports whether Redis answers, and how fast (see ../../health.js).
+     * @param {object} [options={}] - { timeout: ms to wait for the PING }.
+     * @returns {Promise<{ status: string, dependencies: object }>}
+     */
+    async healthCheck({ timeout } = {}) {
+        return summarize({ redis: await probe('redis', () => this.ping(), { timeout }) });
+    }
+
+    /**
+     * Closes the connection once the commands already sent are answered (QUIT). The next call connects again.
+     * @returns {Promise<void>}
+     */
+    async close() {
+        const client = this.#client;
+        this.#client = null;
+        if (client) {
+            await client.quit().catch(() => client.disconnect());
+            log.info('Redis client closed', { mode: this.#mode });
+        }
+    }
+
     /**
      * Gets data from Redis by key.
      * @param {string} key - The key of the data to retrieve.
@@ -61,8 +202,26 @@ class FnRedisService {
             const data = await client.get(key);
             return data ? JSON.parse(data) : null;
         } catch (error) {
-            console.error(`Error getting data for key: ${key}`, error);
-            throw error;
+            log.debug('Redis operation failed', { operation: 'get', key, error });
+            throw toDatabaseError(error, 'redis');
+        }
+    }
+
+    /**
+     * Gets several keys with one MGET per cluster hash slot.
+     * @param {Array<string>} keys - The keys of the data to retrieve.
+     * @returns {Promise<Array<object|null>>} The stored data in the order of `keys`, with null for missing keys.
+     */
+    async getMany(keys) {
+        if (keys.length === 0) {
+            return [];
+        }
+        try {
+            const client = await this.connect();
+            return await this.#readKeys(client, keys);
+        } catch (error) {
+            log.debug('Redis operation failed', { operation: 'getMany', keys: keys.length, error });
+            throw toDatabaseError(error, 'redis');
         }
     }
 
@@ -82,34 +241,348 @@ class FnRedisService {
             } else {
                 await client.set(key, serializedData);
             }
-            console.log(`Key "${key}" successfully set in Redis Cluster.`);
+            log.debug('Key written', { operation: 'set', key, ttl: expiresInSeconds });
+        } catch (error) {
+            log.debug('Redis operation failed', { operation: 'set', key, error });
+            throw toDatabaseError(error, 'redis');
+        }
+    }
+
+    /**
+     * The time a key has left to live, from PTTL.
+     * @param {string} key - The key.
+     * @returns {Promise<number|null>} Seconds, rounded up; null if the key is missing or never expires.
+     */
+    async ttl(key) {
+        try {
+            const client = await this.connect();
+            const remaining = await client.pttl(key);
+            return remaining >= 0 ? Math.ceil(remaining / 1000) : null;
+        } catch (error) {
+            log.debug('Redis operation failed', { operation: 'ttl', key, error });
+            throw toDatabaseError(error, 'redis');
+        }
+    }
+
+    /**
+     * Sets data only if a condition on the stored value holds, atomically.
+     * @param {string} key - The key to store the data under.
+     * @param {object} data - The data to store.
+     * @param {object} condition - { ifNotExists: true } or { field, equals }: the stored JSON's `field` must equal `equals`.
+     * @param {number} [expiresInSeconds] - Optional expiration time in seconds.
+     * @returns {Promise<boolean>} True if the data was written.
+     */
+    async setIf(key, data, { ifNotExists, field, equals }, expiresInSeconds) {
+        try {
+            const client = await this.connect();
+            const written = await client.eval(
+                CONDITIONAL_SET_SCRIPT, 1, key,
+                JSON.stringify(data), ifNotExists ? 'absent' : 'field', field ?? '', equals ?? '', expiresInSeconds ?? ''
+            );
+            return written === 1;
+        } catch (error) {
+            log.debug('Redis operation failed', { operation: 'setIf', key, error });
+            throw toDatabaseError(error, 'redis');
+        }
+    }
+
+    /**
+     * Records a key under a tag, in a Redis set, so the tag can be invalidated without KEYS.
+     * @param {string} tag - The tag, e.g. a collection's query index key.
+     * @param {string} key - The tagged key.
+     * @param {number} [expiresInSeconds] - Keeps the index alive at least as long as the key.
+     * @returns {Promise<void>}
+     */
+    async tag(tag, key, expiresInSeconds) {
+        try {
+            const client = await this.connect();
+            await client.sadd(tag, key);
+            if (expiresInSeconds) {
+                // Only ever extend the index's lifetime, so it outlives every key it lists. A new index
+                // has no expiry yet (TTL -1), so it gets this key's.
+                const remaining = await client.ttl(tag);
+                if (remaining < expiresInSeconds) {
+                    await client.expire(tag, expiresInSeconds);
+                }
+            }
+        } catch (error) {
+            log.debug('Redis operation failed', { operation: 'tag', key, tag, error });
+            throw toDatabaseError(error, 'redis');
+        }
+    }
+
+    /**
+     * Deletes every key recorded under a tag, then the tag's index.
+     * Keys are deleted one by one because they may live in different cluster slots.
+     * @param {string} tag - The tag.
+     * @returns {Promise<number>} The number of keys deleted.
+     */
+    async invalidateTag(tag) {
+        try {
+            const client = await this.connect();
+            const keys = await client.smembers(tag);
+            const results = await Promise.all(keys.map(key => client.del(key)));
+            await client.del(tag);
+            return results.filter(removed => removed > 0).length;
+        } catch (error) {
+            log.debug('Redis operation failed', { operation: 'invalidateTag', tag, error });
+            throw toDatabaseError(error, 'redis');
+        }
+    }
+
+    /**
+     * Runs commands atomically in a MULTI/EXEC block.
+     * In a cluster every key must hash to the same slot (use a `{hash tag}`), or Redis rejects it with CROSSSLOT.
+     * @param {Array<Array>} commands - Commands such as `['set', key, value]` or `['del', key]`.
+     * @returns {Promise<Array<*>>} The reply of each command.
+     */
+    async multi(commands) {
+        try {
+            const client = await this.connect();
+            const results = await client.multi(commands).exec();
+            const failed = results.find(([error]) => error);
+            if (failed) {
+                throw failed[0];
+            }
+            return results.map(([, reply]) => reply);
+        } catch (error) {
+            log.debug('Redis operation failed', { operation: 'multi', error });
+            throw toDatabaseError(error, 'redis');
+        }
+    }
+
+    /**
+     * Deletes a key from Redis.
+     * @param {string} key - The key to delete.
+     * @returns {Promise<boolean>} True if the key existed and was deleted.
+     */
+    async delete(key) {
+        try {
+            const client = await this.connect();
+            const removed = await client.del(key);
+            return removed > 0;
+        } catch (error) {
+            log.debug('Redis operation failed', { operation: 'delete', key, error });
+            throw toDatabaseError(error, 'redis');
+        }
+    }
+
+    /**
+     * Listens to keyspace notifications for the keys matching a pattern, on every master node of
+     * a cluster, since nodes only publish notifications for their own keys. The server must have
+     * them enabled: `notify-keyspace-events` needs at least `Kg$x` (keyspace channel, generic and
+     * string commands, expiries), plus `e` to report evictions. Managed services set it in their
+     * parameter groups. Nodes added to the cluster later are not listened to.
+     * @param {string} pattern - The key pattern, e.g. 'user:*'.
+     * @param {Function} handler - Called with (key, event), the event being the command, e.g. 'set', 'del' or 'expired'.
+     * @returns {Promise<Function>} Unsubscribes and closes the listening connections.
+     */
+    async subscribe(pattern, handler) {
+        const client = await this.connect();
+        const nodes = this.#mode === 'cluster' ? client.nodes('master') : [client];
+        // A connection in subscriber mode cannot run other commands, so each node gets a dedicated one.
+        const subscribers = nodes.map(node => node.duplicate());
+        const unsubscribe = () => Promise.all(subscribers.map(subscriber => subscriber.quit()));
+        try {
+            await Promise.all(subscribers.map(subscriber => {
+                subscriber.on('pmessage', (channelPattern, channel, event) => {
+                    handler(channel.slice(channel.indexOf('__:') + 3), event);
+                });
+                return subscriber.psubscribe(`__keyspace@*__:${pattern}`);
+            }));
+        } catch (error) {
+            log.debug('Redis operation failed', { operation: 'subscribe', pattern, error });
+            await unsubscribe().catch(() => {});
+            throw toDatabaseError(error, 'redis');
+        }
+        return async () => {
+            await unsubscribe();
+        };
+    }
+
+    /**
+     * Deletes every document of a collection that matches a query, one SCAN batch at a time.
+     * Keys are deleted one by one because a multi-key DEL fails across cluster slots.
+     * @param {string} collection - The collection name, or a raw key pattern (e.g., 'user:*').
+     * @param {object|Array<object>} [query={}] - Optional portable query, evaluated in process.
+     * @returns {Promise<Array<string>>} The deleted keys.
+     */
+    async deleteMany(collection, query = {}) {
+        try {
+            const client = await this.connect();
+            const deleted = [];
+            for await (const entries of this.#scanMatching(client, collection, query)) {
+                const keys = entries.map(([key]) => key);
+                const results = await Promise.all(keys.map(key => client.del(key)));
+                deleted.push(...keys.filter((key, index) => results[index] > 0));
+            }
+            return deleted;
+        } catch (error) {
+            log.debug('Redis operation failed', { operation: 'deleteMany', collection, error });
+            throw toDatabaseError(error, 'redis');
+        }
+    }
+
+    /**
+     * Fetches the documents of a collection, optionally narrowed by a portable query.
+     * Redis has no secondary indexes, so the collection is SCANned on every master node and
+     * conditions, ordering and limits are evaluated in process. Without `orderBy`, the scan
+     * stops as soon as `limit` documents match.
+     * @param {string} collection - The collection name, or a raw key pattern (e.g., 'user:*').
+     * @param {object|Array<object>} [query={}] - Optional portable query.
+     * @returns {Promise<Array<object>>} An array of matched documents.
+     */
+    async fetch(collection, query = {}) {
+        try {
+            const { orderBy } = normalizeQuery(query);
+            if (orderBy.length === 0) {
+                const docs = [];
+                for await (const doc of this.stream(collection, query)) {
+                    docs.push(doc);
+                }
+                return docs;
+            }
+
+            const client = await this.connect();
+            const docs = [];
+            for await (const entries of this.#scanMatching(client, collection, query)) {
+                docs.push(...entries.map(([, value]) => value));
+            }
+            return applyQuery(docs, { ...normalizeQuery(query), where: [] });
         } catch (error) {
-            console.error(`Error setting data for key: ${key}`, error);
-            throw error;
+            log.debug('Redis operation failed', { operation: 'fetch', collection, error });
+            throw toDatabaseError(error, 'redis');
+        }
+    }
+
+    /**
+     * Streams the documents of a collection that match a query, in SCAN order, without
+     * holding the whole collection in memory.
+     * @example
+     * for await (const user of redisService.stream('user', { where: [{ field: 'plan', op: '==', value: 'pro' }] })) { ... }
+     * @param {string} collection - The collection name, or a raw key pattern (e.g., 'user:*').
+     * @param {object|Array<object>} [query={}] - Optional portable query; `orderBy` is not supported.
+     * @returns {AsyncGenerator<object>} The matching documents.
+     */
+    async *stream(collection, query = {}) {
+        const { orderBy, limit, select } = normalizeQuery(query);
+        if (orderBy.length > 0) {
+            throw new ValidationError(`Redis cannot stream "${collection}" in a sorted order; remove orderBy or use fetch().`);
+        }
+
+        const client = await this.connect();
+        let count = 0;
+        for await (const entries of this.#scanMatching(client, collection, query)) {
+            for (const [, doc] of entries) {
+                yield projectDocument(doc, select);
+                count += 1;
+                if (limit && count >= limit) return;
+            }
         }
     }
 
     /**
-     * Fetches keys from Redis that match a pattern.
-     * Note: `KEYS` is a broadcast command in a cluster and should be avoided in production.
-     * @param {string} pattern - The key pattern to match (e.g., 'user:*').
-     * @returns {Promise<Array<object>>} An array of matched key values.
+     * Fetches one page of documents using SCAN on each master node in turn.
+     * The cursor holds the node index and that node's SCAN cursor. SCAN's COUNT is only a
+     * hint, so a page may hold somewhat more or fewer than `pageSize` documents.
+     * @param {string} collection - The collection name, or a raw key pattern (e.g., 'user:*').
+     * @param {object|Array<object>} [query={}] - Optional portable query; `orderBy` is not supported.
+     * @param {object} options - { pageSize: number, cursor: string|null }.
+     * @returns {Promise<{ items: Array<object>, nextCursor: string|null }>}
      */
-    async fetch(pattern) {
+    async fetchPage(collection, query = {}, { pageSize, cursor }) {
         try {
+            const { where, orderBy, select } = normalizeQuery(query);
+            if (orderBy.length > 0) {
+                throw new ValidationError(`Redis cannot page "${collection}" in a sorted order; remove orderBy or use fetch().`);
+            }
+
             const client = await this.connect();
-            // This is not a performant way to search a large cluster!
-            // It broadcasts the KEYS command to all master nodes.
-            const keys = await client.keys(pattern);
-            if (keys.length === 0) {
-                return [];
+            const nodes = this.#mode === 'cluster' ? client.nodes('master') : [client];
+            let { node, position } = cursor ? decodeCursor(cursor) : { node: 0, position: '0' };
+            const items = [];
+
+            while (node < nodes.length && items.length < pageSize) {
+                const [nextPosition, keys] = await nodes[node].scan(position, 'MATCH', toKeyPattern(collection), 'COUNT', pageSize);
+                for (const doc of await this.#readKeys(client, keys)) {
+                    if (doc && matchesWhere(doc, where)) {
+                        items.push(projectDocument(doc, select));
+                    }
+                }
+                if (nextPosition === '0') {
+                    node += 1;
+                    position = '0';
+                } else {
+                    position = nextPosition;
+                }
             }
-            const values = await client.mget(keys);
-            const parsedValues = values.map(value => value ? JSON.parse(value) : null);
-            return parsedValues.filter(value => value !== null);
+
+            const nextCursor = node < nodes.length ? encodeCursor({ node, position }) : null;
+            return { items, nextCursor };
         } catch (error) {
-            console.error(`Error fetching keys with pattern: ${pattern}`, error);
-            throw error;
+            log.debug('Redis operation failed', { operation: 'fetchPage', collection, error });
+            throw toDatabaseError(error, 'redis');
+        }
+    }
+
+    /**
+     * Yields the keys matching a pattern in batches, SCANning each master node in turn
+     * (or the single server outside a cluster).
+     */
+    async *#scanKeys(client, pattern) {
+        const nodes = this.#mode === 'cluster' ? client.nodes('master') : [client];
+        for (const node of nodes) {
+            let position = '0';
+            do {
+                const [nextPosition, keys] = await node.scan(position, 'MATCH', pattern, 'COUNT', SCAN_BATCH_SIZE);
+                position = nextPosition;
+                if (keys.length > 0) {
+                    yield keys;
+                }
+            } while (position !== '0');
+        }
+    }
+
+    /**
+     * Reads several keys with one MGET per hash slot, since a cluster rejects an MGET across slots.
+     * @returns {Promise<Array<object|null>>} The parsed values, in the order of `keys`.
+     */
+    async #readKeys(client, keys) {
+        const groups = new Map();
+        keys.forEach((key, index) => {
+            const slot = this.#mode === 'cluster' ? calculateSlot(key) : 0;
+            if (!groups.has(slot)) groups.set(slot, []);
+            groups.get(slot).push(index);
+        });
+
+        const values = new Array(keys.length).fill(null);
+        await Promise.all([...groups.values()].map(async indexes => {
+            const replies = await client.mget(indexes.map(index => keys[index]));
+            replies.forEach((value, position) => {
+                values[indexes[position]] = value ? JSON.parse(value) : null;
+            });
+        }));
+        return values;
+    }
+
+    /**
+     * Yields, per SCAN batch, the `[key, document]` pairs of a collection that match the query's conditions.
+     */
+    async *#scanMatching(client, collection, query) {
+        const { where, orderBy } = normalizeQuery(query);
+        if ((where.length > 0 || orderBy.length > 0) && !this.#warnedCollections.has(collection)) {
+            this.#warnedCollections.add(collection);
+            log.warn('Redis cannot index the collection; queries on it are evaluated in process over every key', { operation: 'fetch', collection });
+        }
+
+        for await (const keys of this.#scanKeys(client, toKeyPattern(collection))) {
+            const values = await this.#readKeys(client, keys);
+            const entries = keys
+                .map((key, index) => [key, values[index]])
+                .filter(([, value]) => value !== null && matchesWhere(value, where));
+            if (entries.length > 0) {
+                yield entries;
+            }
         }
     }
 }
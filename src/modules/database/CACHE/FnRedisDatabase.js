@@ -0,0 +1,200 @@
+import redisService, { FnRedisService } from './FnRedis.js';
+import { VERSION_FIELD, newVersion, versionConflict, withoutVersion } from '../versioning.js';
+import { applyUpdate } from '../update.js';
+import { normalizeQuery } from '../query.js';
+import { ChangeTracker } from '../watch.js';
+import { secondsUntilExpiry } from '../lifecycle.js';
+import { ConflictError, ValidationError, toDatabaseError } from '../errors.js';
+
+// Attempts for an update whose document changed between its read and its write.
+const MAX_UPDATE_ATTEMPTS = 5;
+
+// Keyspace notifications that mean a document is gone.
+const REMOVAL_EVENTS = ['del', 'expired', 'evicted'];
+
+/**
+ * The EX of a document with an expiresAt (see ../lifecycle.js), so Redis removes it on time.
+ * One already past its expiry is kept for a second and hidden by the adapter meanwhile.
+ * @param {object} doc - The document.
+ * @returns {number|undefined} Seconds until expiry, or undefined if the document never expires.
+ */
+function expiryOf(doc) {
+    const seconds = secondsUntilExpiry(doc);
+    return seconds === undefined ? undefined : Math.max(seconds, 1);
+}
+
+/**
+ * Uses Redis as a primary database (DATABASE_TYPE=redis).
+ * FnRedis itself exposes a key-level API for caching; this service maps the adapter's
+ * collection/ID contract onto it, storing each document as JSON `{ id, ...data }`
+ * under `collection:id`. When the adapter's cache is the same Redis, its entries live under
+ * the adapter's cache key prefix ('cache:' by default), so a collection must not be named 'cache'.
+ */
+export class FnRedisDatabaseService {
+    #redis;
+
+    /**
+     * @param {object|FnRedisService} [options] - FnRedisService config for a dedicated connection, or an
+     *   FnRedisService to use. Without it the shared FnRedis instance is used.
+     */
+    constructor(options) {
+        this.#redis = options instanceof FnRedisService ? options : options ? new FnRedisService(options) : redisService;
+    }
+
+    async get(collection, docId) {
+        return this.#redis.get(`${collection}:${docId}`);
+    }
+
+    /**
+     * Gets several documents with one MGET per cluster hash slot.
+     * @param {string} collection - The name of the collection.
+     * @param {Array<string>} docIds - The document IDs.
+     * @returns {Promise<Array<object|null>>} The documents in the order of `docIds`, with null for missing ones.
+     */
+    async getMany(collection, docIds) {
+        return this.#redis.getMany(docIds.map(docId => `${collection}:${docId}`));
+    }
+
+    /**
+     * Creates or replaces a document. A conditional write is checked and applied in one
+     * Lua script, and throws a ConflictError when its condition does not hold. A document
+     * with an expiresAt is written with a matching EX.
+     * @param {string} collection - The name of the collection.
+     * @param {string} docId - The document ID.
+     * @param {object} data - The document data.
+     * @param {object} [condition={}] - { ifVersion, ifNotExists }; see ../versioning.js.
+     * @returns {Promise<object>} The stored document.
+     */
+    async set(collection, docId, data, condition = {}) {
+        const { ifVersion, ifNotExists } = condition;
+        const key = `${collection}:${docId}`;
+        const doc = { ...withoutVersion(data), id: docId, [VERSION_FIELD]: newVersion() };
+
+        if (ifNotExists || ifVersion !== undefined) {
+            const written = await this.#redis.setIf(key, doc, ifNotExists ? { ifNotExists } : { field: VERSION_FIELD, equals: ifVersion }, expiryOf(doc));
+            if (!written) {
+                throw versionConflict(collection, docId, condition);
+            }
+        } else {
+            await this.#redis.set(key, doc, expiryOf(doc));
+        }
+        return doc;
+    }
+
+    /**
+     * Applies update operations to a document, creating it if missing. Redis has no field-level
+     * operators for JSON values, so the document is read, updated in process and written back
+     * only if its version is unchanged, retrying when another writer got there first.
+     * @param {string} collection - The name of the collection.
+     * @param {string} docId - The document ID.
+     * @param {Array<object>} ops - Validated update operations (see ../update.js).
+     * @returns {Promise<object>} The updated document.
+     */
+    async update(collection, docId, ops) {
+        const key = `${collection}:${docId}`;
+        for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+            const current = await this.#redis.get(key);
+            const doc = { ...applyUpdate(current ?? {}, ops), id: docId, [VERSION_FIELD]: newVersion() };
+            const condition = current ? { field: VERSION_FIELD, equals: current[VERSION_FIELD] } : { ifNotExists: true };
+            if (await this.#redis.setIf(key, doc, condition, expiryOf(doc))) {
+                return doc;
+            }
+        }
+        throw new ConflictError(`Update of ${key} aborted after ${MAX_UPDATE_ATTEMPTS} attempts because the document kept changing.`, { backend: 'redis', retryable: true });
+    }
+
+    async fetch(collection, query = {}) {
+        return this.#redis.fetch(collection, query);
+    }
+
+    async fetchPage(collection, query = {}, options) {
+        return this.#redis.fetchPage(collection, query, options);
+    }
+
+    async delete(collection, docId) {
+        return this.#redis.delete(`${collection}:${docId}`);
+    }
+
+    /**
+     * Applies set/delete operations atomically with MULTI/EXEC. On a cluster all keys must share
+     * a slot, so give related collections/IDs a common `{hash tag}`.
+     * @param {Array<object>} ops - `{ type: 'set'|'delete', collection, key, data }` operations.
+     * @returns {Promise<void>}
+     */
+    async batch(ops) {
+        await this.#redis.multi(ops.map(({ type, collection, key, data }) => {
+            if (type === 'delete') {
+                return ['del', `${collection}:${key}`];
+            }
+            const doc = { ...withoutVersion(data), id: key, [VERSION_FIELD]: newVersion() };
+            const expiry = expiryOf(doc);
+            return ['set', `${collection}:${key}`, JSON.stringify(doc), ...(expiry ? ['EX', expiry] : [])];
+        }));
+    }
+
+    /**
+     * Streams changes with keyspace notifications (see FnRedisService.subscribe for the server
+     * setting they need). Each written key is read back and matched against the query in process;
+     * notifications are handled one at a time, in the order they arrive.
+     * @param {string} collection - The name of the collection.
+     * @param {object|Array<object>} query - The portable query.
+     * @param {Function} handler - Receives `{ type, id, doc }` events.
+     * @param {Function} onError - Receives failures to read a notified document.
+     * @returns {Promise<Function>} Stops listening.
+     */
+    async watch(collection, query, handler, onError) {
+        const { where } = normalizeQuery(query);
+        let tracker;
+        let markReady;
+        // Notifications wait until the documents matching at the start are known.
+        let queue = new Promise(resolve => {
+            markReady = resolve;
+        });
+
+        const unsubscribe = await this.#redis.subscribe(`${collection}:*`, (key, event) => {
+            queue = queue.then(async () => {
+                const docId = key.slice(collection.length + 1);
+                if (event === 'set') {
+                    const doc = await this.#redis.get(key);
+                    // Skips values that are not documents, such as cached query results sharing the keyspace.
+                    if (doc && String(doc.id) !== docId) return;
+                    const change = tracker.written(docId, doc);
+                    if (change) handler(change);
+                } else if (REMOVAL_EVENTS.includes(event)) {
+                    const change = tracker.removed(docId);
+                    if (change) handler(change);
+                }
+            }).catch(onError);
+        });
+        try {
+            const docs = await this.#redis.fetch(collection, { where });
+            tracker = new ChangeTracker(query, docs.map(doc => doc.id));
+        } catch (error) {
+            await unsubscribe();
+            throw toDatabaseError(error, 'redis');
+        }
+        markReady();
+        return unsubscribe;
+    }
+
+    async transaction() {
+        throw new ValidationError('The redis backend does not support read-modify-write transactions; use batch() for atomic writes.', { backend: 'redis' });
+    }
+
+    async deleteMany(collection, query = {}) {
+        const keys = await this.#redis.deleteMany(collection, query);
+        // Report document IDs, not raw keys, like every other backend.
+        return keys.map(key => key.slice(collection.length + 1));
+    }
+
+    async ping() {
+        return this.#redis.ping();
+    }
+
+    async close() {
+        return this.#redis.close();
+    }
+}
+
+const instance = new FnRedisDatabaseService();
+export default instance;
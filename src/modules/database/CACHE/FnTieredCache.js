@@ -0,0 +1,103 @@
+// The longest a faster tier keeps an entry by default, in seconds.
+const DEFAULT_MAX_TTL = 60;
+
+/**
+ * Chains cache stores from fastest to slowest, e.g. an in-process LRU in front of Redis.
+ * Reads try each tier in turn and copy a hit back into the faster tiers, for the time the
+ * hit has left if its tier reports it (see `ttl` in ./cacheStore.js); writes and deletes go
+ * to every tier. Every tier but the last keeps an entry for at most `maxTtl`, since writes
+ * and deletes by other instances only reach the shared, slowest tier.
+ */
+export class FnTieredCacheService {
+    #tiers;
+    #maxTtl;
+
+    /**
+     * @param {Array<object>} tiers - Cache stores, fastest first.
+     * @param {object} [options={}] - { maxTtl: seconds an entry may stay in a faster tier (default 60); 0 for no cap }.
+     */
+    constructor(tiers, { maxTtl = DEFAULT_MAX_TTL } = {}) {
+        this.#tiers = tiers;
+        this.#maxTtl = maxTtl;
+    }
+
+    /**
+     * The TTL of an entry in a faster tier.
+     * @param {number|null} [expiresInSeconds] - The entry's own TTL, if it has one.
+     * @returns {number|undefined} The TTL in seconds, or undefined for none.
+     */
+    #localTtl(expiresInSeconds) {
+        if (!this.#maxTtl) return expiresInSeconds ?? undefined;
+        return expiresInSeconds ? Math.min(expiresInSeconds, this.#maxTtl) : this.#maxTtl;
+    }
+
+    // Copies a hit from a tier into the faster ones.
+    async #backfill(tier, key, data) {
+        if (tier === 0) return;
+        const store = this.#tiers[tier];
+        const remaining = typeof store.ttl === 'function' ? await store.ttl(key) : null;
+        const ttl = this.#localTtl(remaining);
+        await Promise.all(this.#tiers.slice(0, tier).map(faster => faster.set(key, data, ttl)));
+    }
+
+    async get(key) {
+        for (let index = 0; index < this.#tiers.length; index++) {
+            const data = await this.#tiers[index].get(key);
+            if (data !== null && data !== undefined) {
+                await this.#backfill(index, key, data);
+                return data;
+            }
+        }
+        return null;
+    }
+
+    async getMany(keys) {
+        const values = keys.map(() => null);
+        let missing = keys.map((key, index) => index);
+
+        for (let tier = 0; tier < this.#tiers.length && missing.length > 0; tier++) {
+            const store = this.#tiers[tier];
+            const found = typeof store.getMany === 'function'
+                ? await store.getMany(missing.map(index => keys[index]))
+                : await Promise.all(missing.map(index => store.get(keys[index])));
+
+            const hits = missing.filter((index, position) => found[position] !== null && found[position] !== undefined);
+            missing.forEach((index, position) => {
+                values[index] = found[position] ?? null;
+            });
+            await Promise.all(hits.map(index => this.#backfill(tier, keys[index], values[index])));
+            missing = missing.filter(index => values[index] === null);
+        }
+        return values;
+    }
+
+    #isLast(index) {
+        return index === this.#tiers.length - 1;
+    }
+
+    async set(key, data, expiresInSeconds) {
+        await Promise.all(this.#tiers.map((tier, index) => tier.set(key, data, this.#isLast(index) ? expiresInSeconds : this.#localTtl(expiresInSeconds))));
+    }
+
+    async delete(key) {
+        const results = await Promise.all(this.#tiers.map(tier => tier.delete(key)));
+        return results.some(Boolean);
+    }
+
+    async tag(tag, key, expiresInSeconds) {
+        await Promise.all(this.#tiers.map((tier, index) => tier.tag(tag, key, this.#isLast(index) ? expiresInSeconds : this.#localTtl(expiresInSeconds))));
+    }
+
+    async invalidateTag(tag) {
+        const results = await Promise.all(this.#tiers.map(tier => tier.invalidateTag(tag)));
+        return Math.max(0, ...results);
+    }
+
+    async ping() {
+        await Promise.all(this.#tiers.filter(tier => typeof tier.ping === 'function').map(tier => tier.ping()));
+    }
+
+    async close() {
+        await Promise.all(this.#tiers.filter(tier => typeof tier.close === 'function').map(tier => tier.close()));
+    }
+}
@@ -0,0 +1,223 @@
+import { FnTieredCacheService } from './FnTieredCache.js';
+import { CircuitOpenError } from '../errors.js';
+import { createLogger } from '../../logger.js';
+
+const log = createLogger('cache');
+
+/**
+ * Cache stores used by FnDatabaseAdapter.
+ *
+ * A cache store is any object implementing:
+ *   get(key)                       => Promise<object|null>  the stored value, or null on a miss
+ *   set(key, data, ttlInSeconds?)  => Promise<void>
+ *   delete(key)                    => Promise<boolean>      true if the key existed
+ * optionally, for FnDatabaseAdapter.getMany (otherwise `get` is called per key):
+ *   getMany(keys)                  => Promise<Array<object|null>>  values in the order of `keys`
+ * optionally, for a tiered cache to copy a hit into faster tiers with the time it has left:
+ *   ttl(key)                       => Promise<number|null>  seconds left, or null if the key never expires
+ * and, to cache fetch results, the tag index the adapter invalidates them by:
+ *   tag(tag, key, ttlInSeconds?)   => Promise<void>         records `key` under `tag`
+ *   invalidateTag(tag)             => Promise<number>       deletes every key recorded under `tag`
+ * and, for stores with a connection, for FnDatabaseAdapter.healthCheck and close:
+ *   ping()                         => Promise<void>         a cheap round trip, rejecting if the store is unreachable
+ *   close()                        => Promise<void>         closes the connection
+ * Values round-trip through JSON, exactly as they do in Redis.
+ *
+ * Built-in types:
+ *   'redis'             the FnRedis cluster (the default)
+ *   'redis-standalone'  a single Redis server ({ host, port, options })
+ *   'lru'               an in-process LRU ({ maxEntries, maxTtl })
+ *   'memory'            an unbounded in-process store, for tests
+ *   'none'              no caching
+ *   'tiered'            `{ type: 'tiered', tiers: [...], maxTtl }`, e.g. `['lru', 'redis']`; every tier but
+ *                       the last keeps an entry for at most `maxTtl` seconds (default 60)
+ */
+const CACHE_STORES = {
+    redis: { path: './FnRedis.js', className: 'FnRedisService' },
+    'redis-standalone': { path: './FnRedis.js', className: 'FnRedisService', defaults: { mode: 'standalone' } },
+    lru: { path: './FnLruCache.js', className: 'FnLruCacheService' },
+    memory: { path: './FnMemoryCache.js', className: 'FnMemoryCacheService' },
+    none: { path: './FnNoopCache.js', className: 'FnNoopCacheService' },
+};
+
+/**
+ * Tells whether a value implements the cache-store interface.
+ * @param {*} value - The candidate.
+ * @returns {boolean}
+ */
+export function isCacheStore(value) {
+    return Boolean(value) && ['get', 'set', 'delete'].every(method => typeof value[method] === 'function');
+}
+
+/**
+ * Resolves a cache configuration to a cache store.
+ * @param {string|object} config - A store, a type name, `{ type, options }`, or `{ type: 'tiered', tiers, maxTtl }`.
+ * @param {object} [settings={}] - { shared: boolean }. A shared lookup reuses each module's
+ *   default instance when no options are given, instead of opening a new connection.
+ * @returns {Promise<object>} The cache store.
+ */
+export async function createCacheStore(config, { shared = false } = {}) {
+    if (isCacheStore(config)) {
+        return config;
+    }
+    const { type, options, tiers, maxTtl } = typeof config === 'string' ? { type: config } : (config || {});
+
+    if (type === 'tiered') {
+        if (!Array.isArray(tiers) || tiers.length < 2) {
+            throw new Error('A tiered cache needs at least two tiers, fastest first, e.g. ["lru", "redis"].');
+        }
+        const stores = [];
+        for (const tier of tiers) {
+            stores.push(await createCacheStore(tier, { shared }));
+        }
+        return new FnTieredCacheService(stores, { maxTtl });
+    }
+
+    const store = CACHE_STORES[type];
+    if (!store) {
+        throw new Error(`Unsupported cache type: ${type}`);
+    }
+    const storeModule = await import(store.path);
+    if (shared && options === undefined && !store.defaults) {
+        return storeModule.default;
+    }
+    return new storeModule[store.className]({ ...store.defaults, ...options });
+}
+
+// A tag's keys are swept for dead ones each time the tag doubles in size, so it stays within twice its live keys.
+const MIN_TAG_SWEEP = 64;
+
+/**
+ * The tag index of an in-process cache store (FnMemoryCache, FnLruCache). Like a Redis tag set, a tag remembers each key
+ * for the TTL it was tagged with; it also forgets keys the store no longer holds.
+ */
+export class TagIndex {
+    #tags = new Map();
+    #entries;
+
+    /**
+     * @param {Map<string, {expiresAt: number|null}>} entries - The store's entries, by key.
+     */
+    constructor(entries) {
+        this.#entries = entries;
+    }
+
+    /**
+     * Records a key under a tag.
+     * @param {string} tag - The tag.
+     * @param {string} key - The tagged key.
+     * @param {number} [expiresInSeconds] - How long to remember the key.
+     */
+    add(tag, key, expiresInSeconds) {
+        if (!this.#tags.has(tag)) {
+            this.#tags.set(tag, { keys: new Map(), sweepAt: MIN_TAG_SWEEP });
+        }
+        const tagged = this.#tags.get(tag);
+        tagged.keys.set(key, expiresInSeconds ? Date.now() + expiresInSeconds * 1000 : null);
+        if (tagged.keys.size >= tagged.sweepAt) {
+            this.#sweep(tagged.keys);
+            tagged.sweepAt = Math.max(tagged.keys.size * 2, MIN_TAG_SWEEP);
+        }
+    }
+
+    /**
+     * Forgets a tag.
+     * @param {string} tag - The tag.
+     * @returns {Array<string>} The live keys it listed.
+     */
+    take(tag) {
+        const keys = this.#tags.get(tag)?.keys;
+        this.#tags.delete(tag);
+        if (!keys) return [];
+        this.#sweep(keys);
+        return [...keys.keys()];
+    }
+
+    clear() {
+        this.#tags.clear();
+    }
+
+    // Drops the tagged keys whose record has expired or whose entry is gone.
+    #sweep(keys) {
+        const now = Date.now();
+        for (const [key, expiresAt] of keys) {
+            const entry = this.#entries.get(key);
+            if ((expiresAt && expiresAt <= now) || !entry || (entry.expiresAt && entry.expiresAt <= now)) {
+                keys.delete(key);
+            }
+        }
+    }
+}
+
+/**
+ * Puts every key and tag of a cache store under a prefix, so the cache can share a Redis with
+ * the redis backend (see FnDatabaseAdapter's `cacheKeyPrefix`).
+ * @param {object} store - The cache store.
+ * @param {string} prefix - The prefix, e.g. 'cache:'; '' returns the store as is.
+ * @returns {object} A cache store with the same optional methods as `store`.
+ */
+export function withKeyPrefix(store, prefix) {
+    if (!prefix) {
+        return store;
+    }
+    const prefixed = {
+        get: key => store.get(prefix + key),
+        set: (key, data, expiresInSeconds) => store.set(prefix + key, data, expiresInSeconds),
+        delete: key => store.delete(prefix + key),
+    };
+    if (typeof store.getMany === 'function') {
+        prefixed.getMany = keys => store.getMany(keys.map(key => prefix + key));
+    }
+    if (typeof store.tag === 'function') {
+        prefixed.tag = (tag, key, expiresInSeconds) => store.tag(prefix + tag, prefix + key, expiresInSeconds);
+    }
+    if (typeof store.invalidateTag === 'function') {
+        prefixed.invalidateTag = tag => store.invalidateTag(prefix + tag);
+    }
+    for (const method of ['ping', 'close']) {
+        if (typeof store[method] === 'function') {
+            prefixed[method] = () => store[method]();
+        }
+    }
+    return prefixed;
+}
+
+/**
+ * Wraps a cache store so that a broken or slow cache is bypassed instead of failing the
+ * adapter's reads and writes: calls run under the cache's resilience policy (see
+ * ../../resilience.js), and a failed read is a miss, a failed write is skipped. A failed
+ * delete is logged as an error, since the entry it meant to invalidate may be served until
+ * its TTL runs out once the cache is back.
+ * @param {object} store - The cache store.
+ * @param {import('../../resilience.js').FnResiliencePolicy} policy - The cache's policy.
+ * @returns {object} A cache store with the same optional methods as `store`; ping and close are passed through.
+ */
+export function withCacheBypass(store, policy) {
+    const bypass = (operation, fallback, level = 'warn') => error => {
+        // While the circuit is open every call fails the same way, so only the first failures are worth a record.
+        log[error instanceof CircuitOpenError ? 'debug' : level]('Cache unavailable; bypassing it', { operation, error });
+        return fallback;
+    };
+    const run = (operation, fn, fallback, level) => policy.run(operation, fn).catch(bypass(operation, fallback, level));
+
+    const guarded = {
+        get: key => run('get', () => store.get(key), null),
+        set: (key, data, expiresInSeconds) => run('set', () => store.set(key, data, expiresInSeconds)),
+        delete: key => run('delete', () => store.delete(key), false, 'error'),
+    };
+    if (typeof store.getMany === 'function') {
+        guarded.getMany = keys => run('getMany', () => store.getMany(keys), keys.map(() => null));
+    }
+    if (typeof store.tag === 'function') {
+        guarded.tag = (tag, key, expiresInSeconds) => run('tag', () => store.tag(tag, key, expiresInSeconds));
+    }
+    if (typeof store.invalidateTag === 'function') {
+        guarded.invalidateTag = tag => run('invalidateTag', () => store.invalidateTag(tag), 0, 'error');
+    }
+    for (const method of ['ping', 'close']) {
+        if (typeof store[method] === 'function') {
+            guarded[method] = () => store[method]();
+        }
+    }
+    return guarded;
+}
@@ -1,76 +1,468 @@
-import { initializeApp, cert } from 'firebase-admin/app';
-import { getFirestore } from 'firebase-admin/firestore';
-import serviceAccount from './serviceAccountKey.json' assert { type: 'json' };
+import { readFileSync } from 'fs';
+import { initializeApp, cert, deleteApp, getApps } from 'firebase-admin/app';
+import { getFirestore, FieldPath, FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { normalizeQuery } from '../query.js';
+import { decodeCursor, encodeCursor } from '../cursor.js';
+import { VERSION_FIELD, versionConflict, withoutVersion } from '../versioning.js';
+import { EXPIRY_FIELD } from '../lifecycle.js';
+import { ValidationError, toDatabaseError } from '../errors.js';
+import { createLogger } from '../../logger.js';
+
+const log = createLogger('firestore');
+
+// A Firestore write batch accepts at most 500 operations.
+const BATCH_LIMIT = 500;
+// gRPC status codes returned when a precondition finds no document, finds one where none
+// was expected, or finds another update time.
+const NOT_FOUND_CODE = 5;
+const ALREADY_EXISTS_CODE = 6;
+const FAILED_PRECONDITION_CODE = 9;
+const RANGE_OPERATORS = ['<', '<=', '>', '>='];
+
+// Cursor values must survive JSON, so Timestamps are tagged and rebuilt on decode.
+function toCursorValue(value) {
+    return value instanceof Timestamp
+        ? { __timestamp: [value.seconds, value.nanoseconds] }
+        : value;
+}
+
+function fromCursorValue(value) {
+    return value && Array.isArray(value.__timestamp)
+        ? new Timestamp(...value.__timestamp)
+        : value;
+}
+
+// A document's version is its update time, written as "seconds.nanoseconds" so it round-trips exactly.
+const VERSION_PATTERN = /^(\d+)\.(\d{9})$/;
+
+function toVersion(updateTime) {
+    return `${updateTime.seconds}.${String(updateTime.nanoseconds).padStart(9, '0')}`;
+}
+
+function toDocument(snapshot) {
+    return { id: snapshot.id, ...snapshot.data(), [VERSION_FIELD]: toVersion(snapshot.updateTime) };
+}
+
+// Portable update operators mapped to Firestore field values.
+const FIELD_TRANSFORMS = {
+    'increment': value => FieldValue.increment(value),
+    'set': value => value,
+    'unset': () => FieldValue.delete(),
+    'array-union': value => FieldValue.arrayUnion(...value),
+    'array-remove': value => FieldValue.arrayRemove(...value),
+};
+
+/**
+ * Translates portable update operations into data and merge fields for `set`.
+ * Listing each field in `mergeFields` makes a set-field replace its value rather than deep-merge it.
+ * @param {Array<object>} ops - The validated update operations.
+ * @returns {{ data: object, mergeFields: Array<FieldPath> }}
+ */
+function toFirestoreUpdate(ops) {
+    const data = {};
+    for (const { op, field, value } of ops) {
+        const segments = field.split('.');
+        let target = data;
+        for (const segment of segments.slice(0, -1)) {
+            target = target[segment] = target[segment] || {};
+        }
+        target[segments[segments.length - 1]] = FIELD_TRANSFORMS[op](value);
+    }
+    return { data, mergeFields: ops.map(({ field }) => new FieldPath(...field.split('.'))) };
+}
 
 /**
  * The internal class implementation.
  */
-class FnFirestoreService {
+export class FnFirestoreService {
     #db;
-    constructor() {
-        if (!serviceAccount || !serviceAccount.private_key) {
-            throw new Error('Service account key is missing or invalid.');
+    #options;
+
+    /**
+     * The Firebase app is initialized on first use, not on construction.
+     * @param {object} [options={}] - { appName, projectId, serviceAccount }. Use a distinct `appName`
+     *   to talk to another project in the same process; without `serviceAccount` the key file
+     *   next to this module is used (or no credentials at all against the emulator).
+     */
+    constructor(options = {}) {
+        this.#options = options;
+    }
+
+    #getDb() {
+        if (!this.#db) {
+            const { appName = '[DEFAULT]', projectId, serviceAccount } = this.#options;
+
+            // Initialize each Firebase Admin app only once
+            let app = getApps().find(existing => existing.name === appName);
+            if (!app) {
+                if (serviceAccount) {
+                    app = initializeApp({ credential: cert(serviceAccount), projectId }, appName);
+                } else if (process.env.FIRESTORE_EMULATOR_HOST) {
+                    // The emulator needs no credentials, only a project ID.
+                    app = initializeApp({ projectId: projectId || process.env.GCLOUD_PROJECT || 'demo-fnlib' }, appName);
+                } else {
+                    const keyFile = JSON.parse(readFileSync(new URL('./serviceAccountKey.json', import.meta.url), 'utf8'));
+                    if (!keyFile || !keyFile.private_key) {
+                        throw new Error('Service account key is missing or invalid.');
+                    }
+                    app = initializeApp({ credential: cert(keyFile), projectId }, appName);
+                }
+            }
+            this.#db = getFirestore(app);
+        }
+        return this.#db;
+    }
+
+    /**
+     * Checks that Firestore answers by listing the root collections.
+     * @returns {Promise<void>}
+     */
+    async ping() {
+        try {
+            await this.#getDb().listCollections();
+        } catch (error) {
+            throw toDatabaseError(error, 'firestore');
         }
+    }
 
-        // Initialize Firebase Admin SDK only once
-        if (!initializeApp.length) {
-            initializeApp({
-                credential: cert(serviceAccount)
-            });
+    /**
+     * Deletes the Firebase app, which terminates its Firestore client once pending writes are
+     * sent. The next call initializes the app again.
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (!this.#db) return;
+        const { appName = '[DEFAULT]' } = this.#options;
+        this.#db = null;
+        const app = getApps().find(existing => existing.name === appName);
+        if (app) {
+            await deleteApp(app);
+            log.info('Firebase app deleted', { appName });
         }
-        this.#db = getFirestore();
     }
 
     // --- All original methods (get, set, fetch) remain the same ---
     
     async get(collection, docId) {
         try {
-            const docRef = this.#db.collection(collection).doc(docId);
+            const docRef = this.#getDb().collection(collection).doc(docId);
             const docSnapshot = await docRef.get();
             if (!docSnapshot.exists) {
-                console.log(`No document found with ID: ${docId} in collection: ${collection}`);
+                log.debug('Document not found', { operation: 'get', collection });
                 return null;
             }
-            return { id: docSnapshot.id, ...docSnapshot.data() };
+            return toDocument(docSnapshot);
         } catch (error) {
-            console.error('Error getting document:', error);
-            throw error;
+            log.debug('Firestore operation failed', { operation: 'get', collection, error });
+            throw toDatabaseError(error, 'firestore');
         }
     }
 
-    async set(collection, docId, data) {
+    /**
+     * Gets several documents in one round trip with `getAll`.
+     * @param {string} collection - The name of the collection.
+     * @param {Array<string>} docIds - The document IDs.
+     * @returns {Promise<Array<object|null>>} The documents in the order of `docIds`, with null for missing ones.
+     */
+    async getMany(collection, docIds) {
+        if (docIds.length === 0) {
+            return [];
+        }
         try {
-            const docRef = this.#db.collection(collection).doc(docId);
-            await docRef.set(data, { merge: true });
-            console.log(`Document with ID: ${docId} successfully set/updated in collection: ${collection}`);
+            const collectionRef = this.#getDb().collection(collection);
+            const snapshots = await this.#getDb().getAll(...docIds.map(docId => collectionRef.doc(docId)));
+            return snapshots.map(snapshot => (snapshot.exists ? toDocument(snapshot) : null));
         } catch (error) {
-            console.error('Error setting document:', error);
-            throw error;
+            log.debug('Firestore operation failed', { operation: 'getMany', collection, error });
+            throw toDatabaseError(error, 'firestore');
         }
     }
 
-    async fetch(collection, filters = []) {
+    /**
+     * Merges data into a document and returns the stored result.
+     * `ifNotExists` creates the document only if it is missing. `ifVersion` turns the write into
+     * an update with an update-time precondition, so, unlike a merge, it replaces nested
+     * objects as a whole. Either throws a ConflictError when its precondition fails.
+     * @param {string} collection - The name of the collection.
+     * @param {string} docId - The document ID.
+     * @param {object} data - The fields to set.
+     * @param {object} [condition={}] - { ifVersion, ifNotExists }; see ../versioning.js.
+     * @returns {Promise<object>} The stored document.
+     */
+    async set(collection, docId, data, condition = {}) {
         try {
-            let collectionRef = this.#db.collection(collection);
+            const docRef = this.#getDb().collection(collection).doc(docId);
+            await this.#write(docRef, withoutVersion(data), condition);
+            log.debug('Document written', { operation: 'set', collection });
+            // Read back the merged result so callers get the stored document, as with every other backend.
+            const docSnapshot = await docRef.get();
+            return toDocument(docSnapshot);
+        } catch (error) {
+            log.debug('Firestore operation failed', { operation: 'set', collection, error });
+            throw toDatabaseError(error, 'firestore');
+        }
+    }
 
-            for (const filter of filters) {
-                collectionRef = collectionRef.where(filter.field, filter.op, filter.value);
+    async #write(docRef, data, condition) {
+        const { ifVersion, ifNotExists } = condition;
+        if (!ifNotExists && ifVersion === undefined) {
+            await docRef.set(data, { merge: true });
+            return;
+        }
+
+        const conflict = () => versionConflict(docRef.parent.id, docRef.id, condition);
+        try {
+            if (ifNotExists) {
+                await docRef.create(data);
+            } else {
+                const match = VERSION_PATTERN.exec(String(ifVersion));
+                if (!match) {
+                    // Not an update time, so it cannot be this document's version.
+                    throw conflict();
+                }
+                // Fields are passed as FieldPaths so that dots in field names are not read as nesting.
+                const fields = Object.entries(data).flatMap(([field, value]) => [new FieldPath(field), value]);
+                await docRef.update(...fields, { lastUpdateTime: new Timestamp(Number(match[1]), Number(match[2])) });
             }
+        } catch (error) {
+            if ([NOT_FOUND_CODE, ALREADY_EXISTS_CODE, FAILED_PRECONDITION_CODE].includes(error.code)) {
+                throw conflict();
+            }
+            throw toDatabaseError(error, 'firestore');
+        }
+    }
+
+    /**
+     * Applies update operations atomically with FieldValue transforms, creating the document if missing.
+     * @param {string} collection - The name of the collection.
+     * @param {string} docId - The document ID.
+     * @param {Array<object>} ops - Validated update operations (see ../update.js).
+     * @returns {Promise<object>} The updated document.
+     */
+    async update(collection, docId, ops) {
+        try {
+            const docRef = this.#getDb().collection(collection).doc(docId);
+            const { data, mergeFields } = toFirestoreUpdate(ops);
+            await docRef.set(data, { mergeFields });
+            return toDocument(await docRef.get());
+        } catch (error) {
+            log.debug('Firestore operation failed', { operation: 'update', collection, error });
+            throw toDatabaseError(error, 'firestore');
+        }
+    }
 
-            const snapshot = await collectionRef.get();
+    /**
+     * Translates a portable query into a Firestore query. The portable operators
+     * share Firestore's names, so conditions map one to one.
+     * @param {string} collection - The name of the collection.
+     * @param {object|Array<object>} query - The portable query.
+     * @returns {import('firebase-admin/firestore').Query} The Firestore query.
+     */
+    #buildQuery(collection, query) {
+        const { where, orderBy, limit, select } = normalizeQuery(query);
+        let collectionRef = this.#getDb().collection(collection);
+
+        for (const filter of where) {
+            collectionRef = collectionRef.where(filter.field, filter.op, filter.value);
+        }
+        for (const { field, direction } of orderBy) {
+            collectionRef = collectionRef.orderBy(field, direction);
+        }
+        if (limit) {
+            collectionRef = collectionRef.limit(limit);
+        }
+        if (select) {
+            collectionRef = collectionRef.select(...select);
+        }
+        return collectionRef;
+    }
+
+    async fetch(collection, query = {}) {
+        try {
+            const snapshot = await this.#buildQuery(collection, query).get();
             if (snapshot.empty) {
-                console.log('No matching documents found.');
+                log.debug('No matching documents', { operation: 'fetch', collection });
                 return [];
             }
 
             const documents = [];
             snapshot.forEach(doc => {
-                documents.push({ id: doc.id, ...doc.data() });
+                documents.push(toDocument(doc));
             });
             return documents;
         } catch (error) {
-            console.error('Error fetching documents:', error);
-            throw error;
+            log.debug('Firestore operation failed', { operation: 'fetch', collection, error });
+            throw toDatabaseError(error, 'firestore');
+        }
+    }
+
+    /**
+     * Fetches one page of documents. Pages are ordered by the query's `orderBy`, then by any
+     * range-filtered field (as Firestore requires), then by document ID, and the cursor holds
+     * those values for the last document so `startAfter` still works if it is later deleted.
+     */
+    async fetchPage(collection, query = {}, { pageSize, cursor }) {
+        try {
+            const normalized = normalizeQuery(query);
+            const orderBy = [...normalized.orderBy];
+            for (const { field, op } of normalized.where) {
+                if (RANGE_OPERATORS.includes(op) && !orderBy.some(order => order.field === field)) {
+                    orderBy.push({ field, direction: 'asc' });
+                }
+            }
+            const idDirection = orderBy.length > 0 ? orderBy[orderBy.length - 1].direction : 'asc';
+
+            let pageQuery = this.#buildQuery(collection, { ...normalized, orderBy, limit: pageSize })
+                .orderBy(FieldPath.documentId(), idDirection);
+            if (cursor) {
+                const { values, id } = decodeCursor(cursor);
+                pageQuery = pageQuery.startAfter(...values.map(fromCursorValue), id);
+            }
+
+            const snapshot = await pageQuery.get();
+            const items = snapshot.docs.map(toDocument);
+            const last = snapshot.docs[snapshot.docs.length - 1];
+            const nextCursor = snapshot.docs.length === pageSize
+                ? encodeCursor({ values: orderBy.map(({ field }) => toCursorValue(last.get(field))), id: last.id })
+                : null;
+            return { items, nextCursor };
+        } catch (error) {
+            log.debug('Firestore operation failed', { operation: 'fetchPage', collection, error });
+            throw toDatabaseError(error, 'firestore');
+        }
+    }
+
+    async delete(collection, docId) {
+        try {
+            const docRef = this.#getDb().collection(collection).doc(docId);
+            await docRef.delete({ exists: true });
+            return true;
+        } catch (error) {
+            if (error.code === NOT_FOUND_CODE) {
+                return false;
+            }
+            log.debug('Firestore operation failed', { operation: 'delete', collection, error });
+            throw toDatabaseError(error, 'firestore');
+        }
+    }
+
+    async deleteMany(collection, query = {}) {
+        try {
+            // Only the references are needed, so skip reading any fields.
+            const snapshot = await this.#buildQuery(collection, query).select().get();
+            const docIds = [];
+
+            for (let i = 0; i < snapshot.docs.length; i += BATCH_LIMIT) {
+                const batch = this.#getDb().batch();
+                for (const doc of snapshot.docs.slice(i, i + BATCH_LIMIT)) {
+                    batch.delete(doc.ref);
+                    docIds.push(doc.id);
+                }
+                await batch.commit();
+            }
+            return docIds;
+        } catch (error) {
+            log.debug('Firestore operation failed', { operation: 'deleteMany', collection, error });
+            throw toDatabaseError(error, 'firestore');
+        }
+    }
+
+    /**
+     * TTL policies cannot be created with the Admin SDK, so this only explains how to create
+     * the one for expiresAt; Firestore then deletes expired documents, typically within a day.
+     * @param {string} collection - The name or path of the collection; a policy covers every collection with its last segment's name.
+     * @returns {Promise<void>}
+     */
+    async configureExpiry(collection) {
+        const group = collection.split('/').pop();
+        throw new ValidationError(
+            `Create the Firestore TTL policy outside the app, e.g.: gcloud firestore fields ttls update ${EXPIRY_FIELD} --collection-group=${group} --enable-ttl`,
+            { collection, backend: 'firestore' }
+        );
+    }
+
+    /**
+     * Streams changes to the documents matching a query with a snapshot listener (see ../watch.js).
+     * The listener's first snapshot holds the documents that already match, so it is skipped.
+     * @param {string} collection - The name of the collection.
+     * @param {object|Array<object>} query - The portable query.
+     * @param {Function} handler - Receives `{ type, id, doc }` events.
+     * @param {Function} onError - Receives a listener failure, after which the listener stops.
+     * @returns {Promise<Function>} Stops the listener.
+     */
+    async watch(collection, query, handler, onError) {
+        let initial = true;
+        const unsubscribe = this.#buildQuery(collection, query).onSnapshot(snapshot => {
+            if (initial) {
+                initial = false;
+                return;
+            }
+            for (const change of snapshot.docChanges()) {
+                handler({ type: change.type, id: change.doc.id, doc: change.type === 'removed' ? null : toDocument(change.doc) });
+            }
+        }, onError);
+        return async () => unsubscribe();
+    }
+
+    /**
+     * Applies set/delete operations atomically with a single write batch.
+     * @param {Array<object>} ops - `{ type: 'set'|'delete', collection, key, data }` operations.
+     * @returns {Promise<void>}
+     */
+    async batch(ops) {
+        if (ops.length > BATCH_LIMIT) {
+            throw new ValidationError(`A Firestore batch accepts at most ${BATCH_LIMIT} operations; got ${ops.length}.`);
+        }
+        try {
+            const batch = this.#getDb().batch();
+            for (const { type, collection, key, data } of ops) {
+                const docRef = this.#getDb().collection(collection).doc(key);
+                if (type === 'set') {
+                    batch.set(docRef, withoutVersion(data), { merge: true });
+                } else {
+                    batch.delete(docRef);
+                }
+            }
+            await batch.commit();
+        } catch (error) {
+            log.debug('Firestore operation failed', { operation: 'batch', error });
+            throw toDatabaseError(error, 'firestore');
+        }
+    }
+
+    /**
+     * Runs a read-modify-write transaction. Firestore retries the callback when the documents
+     * it read change before commit, so it may run more than once and must not have side effects.
+     * All reads must happen before the first write.
+     * @param {Function} fn - Receives `{ get, set, delete }` bound to the transaction.
+     * @returns {Promise<*>} The callback's result.
+     */
+    async transaction(fn) {
+        try {
+            return await this.#getDb().runTransaction(async transaction => {
+                let hasWritten = false;
+                const docRef = (collection, docId) => this.#getDb().collection(collection).doc(docId);
+                return fn({
+                    get: async (collection, docId) => {
+                        if (hasWritten) {
+                            throw new ValidationError('Firestore transactions must perform all reads before any writes.');
+                        }
+                        const docSnapshot = await transaction.get(docRef(collection, docId));
+                        return docSnapshot.exists ? toDocument(docSnapshot) : null;
+                    },
+                    set: (collection, docId, data) => {
+                        hasWritten = true;
+                        transaction.set(docRef(collection, docId), withoutVersion(data), { merge: true });
+                    },
+                    delete: (collection, docId) => {
+                        hasWritten = true;
+                        transaction.delete(docRef(collection, docId));
+                    },
+                });
+            });
+        } catch (error) {
+            log.debug('Firestore operation failed', { operation: 'transaction', error });
+            throw toDatabaseError(error, 'firestore');
         }
     }
 }
@@ -101,11 +493,15 @@ const run = async () => {
             console.log('Fetched single user:', user);
         }
 
-        // --- Fetch/Search documents with filters ---
-        const filteredUsers = await firestore.fetch('users', [
-            { field: 'age', op: '>', value: 25 },
-            { field: 'name', op: '==', value: 'John Doe' }
-        ]);
+        // --- Fetch/Search documents with a query ---
+        const filteredUsers = await firestore.fetch('users', {
+            where: [
+                { field: 'age', op: '>', value: 25 },
+                { field: 'name', op: '==', value: 'John Doe' }
+            ],
+            orderBy: [{ field: 'age', direction: 'desc' }],
+            limit: 10
+        });
         console.log('Fetched filtered users:', filteredUsers);
 
         // --- Fetch all documents in a collection ---
@@ -0,0 +1,213 @@
+import { applyQuery, normalizeQuery, projectDocument, sortDocuments, matchesWhere } from '../query.js';
+import { applyUpdate } from '../update.js';
+import { decodeCursor, encodeCursor } from '../cursor.js';
+import { VERSION_FIELD, newVersion, versionConflict, withoutVersion } from '../versioning.js';
+import { ConflictError } from '../errors.js';
+
+// Attempts for a transaction whose reads changed before commit, as Firestore retries them.
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+/**
+ * An in-process database backend for tests and local development.
+ * Documents are stored as `{ id, ...data }` per collection, like the Firestore backend,
+ * and are cloned on the way in and out so callers can never mutate stored state.
+ */
+export class FnMemoryService {
+    #collections = new Map();
+    #versions = new Map();
+
+    #bumpVersion(collection, docId) {
+        const identity = `${collection}:${docId}`;
+        this.#versions.set(identity, (this.#versions.get(identity) || 0) + 1);
+    }
+
+    #version(collection, docId) {
+        return this.#versions.get(`${collection}:${docId}`) || 0;
+    }
+
+    #collection(name) {
+        if (!this.#collections.has(name)) {
+            this.#collections.set(name, new Map());
+        }
+        return this.#collections.get(name);
+    }
+
+    // The document a set of `data` over `current` stores, cloned from the caller's data.
+    #merged(current, docId, data) {
+        return { ...current, ...structuredClone(withoutVersion(data)), id: docId, [VERSION_FIELD]: newVersion() };
+    }
+
+    /**
+     * Stages set/delete writes over the stored documents and the writes staged before them.
+     * @param {Map<string, object>} staged - Staged `{ collection, docId, doc }` writes by identity; a null doc deletes.
+     * @param {object} write - { type: 'set'|'delete', collection, docId, data }.
+     */
+    #stage(staged, { type, collection, docId, data }) {
+        const identity = `${collection}:${docId}`;
+        if (type === 'delete') {
+            staged.set(identity, { collection, docId, doc: null });
+            return;
+        }
+        const current = staged.has(identity) ? staged.get(identity).doc : this.#collection(collection).get(docId);
+        staged.set(identity, { collection, docId, doc: this.#merged(current, docId, data) });
+    }
+
+    // Applies staged writes with no await between them, so no other call sees some without the rest.
+    #commit(staged) {
+        for (const { collection, docId, doc } of staged.values()) {
+            if (doc) {
+                this.#collection(collection).set(docId, doc);
+            } else {
+                this.#collection(collection).delete(docId);
+            }
+            this.#bumpVersion(collection, docId);
+        }
+    }
+
+    /**
+     * Gets a single document by ID.
+     * @param {string} collection - The name of the collection.
+     * @param {string} docId - The document ID.
+     * @returns {Promise<object|null>} The document or null if not found.
+     */
+    async get(collection, docId) {
+        const doc = this.#collection(collection).get(docId);
+        return doc ? structuredClone(doc) : null;
+    }
+
+    async getMany(collection, docIds) {
+        return Promise.all(docIds.map(docId => this.get(collection, docId)));
+    }
+
+    /**
+     * Creates or merges a document, like Firestore's `set(..., { merge: true })`.
+     * @param {string} collection - The name of the collection.
+     * @param {string} docId - The document ID.
+     * @param {object} data - The fields to set.
+     * @param {object} [condition={}] - { ifVersion, ifNotExists }; see ../versioning.js.
+     * @returns {Promise<object>} The stored document.
+     */
+    async set(collection, docId, data, { ifVersion, ifNotExists } = {}) {
+        const docs = this.#collection(collection);
+        const current = docs.get(docId);
+        if ((ifNotExists && current) || (ifVersion !== undefined && current?.[VERSION_FIELD] !== ifVersion)) {
+            throw versionConflict(collection, docId, { ifVersion, ifNotExists });
+        }
+        const stored = this.#merged(current, docId, data);
+        docs.set(docId, stored);
+        this.#bumpVersion(collection, docId);
+        return structuredClone(stored);
+    }
+
+    /**
+     * Applies update operations to a document, creating it if missing.
+     * @param {string} collection - The name of the collection.
+     * @param {string} docId - The document ID.
+     * @param {Array<object>} ops - Validated update operations (see ../update.js).
+     * @returns {Promise<object>} The updated document.
+     */
+    async update(collection, docId, ops) {
+        const docs = this.#collection(collection);
+        const stored = { ...applyUpdate(docs.get(docId) ?? {}, ops), id: docId, [VERSION_FIELD]: newVersion() };
+        docs.set(docId, stored);
+        this.#bumpVersion(collection, docId);
+        return structuredClone(stored);
+    }
+
+    async fetch(collection, query = {}) {
+        return applyQuery(structuredClone([...this.#collection(collection).values()]), query);
+    }
+
+    /**
+     * Fetches one page of documents. Pages are sorted by the query's `orderBy` and then by
+     * ID, and the cursor holds the number of matching documents already returned.
+     */
+    async fetchPage(collection, query = {}, { pageSize, cursor }) {
+        const { where, orderBy, select } = normalizeQuery(query);
+        const matched = [...this.#collection(collection).values()].filter(doc => matchesWhere(doc, where));
+        sortDocuments(matched, [...orderBy, { field: 'id', direction: 'asc' }]);
+
+        const offset = cursor ? decodeCursor(cursor).offset : 0;
+        const items = matched.slice(offset, offset + pageSize).map(doc => projectDocument(structuredClone(doc), select));
+        const nextOffset = offset + items.length;
+        return { items, nextCursor: nextOffset < matched.length ? encodeCursor({ offset: nextOffset }) : null };
+    }
+
+    async delete(collection, docId) {
+        this.#bumpVersion(collection, docId);
+        return this.#collection(collection).delete(docId);
+    }
+
+    async deleteMany(collection, query = {}) {
+        const docs = this.#collection(collection);
+        const ids = applyQuery([...docs.values()], query).map(doc => doc.id);
+        ids.forEach(id => {
+            docs.delete(id);
+            this.#bumpVersion(collection, id);
+        });
+        return ids;
+    }
+
+    /**
+     * Applies set/delete operations in one step, so no other call observes a partial batch.
+     * Every write is staged before any is applied, so a batch that fails applies none.
+     * @param {Array<object>} ops - `{ type: 'set'|'delete', collection, key, data }` operations.
+     * @returns {Promise<void>}
+     */
+    async batch(ops) {
+        const staged = new Map();
+        for (const { type, collection, key, data } of ops) {
+            this.#stage(staged, { type, collection, docId: key, data });
+        }
+        this.#commit(staged);
+    }
+
+    /**
+     * Runs a read-modify-write transaction with optimistic concurrency: writes are buffered,
+     * and if a document read in the transaction changes before commit the callback is run
+     * again, as Firestore does.
+     * @param {Function} fn - Receives `{ get, set, delete }` bound to the transaction.
+     * @returns {Promise<*>} The callback's result.
+     */
+    async transaction(fn) {
+        for (let attempt = 1; ; attempt++) {
+            const readVersions = new Map();
+            const pending = new Map();
+
+            const result = await fn({
+                get: async (collection, docId) => {
+                    const identity = `${collection}:${docId}`;
+                    if (pending.has(identity)) {
+                        const { doc } = pending.get(identity);
+                        return doc ? structuredClone(doc) : null;
+                    }
+                    readVersions.set(identity, { collection, docId, version: this.#version(collection, docId) });
+                    return this.get(collection, docId);
+                },
+                set: async (collection, docId, data) => this.#stage(pending, { type: 'set', collection, docId, data }),
+                delete: async (collection, docId) => this.#stage(pending, { type: 'delete', collection, docId }),
+            });
+
+            const conflicted = [...readVersions.values()]
+                .some(({ collection, docId, version }) => this.#version(collection, docId) !== version);
+            if (conflicted) {
+                if (attempt < MAX_TRANSACTION_ATTEMPTS) continue;
+                throw new ConflictError(`Transaction aborted after ${MAX_TRANSACTION_ATTEMPTS} attempts because the documents it read kept changing.`, { backend: 'memory', retryable: true });
+            }
+
+            this.#commit(pending);
+            return result;
+        }
+    }
+
+    /**
+     * Removes every stored document, e.g. between tests.
+     */
+    clear() {
+        this.#collections.clear();
+        this.#versions.clear();
+    }
+}
+
+const instance = new FnMemoryService();
+export default instance;
@@ -1,46 +1,557 @@
-import { MongoClient, ObjectId } from 'mongodb';
+import { MongoClient, ObjectId, BSON } from 'mongodb';
+import { getField, normalizeQuery } from '../query.js';
+import { decodeCursor, encodeCursor } from '../cursor.js';
+import { VERSION_FIELD, newVersion, versionConflict, withoutVersion } from '../versioning.js';
+import { ChangeTracker } from '../watch.js';
+import { EXPIRY_FIELD } from '../lifecycle.js';
+import { ValidationError, toDatabaseError } from '../errors.js';
+import { createLogger } from '../../logger.js';
+import { attemptTimeLeft } from '../../resilience.js';
 
-const MONGODB_URI = process.env.MONGODB_URI || 'your_mongodb_connection_uri';
-const DB_NAME = 'your_database_name';
+import { MONGODB_URI, MONGODB_DB_NAME, MONGODB_OPTIONS } from '../../adaptors/config.js';
 
-if (!MONGODB_URI) {
-    throw new Error('Please define the MONGODB_URI environment variable.');
+const log = createLogger('mongodb');
+
+// Portable query operators mapped to their MongoDB equivalents.
+const MONGO_OPERATORS = {
+    '==': '$eq',
+    '<': '$lt',
+    '<=': '$lte',
+    '>': '$gt',
+    '>=': '$gte',
+    'in': '$in',
+};
+
+/**
+ * Translates a portable query into a MongoDB filter and find options.
+ * @param {object|Array<object>} query - The portable query.
+ * @returns {{ filter: object, options: object }}
+ */
+function toMongoQuery(query) {
+    const { where, orderBy, limit, select } = normalizeQuery(query);
+    const filter = {};
+    for (const { field, op, value } of where) {
+        const condition = op === 'array-contains'
+            ? { $elemMatch: { $eq: value } }
+            : { [MONGO_OPERATORS[op]]: value };
+        filter[field] = { ...filter[field], ...condition };
+    }
+
+    const options = {};
+    if (orderBy.length > 0) {
+        options.sort = Object.fromEntries(orderBy.map(({ field, direction }) => [field, direction === 'desc' ? -1 : 1]));
+    }
+    if (limit) {
+        options.limit = limit;
+    }
+    if (select) {
+        options.projection = Object.fromEntries(select.map(field => [field, 1]));
+    }
+    return { filter, options };
+}
+
+// Portable update operators mapped to their MongoDB equivalents.
+const MONGO_UPDATE_OPERATORS = {
+    'increment': '$inc',
+    'set': '$set',
+    'unset': '$unset',
+    'array-union': '$addToSet',
+    'array-remove': '$pull',
+};
+
+/**
+ * Translates portable update operations into a MongoDB update document that also stamps a new version.
+ * @param {Array<object>} ops - The validated update operations.
+ * @returns {object} The MongoDB update.
+ */
+function toMongoUpdate(ops) {
+    const update = { $set: { [VERSION_FIELD]: newVersion() } };
+    for (const { op, field, value } of ops) {
+        const operator = MONGO_UPDATE_OPERATORS[op];
+        update[operator] = update[operator] || {};
+        update[operator][field] = op === 'unset' ? ''
+            : op === 'array-union' ? { $each: value }
+            : op === 'array-remove' ? { $in: value }
+            : value;
+    }
+    return update;
+}
+
+// Server error code for a duplicate _id.
+const DUPLICATE_KEY_CODE = 11000;
+
+// Documents may use ObjectIds or plain strings as _id.
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+/**
+ * Builds the filter that finds a document by ID. A 24-hex string matches either an
+ * ObjectId or the same string stored as-is, since both kinds of _id are supported.
+ * @param {ObjectId|string} docId - The document ID.
+ * @returns {object} The MongoDB filter.
+ */
+function idFilter(docId) {
+    if (typeof docId === 'string' && OBJECT_ID_PATTERN.test(docId)) {
+        return { _id: { $in: [new ObjectId(docId), docId] } };
+    }
+    return { _id: docId };
+}
+
+/**
+ * The _id for a new document: an ObjectId when the ID is 24 hex characters, the ID itself otherwise.
+ * @param {ObjectId|string} docId - The document ID.
+ * @returns {ObjectId|string}
+ */
+function newDocumentId(docId) {
+    return typeof docId === 'string' && OBJECT_ID_PATTERN.test(docId) ? new ObjectId(docId) : docId;
+}
+
+/**
+ * Adds to an update the _id of the document an upsert by ID inserts. A 24-hex ID's filter
+ * matches an ObjectId or the same string, so it cannot name the new document's _id itself;
+ * `$setOnInsert` does, in the same atomic write that keeps the stored _id of an existing document.
+ * @param {ObjectId|string} docId - The document ID.
+ * @param {object} update - The MongoDB update.
+ * @returns {object} The update, with `$setOnInsert._id` when the filter leaves it open.
+ */
+function withInsertedId(docId, update) {
+    const _id = newDocumentId(docId);
+    if (_id === docId) {
+        return update;
+    }
+    return { ...update, $setOnInsert: { ...update.$setOnInsert, _id } };
 }
 
-class FnMongoService {
+/**
+ * The condition a sort field's value must meet to sort strictly after `value`. MongoDB ranks
+ * null and missing fields below every other value, and `$gt: null` or `$lt: v` never match them,
+ * so nulls are handled apart: ascending, everything not null comes after a null; descending,
+ * nulls come after every value and nothing comes after them.
+ * @param {string} field - The sort field.
+ * @param {string} direction - 'asc' or 'desc'.
+ * @param {*} value - The field's value in the last document of the previous page.
+ * @returns {object|null} The condition, or null if no value sorts after `value`.
+ */
+function sortsAfter(field, direction, value) {
+    if (direction === 'desc') {
+        return value === null ? null : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+    }
+    return { [field]: value === null ? { $ne: null } : { $gt: value } };
+}
+
+/**
+ * Builds a keyset filter that matches documents sorting strictly after the given values.
+ * For sort fields (a, b, _id) this is: a > va OR (a = va AND b > vb) OR (a = va AND b = vb AND _id > vid),
+ * with `>` flipped to `<` for descending fields (see sortsAfter for null values).
+ * @param {Array<object>} sortFields - The { field, direction } sort clauses, ending with _id.
+ * @param {Array<*>} values - The sort values of the last document of the previous page, null for missing ones.
+ * @returns {object} The MongoDB filter.
+ */
+function keysetFilter(sortFields, values) {
+    const clauses = [];
+    sortFields.forEach(({ field, direction }, index) => {
+        const after = sortsAfter(field, direction, values[index]);
+        if (after) {
+            // `{ field: null }` matches a missing field too, as the sort ranks them alike.
+            const equal = sortFields.slice(0, index).map((previous, i) => ({ [previous.field]: values[i] }));
+            clauses.push({ $and: [...equal, after] });
+        }
+    });
+    return { $or: clauses };
+}
+
+export class FnMongoService {
     #db; // Define the private field
+    #uri;
+    #dbName;
+    #options;
 
-    constructor() {
-        this.client = new MongoClient(MONGODB_URI);
+    /**
+     * The connection is opened on first use, not on construction.
+     * @param {object} [config={}] - { uri, dbName, options } overriding the environment defaults.
+     */
+    constructor({ uri = MONGODB_URI, dbName = MONGODB_DB_NAME, options = MONGODB_OPTIONS } = {}) {
+        this.#uri = uri;
+        this.#dbName = dbName;
+        this.#options = options;
+        this.client = null;
         this.#db = null;
-        this.connect();
     }
     async connect() {
         if (!this.#db) {
+            if (!this.#uri) {
+                throw new Error('Please define the MONGODB_URI environment variable.');
+            }
             try {
+                this.client = this.client || new MongoClient(this.#uri, this.#options);
                 await this.client.connect();
-                this.#db = this.client.db(DB_NAME); // Assign to the private field
-                console.log('MongoDB native driver connected successfully.');
+                this.#db = this.client.db(this.#dbName); // Assign to the private field
+                log.info('MongoDB native driver connected', { database: this.#dbName });
             } catch (error) {
-                console.error('Error connecting to MongoDB:', error);
-                process.exit(1);
+                log.error('Failed to connect to MongoDB', { database: this.#dbName, error });
+                await this.client?.close().catch(() => {});
+                this.client = null;
+                throw toDatabaseError(error, 'mongodb');
             }
         }
         return this.#db;
     }
 
+    /**
+     * Checks the connection with a ping command, connecting first if needed.
+     * @returns {Promise<void>}
+     */
+    async ping() {
+        try {
+            await this.connect();
+            await this.#db.command({ ping: 1 });
+        } catch (error) {
+            throw toDatabaseError(error, 'mongodb');
+        }
+    }
+
+    /**
+     * Closes the client once its in-flight operations finish. The next call connects again.
+     * @returns {Promise<void>}
+     */
+    async close() {
+        const client = this.client;
+        this.client = null;
+        this.#db = null;
+        if (client) {
+            await client.close();
+            log.info('MongoDB client closed', { database: this.#dbName });
+        }
+    }
+
     async get(collectionName, docId) {
         try {
             await this.connect(); // Ensure connection is ready
             const collection = this.#db.collection(collectionName); // Reference the private field
-            const doc = await collection.findOne({ _id: new ObjectId(docId) });
+            const doc = await collection.findOne(idFilter(docId), { maxTimeMS: attemptTimeLeft() });
             return doc;
         } catch (error) {
-            console.error(`Error getting document with ID: ${docId}`, error);
-            throw error;
+            log.debug('MongoDB operation failed', { operation: 'get', collection: collectionName, error });
+            throw toDatabaseError(error, 'mongodb');
+        }
+    }
+
+    /**
+     * Gets several documents with one `$in` query.
+     * @param {string} collectionName - The name of the collection.
+     * @param {Array<ObjectId|string>} docIds - The document IDs.
+     * @returns {Promise<Array<object|null>>} The documents in the order of `docIds`, with null for missing ones.
+     */
+    async getMany(collectionName, docIds) {
+        try {
+            await this.connect();
+            // Each ID may be stored as an ObjectId or a string, as in idFilter.
+            const candidates = docIds.flatMap(docId => {
+                const { _id } = idFilter(docId);
+                return _id.$in || [_id];
+            });
+            const docs = await this.#db.collection(collectionName).find({ _id: { $in: candidates } }, { maxTimeMS: attemptTimeLeft() }).toArray();
+            const byId = new Map(docs.map(doc => [String(doc._id), doc]));
+            return docIds.map(docId => byId.get(String(docId)) || null);
+        } catch (error) {
+            log.debug('MongoDB operation failed', { operation: 'getMany', collection: collectionName, error });
+            throw toDatabaseError(error, 'mongodb');
+        }
+    }
+
+    /**
+     * Creates or updates a document and returns it as stored.
+     * - With an ID (string or ObjectId), the document is upserted. A new document gets an
+     *   ObjectId when the ID is 24 hex characters, and the string itself otherwise.
+     * - With a filter object, the first matching document is upserted.
+     * - Without a key, a new document is inserted with a generated ObjectId.
+     * With `ifVersion`, the update is filtered on the stored version and never upserts; with
+     * `ifNotExists`, the document is only inserted. Either throws a ConflictError when it fails.
+     * Each is one atomic write, so concurrent first writes to an ID cannot both create it.
+     * @param {string} collectionName - The name of the collection.
+     * @param {ObjectId|string|object|null} keyOrQuery - The document ID, a MongoDB filter, or null.
+     * @param {object} data - The fields to set.
+     * @param {object} [condition={}] - { ifVersion, ifNotExists }; see ../versioning.js.
+     * @returns {Promise<object>} The stored document, including its _id.
+     */
+    async set(collectionName, keyOrQuery, data, condition = {}) {
+        try {
+            await this.connect();
+            return await this.#upsert(this.#db.collection(collectionName), keyOrQuery, data, { condition });
+        } catch (error) {
+            log.debug('MongoDB operation failed', { operation: 'set', collection: collectionName, error });
+            throw toDatabaseError(error, 'mongodb');
+        }
+    }
+
+    async #upsert(collection, keyOrQuery, data, { session, condition = {}, retried = false } = {}) {
+        const { _id, ...fields } = withoutVersion(data);
+        fields[VERSION_FIELD] = newVersion();
+        const { ifVersion, ifNotExists } = condition;
+
+        if (keyOrQuery === null || keyOrQuery === undefined) {
+            if (ifVersion !== undefined) {
+                throw new ValidationError('A write with ifVersion needs the key of the document it expects.');
+            }
+            const doc = _id === undefined ? fields : { _id, ...fields };
+            const { insertedId } = await collection.insertOne(doc, { session });
+            return { ...doc, _id: insertedId };
+        }
+
+        const isId = typeof keyOrQuery === 'string' || keyOrQuery instanceof ObjectId;
+        const filter = isId ? idFilter(keyOrQuery) : keyOrQuery;
+
+        if (ifVersion !== undefined) {
+            const updated = await collection.findOneAndUpdate(
+                { ...filter, [VERSION_FIELD]: ifVersion },
+                { $set: fields },
+                { returnDocument: 'after', session }
+            );
+            if (!updated) {
+                throw versionConflict(collection.collectionName, keyOrQuery, condition);
+            }
+            return updated;
+        }
+
+        try {
+            if (ifNotExists) {
+                if (!isId) {
+                    throw new ValidationError('A write with ifNotExists needs a document ID, not a filter.');
+                }
+                // Inserts only if no document matches, in one write; finding one means a conflict.
+                const existing = await collection.findOneAndUpdate(
+                    filter,
+                    withInsertedId(keyOrQuery, { $setOnInsert: fields }),
+                    { upsert: true, returnDocument: 'before', projection: { _id: 1 }, session }
+                );
+                if (existing) {
+                    throw versionConflict(collection.collectionName, keyOrQuery, condition);
+                }
+                return { _id: newDocumentId(keyOrQuery), ...fields };
+            }
+            const update = { $set: fields };
+            return await collection.findOneAndUpdate(
+                filter,
+                isId ? withInsertedId(keyOrQuery, update) : update,
+                { upsert: true, returnDocument: 'after', session }
+            );
+        } catch (error) {
+            if (error.code !== DUPLICATE_KEY_CODE) {
+                throw error;
+            }
+            // A concurrent write inserted the document first.
+            if (ifNotExists) {
+                throw versionConflict(collection.collectionName, keyOrQuery, condition);
+            }
+            if (session || retried) {
+                throw error;
+            }
+            // An unconditional write goes ahead: the retry finds the document and updates it.
+            return this.#upsert(collection, keyOrQuery, data, { condition, retried: true });
+        }
+    }
+
+    /**
+     * Applies update operations atomically in one findOneAndUpdate, creating the document if missing.
+     * @param {string} collectionName - The name of the collection.
+     * @param {ObjectId|string} docId - The document ID.
+     * @param {Array<object>} ops - Validated update operations (see ../update.js).
+     * @returns {Promise<object>} The updated document.
+     */
+    async update(collectionName, docId, ops) {
+        try {
+            await this.connect();
+            const collection = this.#db.collection(collectionName);
+            // One atomic upsert that keeps the stored _id type, as #upsert does.
+            return await collection.findOneAndUpdate(
+                idFilter(docId),
+                withInsertedId(docId, toMongoUpdate(ops)),
+                { upsert: true, returnDocument: 'after' }
+            );
+        } catch (error) {
+            log.debug('MongoDB operation failed', { operation: 'update', collection: collectionName, error });
+            throw toDatabaseError(error, 'mongodb');
+        }
+    }
+
+    /**
+     * Applies set/delete operations atomically in a multi-document transaction.
+     * Transactions need a replica set or sharded cluster.
+     * @param {Array<object>} ops - `{ type: 'set'|'delete', collection, key, data }` operations.
+     * @returns {Promise<void>}
+     */
+    async batch(ops) {
+        await this.transaction(async tx => {
+            for (const { type, collection, key, data } of ops) {
+                if (type === 'set') {
+                    await tx.set(collection, key, data);
+                } else {
+                    await tx.delete(collection, key);
+                }
+            }
+        });
+    }
+
+    /**
+     * Runs a read-modify-write transaction in a session. The driver retries the callback on
+     * transient transaction errors, so it may run more than once and must not have side effects.
+     * @param {Function} fn - Receives `{ get, set, delete }` bound to the session.
+     * @returns {Promise<*>} The callback's result.
+     */
+    async transaction(fn) {
+        await this.connect();
+        const session = this.client.startSession();
+        try {
+            let result;
+            await session.withTransaction(async () => {
+                result = await fn({
+                    get: (collectionName, docId) => this.#db.collection(collectionName).findOne(idFilter(docId), { session }),
+                    set: (collectionName, keyOrQuery, data) => this.#upsert(this.#db.collection(collectionName), keyOrQuery, data, { session }),
+                    delete: async (collectionName, docId) => {
+                        const { deletedCount } = await this.#db.collection(collectionName).deleteOne(idFilter(docId), { session });
+                        return deletedCount > 0;
+                    },
+                });
+            });
+            return result;
+        } catch (error) {
+            log.debug('MongoDB operation failed', { operation: 'transaction', error });
+            throw toDatabaseError(error, 'mongodb');
+        } finally {
+            await session.endSession();
+        }
+    }
+
+    async fetch(collectionName, query = {}) {
+        try {
+            await this.connect();
+            const collection = this.#db.collection(collectionName);
+            const { filter, options } = toMongoQuery(query);
+            return await collection.find(filter, { ...options, maxTimeMS: attemptTimeLeft() }).toArray();
+        } catch (error) {
+            log.debug('MongoDB operation failed', { operation: 'fetch', collection: collectionName, error });
+            throw toDatabaseError(error, 'mongodb');
+        }
+    }
+
+    /**
+     * Fetches one page of documents. Pages are sorted by the query's `orderBy` and then by
+     * `_id`, and the cursor holds the last document's sort values (EJSON-encoded).
+     */
+    async fetchPage(collectionName, query = {}, { pageSize, cursor }) {
+        try {
+            await this.connect();
+            const collection = this.#db.collection(collectionName);
+            const normalized = normalizeQuery(query);
+            const sortFields = [...normalized.orderBy.filter(({ field }) => field !== '_id'), { field: '_id', direction: 'asc' }];
+            const { filter, options } = toMongoQuery({ ...normalized, orderBy: sortFields, limit: pageSize });
+
+            const pageFilter = cursor
+                ? { $and: [filter, keysetFilter(sortFields, BSON.EJSON.deserialize(decodeCursor(cursor)))] }
+                : filter;
+            const items = await collection.find(pageFilter, { ...options, maxTimeMS: attemptTimeLeft() }).toArray();
+
+            const last = items[items.length - 1];
+            const nextCursor = items.length === pageSize
+                ? encodeCursor(BSON.EJSON.serialize(sortFields.map(({ field }) => getField(last, field) ?? null)))
+                : null;
+            return { items, nextCursor };
+        } catch (error) {
+            log.debug('MongoDB operation failed', { operation: 'fetchPage', collection: collectionName, error });
+            throw toDatabaseError(error, 'mongodb');
+        }
+    }
+
+    async delete(collectionName, docId) {
+        try {
+            await this.connect();
+            const collection = this.#db.collection(collectionName);
+            const result = await collection.deleteOne(idFilter(docId));
+            return result.deletedCount > 0;
+        } catch (error) {
+            log.debug('MongoDB operation failed', { operation: 'delete', collection: collectionName, error });
+            throw toDatabaseError(error, 'mongodb');
+        }
+    }
+
+    async deleteMany(collectionName, query = {}) {
+        try {
+            await this.connect();
+            const collection = this.#db.collection(collectionName);
+            const { filter, options } = toMongoQuery(query);
+            // Resolve the matching ids first so the caller can evict them from the cache.
+            const docs = await collection.find(filter, { ...options, projection: { _id: 1 } }).toArray();
+            const ids = docs.map(doc => doc._id);
+            if (ids.length > 0) {
+                await collection.deleteMany({ _id: { $in: ids } });
+            }
+            return ids.map(id => id.toString());
+        } catch (error) {
+            log.debug('MongoDB operation failed', { operation: 'deleteMany', collection: collectionName, error });
+            throw toDatabaseError(error, 'mongodb');
+        }
+    }
+
+    /**
+     * Creates a TTL index on expiresAt, so MongoDB deletes documents once their expiry passes
+     * (its TTL monitor runs every minute). Creating an existing index again is a no-op.
+     * @param {string} collectionName - The name of the collection.
+     * @returns {Promise<void>}
+     */
+    async configureExpiry(collectionName) {
+        try {
+            await this.connect();
+            await this.#db.collection(collectionName).createIndex({ [EXPIRY_FIELD]: 1 }, { expireAfterSeconds: 0 });
+        } catch (error) {
+            log.debug('MongoDB operation failed', { operation: 'configureExpiry', collection: collectionName, error });
+            throw toDatabaseError(error, 'mongodb');
+        }
+    }
+
+    /**
+     * Streams changes to the documents matching a query with a change stream (see ../watch.js),
+     * which needs a replica set or sharded cluster. Updated documents are looked up in full and
+     * matched against the query in process.
+     * @param {string} collectionName - The name of the collection.
+     * @param {object|Array<object>} query - The portable query.
+     * @param {Function} handler - Receives `{ type, id, doc }` events, with string IDs.
+     * @param {Function} onError - Receives a stream failure, after which the stream is closed.
+     * @returns {Promise<Function>} Closes the change stream.
+     */
+    async watch(collectionName, query, handler, onError) {
+        await this.connect();
+        const collection = this.#db.collection(collectionName);
+        const changeStream = collection.watch(
+            [{ $match: { operationType: { $in: ['insert', 'update', 'replace', 'delete'] } } }],
+            { fullDocument: 'updateLookup' },
+        );
+        let tracker;
+        const pending = [];
+        const emit = change => {
+            const id = String(change.documentKey._id);
+            const event = change.operationType === 'delete'
+                ? tracker.removed(id)
+                : tracker.written(id, change.fullDocument);
+            if (event) handler(event);
+        };
+        // Listening starts before the matching documents are listed, so no change falls in between;
+        // changes that arrive meanwhile are held back until the tracker knows what matched.
+        changeStream.on('change', change => (tracker ? emit(change) : pending.push(change)));
+        changeStream.on('error', error => {
+            changeStream.close().catch(() => {});
+            onError(error);
+        });
+        try {
+            const { filter } = toMongoQuery(query);
+            const matching = await collection.find(filter, { projection: { _id: 1 } }).toArray();
+            tracker = new ChangeTracker(query, matching.map(doc => doc._id));
+        } catch (error) {
+            await changeStream.close().catch(() => {});
+            log.debug('MongoDB operation failed', { operation: 'watch', collection: collectionName, error });
+            throw toDatabaseError(error, 'mongodb');
         }
+        pending.splice(0).forEach(emit);
+        return () => changeStream.close();
     }
-    // ... other methods using this.#db
 }
 
 const instance = new FnMongoService();
@@ -0,0 +1,29 @@
+/**
+ * Opaque pagination cursors shared by every backend's `fetchPage`.
+ * Each backend decides what state it needs to resume (a LastEvaluatedKey, the sort
+ * values of the last document, a SCAN position...); callers only ever see a string.
+ */
+
+import { ValidationError } from './errors.js';
+
+/**
+ * Encodes backend pagination state as an opaque, URL-safe cursor.
+ * @param {object} state - JSON-serializable resume state.
+ * @returns {string} The cursor.
+ */
+export function encodeCursor(state) {
+    return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+/**
+ * Decodes a cursor produced by `encodeCursor`.
+ * @param {string} cursor - The cursor.
+ * @returns {object} The resume state.
+ */
+export function decodeCursor(cursor) {
+    try {
+        return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new ValidationError('Invalid pagination cursor.', { cause: error });
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * Errors thrown by the database backends and FnDatabaseAdapter (see ../errors.js), and the
+ * translation of each backend SDK's own errors into them.
+ */
+
+import {
+    FnError, NotFoundError, ConflictError, ValidationError, UnauthorizedError, RateLimitedError, UnavailableError, TimeoutError, CircuitOpenError, isNetworkError, isCallerError,
+} from '../errors.js';
+
+export {
+    FnError, NotFoundError, ConflictError, ValidationError, UnauthorizedError, RateLimitedError, UnavailableError, TimeoutError, CircuitOpenError, isCallerError,
+};
+
+// DynamoDB exception names, by the error they become.
+const DYNAMODB_ERRORS = {
+    ProvisionedThroughputExceededException: RateLimitedError,
+    ThrottlingException: RateLimitedError,
+    RequestLimitExceeded: RateLimitedError,
+    LimitExceededException: RateLimitedError,
+    InternalServerError: UnavailableError,
+    ServiceUnavailable: UnavailableError,
+    TimeoutError: UnavailableError,
+    ConditionalCheckFailedException: ConflictError,
+    TransactionConflictException: ConflictError,
+    TransactionCanceledException: ConflictError,
+    ValidationException: ValidationError,
+    AccessDeniedException: UnauthorizedError,
+    UnrecognizedClientException: UnauthorizedError,
+    InvalidSignatureException: UnauthorizedError,
+    ExpiredTokenException: UnauthorizedError,
+};
+
+// gRPC status codes of the Firestore SDK, by the error they become.
+const FIRESTORE_ERRORS = {
+    3: ValidationError, // INVALID_ARGUMENT
+    4: UnavailableError, // DEADLINE_EXCEEDED
+    5: NotFoundError, // NOT_FOUND
+    6: ConflictError, // ALREADY_EXISTS
+    7: UnauthorizedError, // PERMISSION_DENIED
+    8: RateLimitedError, // RESOURCE_EXHAUSTED
+    10: ConflictError, // ABORTED, a transaction contention that is worth retrying
+    13: UnavailableError, // INTERNAL
+    14: UnavailableError, // UNAVAILABLE
+    16: UnauthorizedError, // UNAUTHENTICATED
+};
+
+// MongoDB server error codes, by the error they become.
+const MONGODB_CODES = {
+    11000: ConflictError, // DuplicateKey
+    112: ConflictError, // WriteConflict
+    121: ValidationError, // DocumentValidationFailure
+    13: UnauthorizedError, // Unauthorized
+    18: UnauthorizedError, // AuthenticationFailed
+    50: UnavailableError, // MaxTimeMSExpired
+    91: UnavailableError, // ShutdownInProgress
+    189: UnavailableError, // PrimarySteppedDown
+    10107: UnavailableError, // NotWritablePrimary
+    13436: UnavailableError, // NotPrimaryOrSecondary
+};
+
+// The driver's network failures, which carry no server code.
+const MONGODB_UNAVAILABLE = ['MongoNetworkError', 'MongoNetworkTimeoutError', 'MongoServerSelectionError', 'MongoNotConnectedError', 'MongoTopologyClosedError'];
+
+// Redis reply prefixes, by the error they become.
+const REDIS_REPLIES = {
+    NOAUTH: UnauthorizedError,
+    WRONGPASS: UnauthorizedError,
+    NOPERM: UnauthorizedError,
+    LOADING: UnavailableError,
+    BUSY: UnavailableError,
+    MASTERDOWN: UnavailableError,
+    CLUSTERDOWN: UnavailableError,
+    TRYAGAIN: UnavailableError,
+    READONLY: UnavailableError,
+    OOM: UnavailableError,
+};
+
+function classify(error, backend) {
+    if (isNetworkError(error)) return UnavailableError;
+    switch (backend) {
+        case 'dynamodb': {
+            const ErrorClass = DYNAMODB_ERRORS[error.name];
+            if (ErrorClass) return ErrorClass;
+            return error.$metadata?.httpStatusCode >= 500 ? UnavailableError : undefined;
+        }
+        case 'firestore':
+            return FIRESTORE_ERRORS[error.code];
+        case 'mongodb':
+            if (MONGODB_UNAVAILABLE.includes(error.name)) return UnavailableError;
+            if (typeof error.hasErrorLabel === 'function' && error.hasErrorLabel('TransientTransactionError')) return ConflictError;
+            return MONGODB_CODES[error.code];
+        case 'redis':
+            if (error.name === 'MaxRetriesPerRequestError' || /Connection is closed|Stream isn't writeable/.test(error.message)) {
+                return UnavailableError;
+            }
+            return REDIS_REPLIES[String(error.message).split(' ')[0]];
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Translates an error thrown by a backend SDK into one of the library's errors, keeping the
+ * original as `cause`. Errors that already are the library's are returned unchanged.
+ * Throttles, outages and transaction contention are marked retryable; conflicting
+ * conditional writes are not, since repeating them cannot succeed.
+ * @param {Error} error - The SDK's error.
+ * @param {string} backend - The database type, e.g. 'dynamodb'.
+ * @returns {FnError} The library's error.
+ */
+export function toDatabaseError(error, backend) {
+    if (error instanceof FnError) {
+        error.backend ??= backend;
+        return error;
+    }
+    const ErrorClass = classify(error ?? {}, backend) ?? FnError;
+    const message = error?.message || String(error);
+    if (ErrorClass === ConflictError) {
+        // Contention (an aborted transaction, a write conflict) is worth retrying; a failed condition or duplicate key is not.
+        const failedCondition = error.name === 'ConditionalCheckFailedException'
+            || (error.CancellationReasons || []).some(reason => reason.Code === 'ConditionalCheckFailed')
+            || error.code === 11000
+            || (backend === 'firestore' && error.code === 6);
+        return new ConflictError(message, { cause: error, backend, retryable: !failedCondition });
+    }
+    return new ErrorClass(message, { cause: error, backend });
+}
@@ -0,0 +1,87 @@
+/**
+ * Per-collection key schemas, used by FnDatabaseAdapter to validate keys and derive cache keys.
+ *
+ * A schema is either
+ *   { partitionKey: 'customerId', sortKey: 'orderId' }   keys are objects with exactly these attributes
+ *                                                       (sortKey is optional), as on DynamoDB
+ *   { idField: '_id' }                                  keys are document IDs, and stored documents
+ *                                                       carry theirs in `idField`, as on MongoDB/Firestore
+ */
+
+import { ValidationError } from './errors.js';
+
+/**
+ * Validates a declared key schema.
+ * @param {string} collection - The name of the collection, for error messages.
+ * @param {object} schema - The declared schema.
+ * @returns {object} The same schema.
+ */
+export function normalizeKeySchema(collection, schema) {
+    const { partitionKey, sortKey, idField } = schema || {};
+    const isComposite = typeof partitionKey === 'string' && (sortKey === undefined || typeof sortKey === 'string');
+    if (isComposite === (typeof idField === 'string')) {
+        throw new Error(`The key schema of collection "${collection}" needs either a partitionKey (and optional sortKey) or an idField.`);
+    }
+    return schema;
+}
+
+const isKeyValue = value => (typeof value === 'string' && value !== '') || Number.isFinite(value);
+// MongoDB ObjectIds are accepted as IDs without importing the driver.
+const isDocumentId = value => (typeof value === 'string' && value !== '') || Number.isFinite(value)
+    || (value !== null && typeof value === 'object' && typeof value.toHexString === 'function');
+
+/**
+ * Checks a key against a schema.
+ * @param {string} collection - The name of the collection, for error messages.
+ * @param {object} schema - The collection's key schema.
+ * @param {*} key - The key passed by the caller.
+ * @returns {*} The same key.
+ */
+export function assertKey(collection, schema, key) {
+    if (schema.idField) {
+        if (!isDocumentId(key)) {
+            throw new ValidationError(`Collection "${collection}" is keyed by document ID; got ${JSON.stringify(key)}.`, { collection });
+        }
+        return key;
+    }
+
+    const expected = [schema.partitionKey, schema.sortKey].filter(Boolean);
+    const actual = key !== null && typeof key === 'object' ? Object.keys(key) : [];
+    const matches = actual.length === expected.length
+        && expected.every(name => actual.includes(name) && isKeyValue(key[name]));
+    if (!matches) {
+        throw new ValidationError(`Collection "${collection}" is keyed by { ${expected.join(', ')} }; got ${JSON.stringify(key)}.`, { collection });
+    }
+    return key;
+}
+
+/**
+ * Extracts the key of a stored document or DynamoDB item.
+ * @param {string} collection - The name of the collection, for error messages.
+ * @param {object} schema - The collection's key schema.
+ * @param {object} item - The document or item.
+ * @returns {*} The key, checked against the schema.
+ */
+export function keyFromItem(collection, schema, item) {
+    const key = schema.idField
+        ? item[schema.idField]
+        : Object.fromEntries([schema.partitionKey, schema.sortKey].filter(Boolean).map(name => [name, item[name]]));
+    return assertKey(collection, schema, key);
+}
+
+/**
+ * Formats a key as the deterministic ID part of a `collection:id` cache key. Single values
+ * are used as-is; a partition and sort key pair is JSON-encoded, so no two pairs collide.
+ * @param {string} collection - The name of the collection, for error messages.
+ * @param {object} schema - The collection's key schema.
+ * @param {*} key - The key.
+ * @returns {string} The formatted key.
+ */
+export function formatKey(collection, schema, key) {
+    assertKey(collection, schema, key);
+    if (schema.idField) {
+        return String(key);
+    }
+    const partition = key[schema.partitionKey];
+    return schema.sortKey ? JSON.stringify([partition, key[schema.sortKey]]) : String(partition);
+}
@@ -0,0 +1,72 @@
+/**
+ * Document expiry and soft deletion for FnDatabaseAdapter.
+ *
+ * A document expires at its `expiresAt`, stored in the form each backend's own expiry needs:
+ * epoch seconds for DynamoDB TTL and Redis, a date for MongoDB TTL indexes, Firestore TTL
+ * policies and the memory backend. Backends purge expired documents lazily (DynamoDB within
+ * days, MongoDB within a minute), so reads also hide documents past their expiry.
+ * A soft-deleted document keeps its data and gets a `deletedAt` date instead of being removed.
+ */
+
+import { toDate } from './schema.js';
+
+export const EXPIRY_FIELD = 'expiresAt';
+
+export const DELETED_FIELD = 'deletedAt';
+
+// Backends whose expiry works on epoch seconds rather than dates.
+const EPOCH_SECONDS_DATABASES = ['dynamodb', 'redis'];
+
+/**
+ * Reads a stored or requested expiry: epoch seconds (as DynamoDB and Redis store it), or any
+ * date form toDate() understands.
+ * @param {*} value - The expiry.
+ * @returns {Date|undefined} The expiry date, or undefined if there is none.
+ */
+export function toExpiryDate(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return new Date(value * 1000);
+    }
+    return value === undefined || value === null ? undefined : toDate(value);
+}
+
+/**
+ * Converts an expiry date to the form a backend stores it in.
+ * @param {Date} date - The expiry.
+ * @param {string} type - The database type.
+ * @returns {Date|number} The stored expiry.
+ */
+export function storedExpiry(date, type) {
+    return EPOCH_SECONDS_DATABASES.includes(type) ? Math.ceil(date.getTime() / 1000) : date;
+}
+
+/**
+ * The seconds until a document expires.
+ * @param {object} doc - The document.
+ * @param {number} [now=Date.now()] - The current time in milliseconds.
+ * @returns {number|undefined} The remaining seconds (0 or less once expired), or undefined if it never expires.
+ */
+export function secondsUntilExpiry(doc, now = Date.now()) {
+    const expiresAt = toExpiryDate(doc?.[EXPIRY_FIELD]);
+    return expiresAt === undefined ? undefined : Math.floor((expiresAt.getTime() - now) / 1000);
+}
+
+/**
+ * Tells whether a document has expired, whether or not the backend has purged it yet.
+ * @param {object} doc - The document.
+ * @param {number} [now=Date.now()] - The current time in milliseconds.
+ * @returns {boolean}
+ */
+export function isExpired(doc, now = Date.now()) {
+    const expiresAt = toExpiryDate(doc?.[EXPIRY_FIELD]);
+    return expiresAt !== undefined && expiresAt.getTime() <= now;
+}
+
+/**
+ * Tells whether a document has been soft-deleted.
+ * @param {object} doc - The document.
+ * @returns {boolean}
+ */
+export function isDeleted(doc) {
+    return doc?.[DELETED_FIELD] !== undefined && doc?.[DELETED_FIELD] !== null;
+}
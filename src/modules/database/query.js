@@ -0,0 +1,192 @@
+/**
+ * Backend-neutral query objects for FnDatabaseAdapter.fetch.
+ *
+ * A query has the shape:
+ *   {
+ *     where: [{ field: 'age', op: '>', value: 25 }, { field: 'tags', op: 'array-contains', value: 'vip' }],
+ *     orderBy: [{ field: 'age', direction: 'desc' }],
+ *     limit: 10,
+ *     select: ['name', 'age'],
+ *   }
+ * Every part is optional. A bare array is read as `where`, which is the filter format
+ * the Firestore backend has always accepted. Fields may be dotted paths into nested objects.
+ */
+
+import { createHash } from 'crypto';
+import { ValidationError } from './errors.js';
+
+export const QUERY_OPERATORS = ['==', '<', '<=', '>', '>=', 'in', 'array-contains'];
+
+const QUERY_PARTS = ['where', 'orderBy', 'limit', 'select'];
+
+/**
+ * Validates a query and fills in defaults.
+ * @param {object|Array<object>} [query={}] - A query object or a bare `where` array.
+ * @returns {{ where: Array<object>, orderBy: Array<object>, limit: number|undefined, select: Array<string>|undefined }}
+ */
+export function normalizeQuery(query = {}) {
+    if (Array.isArray(query)) {
+        query = { where: query };
+    }
+    const { where = [], orderBy = [], limit, select } = query || {};
+
+    for (const condition of where) {
+        if (!condition || typeof condition.field !== 'string') {
+            throw new ValidationError('Each query condition needs a string `field`.');
+        }
+        if (!QUERY_OPERATORS.includes(condition.op)) {
+            throw new ValidationError(`Unsupported query operator "${condition.op}" on field "${condition.field}". Use one of: ${QUERY_OPERATORS.join(', ')}.`);
+        }
+        if (condition.op === 'in' && !Array.isArray(condition.value)) {
+            throw new ValidationError(`The "in" operator on field "${condition.field}" needs an array value.`);
+        }
+    }
+
+    const order = (Array.isArray(orderBy) ? orderBy : [orderBy]).map(entry => {
+        const { field, direction = 'asc' } = typeof entry === 'string' ? { field: entry } : entry;
+        if (direction !== 'asc' && direction !== 'desc') {
+            throw new ValidationError(`Unsupported sort direction "${direction}" on field "${field}". Use "asc" or "desc".`);
+        }
+        return { field, direction };
+    });
+
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+        throw new ValidationError(`Query limit must be a positive integer, got ${limit}.`);
+    }
+
+    return { where, orderBy: order, limit, select };
+}
+
+/**
+ * Reads a (possibly dotted) field path from a document.
+ * @param {object} doc - The document.
+ * @param {string} path - The field path, e.g. 'address.city'.
+ * @returns {*} The value, or undefined if any segment is missing.
+ */
+export function getField(doc, path) {
+    return path.split('.').reduce((value, segment) => (value == null ? undefined : value[segment]), doc);
+}
+
+function compareValues(a, b) {
+    if (a === b) return 0;
+    if (a === undefined || a === null) return -1;
+    if (b === undefined || b === null) return 1;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function matchesCondition(doc, { field, op, value }) {
+    const actual = getField(doc, field);
+    switch (op) {
+        case '==':
+            return actual === value;
+        case '<':
+            return actual != null && compareValues(actual, value) < 0;
+        case '<=':
+            return actual != null && compareValues(actual, value) <= 0;
+        case '>':
+            return actual != null && compareValues(actual, value) > 0;
+        case '>=':
+            return actual != null && compareValues(actual, value) >= 0;
+        case 'in':
+            return value.includes(actual);
+        case 'array-contains':
+            return Array.isArray(actual) && actual.includes(value);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Tests a document against every `where` condition of a normalized query.
+ * @param {object} doc - The document.
+ * @param {Array<object>} where - The normalized conditions.
+ * @returns {boolean} True if the document matches all conditions.
+ */
+export function matchesWhere(doc, where) {
+    return where.every(condition => matchesCondition(doc, condition));
+}
+
+/**
+ * Sorts documents by the `orderBy` clauses of a normalized query.
+ * @param {Array<object>} docs - The documents (sorted in place).
+ * @param {Array<object>} orderBy - The normalized sort clauses.
+ * @returns {Array<object>} The same array, sorted.
+ */
+export function sortDocuments(docs, orderBy) {
+    if (orderBy.length === 0) return docs;
+    return docs.sort((a, b) => {
+        for (const { field, direction } of orderBy) {
+            const result = compareValues(getField(a, field), getField(b, field));
+            if (result !== 0) return direction === 'desc' ? -result : result;
+        }
+        return 0;
+    });
+}
+
+/**
+ * Keeps only the selected fields of a document (plus its identifier fields).
+ * @param {object} doc - The document.
+ * @param {Array<string>|undefined} select - The fields to keep, or undefined for all.
+ * @returns {object} The projected document.
+ */
+export function projectDocument(doc, select) {
+    if (!select) return doc;
+    const projected = {};
+    for (const field of ['id', '_id', ...select]) {
+        const value = getField(doc, field);
+        if (value === undefined) continue;
+        const segments = field.split('.');
+        let target = projected;
+        for (const segment of segments.slice(0, -1)) {
+            target = target[segment] = target[segment] || {};
+        }
+        target[segments[segments.length - 1]] = value;
+    }
+    return projected;
+}
+
+/**
+ * Evaluates a whole query in process. Used by backends that have no native query engine.
+ * @param {Array<object>} docs - The candidate documents.
+ * @param {object|Array<object>} query - The query.
+ * @returns {Array<object>} The matching documents, sorted, limited and projected.
+ */
+export function applyQuery(docs, query) {
+    const { where, orderBy, limit, select } = normalizeQuery(query);
+    const matched = sortDocuments(docs.filter(doc => matchesWhere(doc, where)), orderBy);
+    return (limit ? matched.slice(0, limit) : matched).map(doc => projectDocument(doc, select));
+}
+
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Tells a portable query from a backend-native one, such as raw DynamoDB params.
+ * @param {object|Array<object>} [query={}] - The query.
+ * @returns {boolean} True if the query only has portable parts.
+ */
+export function isPortableQuery(query = {}) {
+    return Array.isArray(query) || Object.keys(query).every(key => QUERY_PARTS.includes(key));
+}
+
+/**
+ * Hashes a query so that equivalent queries (same conditions, any key order) share a cache entry.
+ * Backend-native queries, such as raw DynamoDB params, are hashed as given.
+ * @param {object|Array<object>} [query={}] - The query.
+ * @returns {string} A hex digest identifying the query.
+ */
+export function hashQuery(query = {}) {
+    const normalized = isPortableQuery(query) ? normalizeQuery(query) : query;
+    return createHash('sha1').update(stableStringify(normalized)).digest('hex');
+}
@@ -0,0 +1,346 @@
+/**
+ * Collection schemas for FnDatabaseAdapter: field types, required fields, defaults, enums,
+ * nested objects and automatic createdAt/updatedAt.
+ *
+ * A schema has the shape:
+ *   {
+ *     fields: {
+ *       name: { type: 'string', required: true },
+ *       status: { type: 'string', enum: ['active', 'retired'], default: 'active' },
+ *       tags: { type: 'array', items: { type: 'string' }, default: [] },
+ *       address: { type: 'object', fields: { city: { type: 'string', required: true } } },
+ *       birthday: { type: 'date' },
+ *     },
+ *     timestamps: true,   // stamp createdAt when a document is created and updatedAt on every write
+ *     strict: true,       // reject fields the schema does not declare (the default)
+ *     readDates: 'iso',   // optionally coerce date fields on read: 'iso' (ISO strings) or 'date' (Date objects)
+ *   }
+ * Types are string, number, integer, boolean, date, object, array and any. An object without
+ * `fields` and an array without `items` accept any content.
+ */
+import { ValidationError } from './errors.js';
+import { VERSION_FIELD } from './versioning.js';
+
+export const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'object', 'array', 'any'];
+
+// Fields the backends manage themselves, allowed in every document.
+const SYSTEM_FIELDS = ['id', '_id', VERSION_FIELD];
+
+const TIMESTAMP_FIELDS = { createdAt: { type: 'date' }, updatedAt: { type: 'date' } };
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+/**
+ * Reads a date stored in any of the forms the backends and the cache produce: a Date (MongoDB,
+ * memory), a Firestore Timestamp, a Timestamp after a JSON round trip through the cache
+ * (`{ _seconds, _nanoseconds }`), or an ISO 8601 string (DynamoDB, Redis, cached Dates).
+ * @param {*} value - The stored value.
+ * @returns {Date|undefined} The date, or undefined if the value is not a date.
+ */
+export function toDate(value) {
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? undefined : value;
+    }
+    if (value && typeof value.toDate === 'function') {
+        return value.toDate();
+    }
+    if (isPlainObject(value)) {
+        const seconds = value.seconds ?? value._seconds;
+        const nanoseconds = value.nanoseconds ?? value._nanoseconds;
+        return Number.isInteger(seconds) && Number.isInteger(nanoseconds)
+            ? new Date(seconds * 1000 + Math.floor(nanoseconds / 1e6))
+            : undefined;
+    }
+    if (typeof value === 'string' && ISO_DATE_PATTERN.test(value)) {
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? undefined : date;
+    }
+    return undefined;
+}
+
+function checkValue(definition, value, path, errors, strict) {
+    if (value === undefined || value === null) {
+        return;
+    }
+    const fail = (rule, message) => errors.push({ path, rule, message });
+
+    switch (definition.type) {
+        case 'string':
+        case 'boolean':
+            if (typeof value !== definition.type) return fail('type', `must be a ${definition.type}`);
+            break;
+        case 'number':
+            if (typeof value !== 'number' || Number.isNaN(value)) return fail('type', 'must be a number');
+            break;
+        case 'integer':
+            if (!Number.isInteger(value)) return fail('type', 'must be an integer');
+            break;
+        case 'date':
+            if (toDate(value) === undefined) return fail('type', 'must be a date');
+            break;
+        case 'array':
+            if (!Array.isArray(value)) return fail('type', 'must be an array');
+            if (definition.items) {
+                value.forEach((item, index) => checkValue(definition.items, item, `${path}[${index}]`, errors, strict));
+            }
+            break;
+        case 'object':
+            if (!isPlainObject(value)) return fail('type', 'must be an object');
+            if (definition.fields) {
+                checkFields(definition.fields, value, `${path}.`, errors, { strict });
+            }
+            break;
+    }
+    if (definition.enum && !definition.enum.includes(value)) {
+        fail('enum', `must be one of: ${definition.enum.join(', ')}`);
+    }
+}
+
+function checkFields(fields, doc, prefix, errors, { strict, partial = false, allowedFields = [] }) {
+    for (const [name, definition] of Object.entries(fields)) {
+        const value = doc[name];
+        if ((value === undefined || value === null) && definition.required && !partial) {
+            errors.push({ path: prefix + name, rule: 'required', message: 'is required' });
+        } else {
+            checkValue(definition, value, prefix + name, errors, strict);
+        }
+    }
+    if (strict) {
+        for (const name of Object.keys(doc)) {
+            if (!(name in fields) && !allowedFields.includes(name)) {
+                errors.push({ path: prefix + name, rule: 'unknown', message: 'is not in the schema' });
+            }
+        }
+    }
+}
+
+function throwIfInvalid(collection, errors) {
+    if (errors.length > 0) {
+        const summary = errors.map(({ path, message }) => `${path} ${message}`).join('; ');
+        throw new ValidationError(`Invalid document for collection "${collection}": ${summary}.`, { collection, errors });
+    }
+}
+
+function assertDefinition(collection, path, definition) {
+    if (!definition || !FIELD_TYPES.includes(definition.type)) {
+        throw new Error(`Field "${path}" of the "${collection}" schema needs a type, one of: ${FIELD_TYPES.join(', ')}.`);
+    }
+    if (definition.enum !== undefined && !Array.isArray(definition.enum)) {
+        throw new Error(`The enum of field "${path}" in the "${collection}" schema must be an array.`);
+    }
+    if (definition.type === 'object' && definition.fields) {
+        for (const [name, child] of Object.entries(definition.fields)) {
+            assertDefinition(collection, `${path}.${name}`, child);
+        }
+    }
+    if (definition.type === 'array' && definition.items) {
+        assertDefinition(collection, `${path}[]`, definition.items);
+    }
+    if (definition.default !== undefined) {
+        const errors = [];
+        checkValue(definition, definition.default, path, errors, true);
+        if (errors.length > 0) {
+            throw new Error(`The default of field "${path}" in the "${collection}" schema ${errors[0].message}.`);
+        }
+    }
+}
+
+/**
+ * Validates a schema definition and fills in defaults.
+ * @param {string} collection - The name of the collection, for error messages.
+ * @param {object} schema - The schema (see above).
+ * @returns {{ fields: object, timestamps: boolean, strict: boolean, readDates: string|undefined }}
+ */
+export function normalizeSchema(collection, schema) {
+    const { fields = {}, timestamps = false, strict = true, readDates } = schema || {};
+    for (const [name, definition] of Object.entries(fields)) {
+        assertDefinition(collection, name, definition);
+    }
+    if (readDates !== undefined && readDates !== 'iso' && readDates !== 'date') {
+        throw new Error(`readDates in the "${collection}" schema must be "iso" or "date", got ${readDates}.`);
+    }
+    return { fields: timestamps ? { ...TIMESTAMP_FIELDS, ...fields } : fields, timestamps, strict, readDates };
+}
+
+function applyDefaults(fields, doc) {
+    for (const [name, definition] of Object.entries(fields)) {
+        if (doc[name] === undefined && definition.default !== undefined) {
+            doc[name] = structuredClone(definition.default);
+        } else if (definition.type === 'object' && definition.fields && isPlainObject(doc[name])) {
+            doc[name] = { ...doc[name] };
+            applyDefaults(definition.fields, doc[name]);
+        }
+    }
+}
+
+function mapDates(definition, value, convert) {
+    if (value === undefined || value === null) {
+        return value;
+    }
+    if (definition.type === 'date') {
+        const date = toDate(value);
+        return date === undefined ? value : convert(date);
+    }
+    if (definition.type === 'array' && definition.items && Array.isArray(value)) {
+        return value.map(item => mapDates(definition.items, item, convert));
+    }
+    if (definition.type === 'object' && definition.fields && isPlainObject(value)) {
+        return mapFieldDates(definition.fields, value, convert);
+    }
+    return value;
+}
+
+function mapFieldDates(fields, doc, convert) {
+    const mapped = { ...doc };
+    for (const [name, definition] of Object.entries(fields)) {
+        if (name in mapped) {
+            mapped[name] = mapDates(definition, mapped[name], convert);
+        }
+    }
+    return mapped;
+}
+
+/**
+ * Validates a document about to be written, then applies defaults and timestamps and converts
+ * date fields to the form the backend stores (e.g. ISO strings on DynamoDB).
+ * @param {string} collection - The name of the collection.
+ * @param {object} schema - The normalized schema.
+ * @param {object} data - The data passed to the write.
+ * @param {object} context - How the write applies:
+ *   existing: the stored document, null when the write creates it, or undefined when unknown
+ *     (batch and transaction writes), which skips defaults, required fields and createdAt;
+ *   replaces: true when the backend replaces documents instead of merging into them (DynamoDB);
+ *   allowedFields: extra top-level fields to accept, such as DynamoDB key attributes;
+ *   storeDate: converts a Date to its stored form.
+ * @returns {object} The data to write.
+ */
+export function prepareWrite(collection, schema, data, { existing, replaces = false, allowedFields = [], storeDate = date => date }) {
+    const creating = existing === null;
+    const doc = { ...data };
+
+    if (schema.timestamps) {
+        const now = new Date();
+        doc.updatedAt = now;
+        if (doc.createdAt === undefined) {
+            if (creating) {
+                doc.createdAt = now;
+            } else if (replaces && existing && existing.createdAt !== undefined) {
+                // A replacing write would drop the stored createdAt, so carry it over.
+                doc.createdAt = existing.createdAt;
+            }
+        }
+    }
+    if (creating) {
+        applyDefaults(schema.fields, doc);
+    }
+
+    const errors = [];
+    // A merging write only needs required fields that are not stored already.
+    const result = replaces || !existing ? doc : { ...existing, ...doc };
+    checkFields(schema.fields, result, '', errors, {
+        strict: false,
+        partial: existing === undefined,
+    });
+    if (schema.strict) {
+        const allowed = [...SYSTEM_FIELDS, ...allowedFields];
+        for (const name of Object.keys(doc)) {
+            if (!(name in schema.fields) && !allowed.includes(name)) {
+                errors.push({ path: name, rule: 'unknown', message: 'is not in the schema' });
+            }
+        }
+        // Nested objects are written whole, so their unknown fields are checked on the data itself.
+        for (const [name, definition] of Object.entries(schema.fields)) {
+            if (definition.type === 'object' && definition.fields && isPlainObject(doc[name])) {
+                checkFields(definition.fields, doc[name], `${name}.`, errors, { strict: true });
+            }
+        }
+    }
+    throwIfInvalid(collection, dedupe(errors));
+
+    return mapFieldDates(schema.fields, doc, storeDate);
+}
+
+function dedupe(errors) {
+    const seen = new Set();
+    return errors.filter(({ path, rule }) => {
+        const id = `${path}|${rule}`;
+        return seen.has(id) ? false : seen.add(id);
+    });
+}
+
+function resolveDefinition(fields, path) {
+    let definition = { type: 'object', fields };
+    for (const segment of path.split('.')) {
+        if (definition.type === 'any' || (definition.type === 'object' && !definition.fields)) {
+            return { type: 'any' };
+        }
+        definition = definition.type === 'object' ? definition.fields[segment] : undefined;
+        if (!definition) {
+            return undefined;
+        }
+    }
+    return definition;
+}
+
+/**
+ * Validates update operations (see ./update.js) against a schema, converts dates in set-field
+ * values and adds the updatedAt stamp. createdAt is not set on documents an update creates.
+ * @param {string} collection - The name of the collection.
+ * @param {object} schema - The normalized schema.
+ * @param {Array<object>} ops - The validated update operations.
+ * @param {object} [context={}] - { storeDate: converts a Date to its stored form, allowedFields: extra fields to accept }.
+ * @returns {Array<object>} The operations to apply.
+ */
+export function prepareUpdate(collection, schema, ops, { storeDate = date => date, allowedFields = [] } = {}) {
+    const errors = [];
+    const prepared = ops.map(operation => {
+        const { op, field, value } = operation;
+        const definition = resolveDefinition(schema.fields, field);
+        const fail = (rule, message) => errors.push({ path: field, rule, message });
+
+        if (!definition) {
+            if (schema.strict && !allowedFields.includes(field)) fail('unknown', 'is not in the schema');
+            return operation;
+        }
+        switch (op) {
+            case 'set':
+                if ((value === undefined || value === null) && definition.required) fail('required', 'is required');
+                checkValue(definition, value, field, errors, schema.strict);
+                return { ...operation, value: mapDates(definition, value, storeDate) };
+            case 'unset':
+                if (definition.required) fail('required', 'is required');
+                break;
+            case 'increment':
+                if (!['number', 'integer', 'any'].includes(definition.type)) fail('type', 'must be a number to be incremented');
+                else if (definition.type === 'integer' && !Number.isInteger(value)) fail('type', 'must be an integer');
+                break;
+            default:
+                if (definition.type !== 'array' && definition.type !== 'any') fail('type', `must be an array for ${op}`);
+                else if (definition.items) value.forEach((item, index) => checkValue(definition.items, item, `${field}[${index}]`, errors, schema.strict));
+        }
+        return operation;
+    });
+    throwIfInvalid(collection, errors);
+
+    if (schema.timestamps && !ops.some(({ field }) => field === 'updatedAt')) {
+        prepared.push({ op: 'set', field: 'updatedAt', value: storeDate(new Date()) });
+    }
+    return prepared;
+}
+
+/**
+ * Coerces the date fields of a document read from a backend or the cache to the schema's
+ * `readDates` form, so Firestore Timestamps, MongoDB Dates and cached strings all look alike.
+ * @param {object} schema - The normalized schema.
+ * @param {object|null} doc - The document.
+ * @returns {object|null} The coerced copy, or the document itself when no coercion is configured.
+ */
+export function coerceDocument(schema, doc) {
+    if (!doc || !schema.readDates) {
+        return doc;
+    }
+    const convert = schema.readDates === 'iso' ? date => date.toISOString() : date => date;
+    return mapFieldDates(schema.fields, doc, convert);
+}
@@ -0,0 +1,103 @@
+/**
+ * Backend-neutral partial updates for FnDatabaseAdapter.update.
+ *
+ * An update is a list of operations, each on one (possibly dotted) field:
+ *   [
+ *     { op: 'increment', field: 'views', value: 1 },
+ *     { op: 'set', field: 'profile.name', value: 'Ada' },
+ *     { op: 'unset', field: 'draft' },
+ *     { op: 'array-union', field: 'tags', value: ['vip'] },
+ *     { op: 'array-remove', field: 'tags', value: ['trial'] },
+ *   ]
+ * Backends apply the whole list atomically. A field may appear in only one operation, and
+ * never inside another operation's field, since no backend can order such writes.
+ */
+import { VERSION_FIELD } from './versioning.js';
+import { ValidationError } from './errors.js';
+
+export const UPDATE_OPERATORS = ['increment', 'set', 'unset', 'array-union', 'array-remove'];
+
+/**
+ * Validates an update.
+ * @param {Array<object>} ops - The update operations.
+ * @returns {Array<object>} The same operations, validated.
+ */
+export function normalizeUpdate(ops) {
+    if (!Array.isArray(ops) || ops.length === 0) {
+        throw new ValidationError('An update needs a non-empty array of operations.');
+    }
+
+    const fields = [];
+    for (const { op, field, value } of ops) {
+        if (typeof field !== 'string' || field === '') {
+            throw new ValidationError('Each update operation needs a string `field`.');
+        }
+        if (!UPDATE_OPERATORS.includes(op)) {
+            throw new ValidationError(`Unsupported update operator "${op}" on field "${field}". Use one of: ${UPDATE_OPERATORS.join(', ')}.`);
+        }
+        if (field === VERSION_FIELD || field === 'id' || field === '_id') {
+            throw new ValidationError(`The "${field}" field is managed by the backend and cannot be updated.`);
+        }
+        if (op === 'increment' && typeof value !== 'number') {
+            throw new ValidationError(`The "increment" operator on field "${field}" needs a numeric value.`);
+        }
+        if ((op === 'array-union' || op === 'array-remove') && !Array.isArray(value)) {
+            throw new ValidationError(`The "${op}" operator on field "${field}" needs an array value.`);
+        }
+        const overlapping = fields.find(other => other === field || other.startsWith(`${field}.`) || field.startsWith(`${other}.`));
+        if (overlapping) {
+            throw new ValidationError(`Update fields "${overlapping}" and "${field}" overlap; each field may be updated only once.`);
+        }
+        fields.push(field);
+    }
+    return ops;
+}
+
+function isEqual(a, b) {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Applies an update in process, for backends without native update operators.
+ * Missing numbers count as 0 and missing arrays as empty, as in Firestore and MongoDB.
+ * @param {object} doc - The current document (not modified).
+ * @param {Array<object>} ops - The validated update operations.
+ * @returns {object} The updated copy.
+ */
+export function applyUpdate(doc, ops) {
+    const updated = structuredClone(doc);
+    for (const { op, field, value } of ops) {
+        const segments = field.split('.');
+        let parent = updated;
+        for (const segment of segments.slice(0, -1)) {
+            if (!parent[segment] || typeof parent[segment] !== 'object') {
+                parent[segment] = {};
+            }
+            parent = parent[segment];
+        }
+        const name = segments[segments.length - 1];
+        const current = parent[name];
+
+        switch (op) {
+            case 'increment':
+                parent[name] = (typeof current === 'number' ? current : 0) + value;
+                break;
+            case 'set':
+                parent[name] = structuredClone(value);
+                break;
+            case 'unset':
+                delete parent[name];
+                break;
+            case 'array-union': {
+                const list = Array.isArray(current) ? current : [];
+                parent[name] = [...list, ...value.filter((item, index) => !list.some(existing => isEqual(existing, item))
+                    && value.findIndex(other => isEqual(other, item)) === index)];
+                break;
+            }
+            case 'array-remove':
+                parent[name] = (Array.isArray(current) ? current : []).filter(existing => !value.some(item => isEqual(existing, item)));
+                break;
+        }
+    }
+    return updated;
+}
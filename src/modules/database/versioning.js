@@ -0,0 +1,46 @@
+import { randomUUID } from 'crypto';
+import { ConflictError } from './errors.js';
+
+/**
+ * Document versions for optimistic concurrency.
+ *
+ * Every write stamps a document with a new, opaque `_version` (on Firestore it is the
+ * document's update time instead). Passing a version read earlier as `ifVersion` makes a
+ * write succeed only if nobody has written the document since; `ifNotExists` makes it
+ * succeed only if the document does not exist yet. Versions are only compared for
+ * equality, so never parse or order them.
+ */
+export const VERSION_FIELD = '_version';
+
+/**
+ * Creates a fresh version token.
+ * @returns {string}
+ */
+export function newVersion() {
+    return randomUUID();
+}
+
+/**
+ * Drops a caller-supplied version from data about to be written, since backends set it.
+ * @param {object} data - The fields to write.
+ * @returns {object} The fields without `_version`.
+ */
+export function withoutVersion(data) {
+    const { [VERSION_FIELD]: ignored, ...fields } = data;
+    return fields;
+}
+
+/**
+ * Builds the error for a conditional write whose condition did not hold.
+ * @param {string} collection - The name of the collection.
+ * @param {*} key - The document key.
+ * @param {object} condition - The write's { ifVersion, ifNotExists }.
+ * @returns {ConflictError}
+ */
+export function versionConflict(collection, key, { ifVersion, ifNotExists }) {
+    const id = typeof key === 'object' ? JSON.stringify(key) : key;
+    const message = ifNotExists
+        ? `Document ${id} already exists in collection: ${collection}.`
+        : `Document ${id} in collection: ${collection} is no longer at version ${ifVersion}; it was changed or deleted since it was read.`;
+    return new ConflictError(message, { collection, key, expectedVersion: ifVersion });
+}
@@ -0,0 +1,118 @@
+/**
+ * Change feeds for FnDatabaseAdapter.watch.
+ *
+ * Every feed emits `{ type: 'added'|'modified'|'removed', id, doc }` events for changes made
+ * after it starts, never for the documents that already match. `type` is relative to the
+ * query: a document that stops matching it is `removed`, one that starts matching is `added`.
+ * `doc` is the document as written (projected by the query's `select`), or null when removed.
+ */
+
+import { matchesWhere, normalizeQuery, projectDocument } from './query.js';
+import { VERSION_FIELD } from './versioning.js';
+
+/**
+ * Turns raw document writes and deletes from a native feed (a MongoDB change stream, Redis
+ * keyspace notifications) into query-relative events. It keeps the IDs of the documents that
+ * currently match, seeded with those matching when the feed starts, so memory grows with the
+ * size of the result set. A query's orderBy and limit do not apply to these feeds.
+ */
+export class ChangeTracker {
+    #where;
+    #select;
+    #matching;
+
+    /**
+     * @param {object|Array<object>} query - The portable query being watched.
+     * @param {Iterable<*>} matchingIds - The IDs of the documents matching it when the feed starts.
+     */
+    constructor(query, matchingIds) {
+        const { where, select } = normalizeQuery(query);
+        this.#where = where;
+        this.#select = select;
+        this.#matching = new Set([...matchingIds].map(String));
+    }
+
+    /**
+     * The event for a document's new state.
+     * @param {*} id - The document ID.
+     * @param {object|null} doc - The document as written, or null if it is gone by now.
+     * @returns {object|null} The event, or null if the write does not affect the query.
+     */
+    written(id, doc) {
+        if (!doc || !matchesWhere(doc, this.#where)) {
+            return this.removed(id);
+        }
+        const type = this.#matching.has(String(id)) ? 'modified' : 'added';
+        this.#matching.add(String(id));
+        return { type, id, doc: projectDocument(doc, this.#select) };
+    }
+
+    /**
+     * The event for a deleted document.
+     * @param {*} id - The document ID.
+     * @returns {object|null} The event, or null if the document did not match the query.
+     */
+    removed(id) {
+        return this.#matching.delete(String(id)) ? { type: 'removed', id, doc: null } : null;
+    }
+}
+
+/**
+ * The polling fallback for backends without a native change feed (DynamoDB, memory): re-runs
+ * the query every `interval` milliseconds and compares the result with the previous one by
+ * document key and `_version`. Each poll reads the whole result set, so keep watched queries
+ * narrow, and changes that are undone between two polls are not seen.
+ * @param {object} options - The feed settings:
+ *   load: () => Promise<Array<object>> runs the query;
+ *   keyOf: (doc) => { key, id } gives a document's key and a string identifying it;
+ *   handler: (event) => void receives the events;
+ *   onError: (error) => void receives failed polls, after which polling continues;
+ *   interval: the milliseconds between polls.
+ * @returns {Promise<Function>} Stops polling.
+ */
+export async function pollChanges({ load, keyOf, handler, onError, interval }) {
+    const snapshot = async () => new Map((await load()).map(doc => {
+        const { key, id } = keyOf(doc);
+        return [id, { key, doc }];
+    }));
+
+    let previous = await snapshot();
+    let stopped = false;
+    let timer;
+
+    const poll = async () => {
+        try {
+            const current = await snapshot();
+            if (stopped) return;
+            for (const [id, { key, doc }] of current) {
+                const before = previous.get(id);
+                if (!before) {
+                    handler({ type: 'added', id: key, doc });
+                } else if (isChanged(before.doc, doc)) {
+                    handler({ type: 'modified', id: key, doc });
+                }
+            }
+            for (const [id, { key }] of previous) {
+                if (!current.has(id)) handler({ type: 'removed', id: key, doc: null });
+            }
+            previous = current;
+        } catch (error) {
+            onError(error);
+        }
+        if (!stopped) timer = setTimeout(poll, interval);
+    };
+    timer = setTimeout(poll, interval);
+
+    return async () => {
+        stopped = true;
+        clearTimeout(timer);
+    };
+}
+
+function isChanged(before, after) {
+    // Every adapter write stamps a new _version; documents written around the adapter are compared whole.
+    if (before[VERSION_FIELD] !== undefined || after[VERSION_FIELD] !== undefined) {
+        return before[VERSION_FIELD] !== after[VERSION_FIELD];
+    }
+    return JSON.stringify(before) !== JSON.stringify(after);
+}
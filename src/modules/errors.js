@@ -0,0 +1,188 @@
+/**
+ * The errors thrown by every module of the library, so callers (e.g. an HTTP layer mapping
+ * failures to status codes) can tell failure modes apart with `instanceof` instead of
+ * matching backend-specific messages.
+ *
+ * Each error keeps the error it was made from as `cause`, names the `backend` that failed
+ * (e.g. 'dynamodb', 'redis', 'stripe') and tells with `retryable` whether the same call may
+ * succeed if repeated, e.g. after a throttle or an outage.
+ * Configuration mistakes, such as an unknown database type, still throw plain Errors.
+ */
+
+/**
+ * The base of the library's errors, thrown as is for backend failures no other class describes.
+ */
+export class FnError extends Error {
+    /**
+     * @param {string} message - What failed.
+     * @param {object} [details={}] - { cause, backend, retryable }.
+     */
+    constructor(message, { cause, backend, retryable = false } = {}) {
+        super(message, cause === undefined ? undefined : { cause });
+        this.name = new.target.name;
+        this.backend = backend;
+        this.retryable = retryable;
+    }
+}
+
+/**
+ * The requested resource does not exist, e.g. a Stripe charge. Database reads of missing
+ * documents return null instead.
+ */
+export class NotFoundError extends FnError {}
+
+/**
+ * A conditional write (`ifVersion` or `ifNotExists`) found the document in another state
+ * than expected, because someone else wrote it first. Re-read the document and retry.
+ * Also thrown when a transaction kept conflicting with other writes; that one is retryable.
+ */
+export class ConflictError extends FnError {
+    /**
+     * @param {string} message - What conflicted.
+     * @param {object} [details={}] - { collection, key, expectedVersion, cause, backend, retryable }.
+     */
+    constructor(message, { collection, key, expectedVersion, ...details } = {}) {
+        super(message, details);
+        this.collection = collection;
+        this.key = key;
+        this.expectedVersion = expectedVersion;
+    }
+}
+
+/**
+ * The input was invalid: a write did not match its collection's schema, or a query, update,
+ * key or option was malformed. Nothing was changed.
+ * `errors` lists the schema problems found, e.g. `{ path: 'address.city', rule: 'required', message: 'is required' }`.
+ */
+export class ValidationError extends FnError {
+    /**
+     * @param {string} message - A summary of the problems.
+     * @param {object} [details={}] - { collection, errors, cause, backend }.
+     */
+    constructor(message, { collection, errors = [], ...details } = {}) {
+        super(message, details);
+        this.collection = collection;
+        this.errors = errors;
+    }
+}
+
+/**
+ * The caller may not do this: bad or missing credentials, missing permissions, or access to
+ * another tenant's or customer's data.
+ */
+export class UnauthorizedError extends FnError {}
+
+/**
+ * The backend throttled the call. Retry later; `retryAfter` is the suggested wait in seconds, if known.
+ */
+export class RateLimitedError extends FnError {
+    /**
+     * @param {string} message - What was throttled.
+     * @param {object} [details={}] - { retryAfter, cause, backend }.
+     */
+    constructor(message, { retryAfter, ...details } = {}) {
+        super(message, { retryable: true, ...details });
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * The backend could not be reached or failed internally: a network error, a timeout, an
+ * outage or a failover. Usually retryable.
+ */
+export class UnavailableError extends FnError {
+    /**
+     * @param {string} message - What failed.
+     * @param {object} [details={}] - { cause, backend, retryable (default true) }.
+     */
+    constructor(message, details = {}) {
+        super(message, { retryable: true, ...details });
+    }
+}
+
+/**
+ * The backend did not answer within the operation's timeout (see ./resilience.js). A timed-out
+ * write may still have been applied.
+ */
+export class TimeoutError extends UnavailableError {
+    /**
+     * @param {string} message - What timed out.
+     * @param {object} [details={}] - { operation, timeout (ms), cause, backend }.
+     */
+    constructor(message, { operation, timeout, ...details } = {}) {
+        super(message, details);
+        this.operation = operation;
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * The backend's circuit breaker is open after repeated failures (see ./resilience.js), so the
+ * call was not attempted. `retryAfter` is the wait in seconds until a trial call is let through.
+ */
+export class CircuitOpenError extends UnavailableError {
+    /**
+     * @param {string} message - Which circuit is open.
+     * @param {object} [details={}] - { retryAfter, backend }.
+     */
+    constructor(message, { retryAfter, ...details } = {}) {
+        super(message, details);
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * A payment provider rejected an API call, e.g. an invalid request or an error on its side
+ * that no more specific class describes. `code` and `type` are the provider's own.
+ */
+export class PaymentProviderError extends FnError {
+    /**
+     * @param {string} message - What failed.
+     * @param {object} [details={}] - { code, type, statusCode, requestId, cause, backend, retryable }.
+     */
+    constructor(message, { code, type, statusCode, requestId, ...details } = {}) {
+        super(message, details);
+        this.code = code;
+        this.type = type;
+        this.statusCode = statusCode;
+        this.requestId = requestId;
+    }
+}
+
+/**
+ * The card was declined. `declineCode` is the issuer's reason (e.g. 'insufficient_funds') when given.
+ */
+export class CardDeclinedError extends PaymentProviderError {
+    /**
+     * @param {string} message - The provider's message, safe to show the customer.
+     * @param {object} [details={}] - { declineCode, code, type, statusCode, requestId, cause, backend }.
+     */
+    constructor(message, { declineCode, ...details } = {}) {
+        super(message, details);
+        this.declineCode = declineCode;
+    }
+}
+
+// Node.js network error codes, raised when a backend cannot be reached.
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+/**
+ * Tells whether an error is a Node.js network failure, such as a refused connection.
+ * @param {Error} error - The error.
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+    return NETWORK_ERROR_CODES.includes(error?.code) || NETWORK_ERROR_CODES.includes(error?.cause?.code);
+}
+
+/**
+ * Tells errors caused by the call itself (bad input, a failed condition, a missing record, a
+ * declined card) from failures of the service, such as outages and unknown errors.
+ * @param {Error} error - The error.
+ * @returns {boolean}
+ */
+export function isCallerError(error) {
+    const caused = error instanceof ValidationError || error instanceof ConflictError || error instanceof NotFoundError
+        || error instanceof UnauthorizedError || error instanceof CardDeclinedError;
+    return caused && !error.retryable;
+}
@@ -1,6 +1,8 @@
 // customerStripeService.js
 
-import StripeService from './stripeService.js';
+import stripeService from './merchant_account.js';
+import { UnauthorizedError, ValidationError } from '../../errors.js';
+import { runStripeOperation } from './errors.js';
 
 class CustomerStripeService {
   static #instance;
@@ -10,7 +12,7 @@ class CustomerStripeService {
     if (CustomerStripeService.#instance) {
       return CustomerStripeService.#instance;
     }
-    this.#baseStripeService = StripeService.getInstance();
+    this.#baseStripeService = stripeService;
     CustomerStripeService.#instance = this;
   }
 
@@ -23,10 +25,10 @@ class CustomerStripeService {
 
   async getCustomerPayments({ customerId, limit = 10 }) {
     if (!customerId) {
-      throw new Error('customerId is required to retrieve customer payments.');
+      throw new ValidationError('customerId is required to retrieve customer payments.', { backend: 'stripe' });
     }
 
-    try {
+    return runStripeOperation('getCustomerPayments', { customerId }, `Failed to retrieve customer payments for ID ${customerId}.`, async () => {
       const charges = await this.#baseStripeService.listChargesByCustomer({ customerId, limit });
 
       return charges.map(charge => ({
@@ -39,26 +41,24 @@ class CustomerStripeService {
         description: charge.description,
         created: new Date(charge.created * 1000).toISOString(),
       }));
-
-    } catch (error) {
-      console.error(`Error retrieving payments for customer ID ${customerId}:`, error);
-      throw new Error(`Failed to retrieve customer payments for ID ${customerId}.`);
-    }
+    });
   }
 
   async getCustomerDetailedTransaction({ customerId, chargeId }) {
     if (!customerId || !chargeId) {
-      throw new Error('customerId and chargeId are required to retrieve a detailed customer transaction.');
+      throw new ValidationError('customerId and chargeId are required to retrieve a detailed customer transaction.', { backend: 'stripe' });
     }
 
-    try {
+    const failure = `Failed to retrieve detailed transaction for customer ID ${customerId}, charge ID ${chargeId}.`;
+    // The ownership check's UnauthorizedError, like StripeService's typed errors, keeps its class.
+    return runStripeOperation('getCustomerDetailedTransaction', { customerId, chargeId }, failure, async () => {
       // SECURITY CHECK: Use the public getChargeById method to get the raw charge
       // and verify ownership.
       const rawCharge = await this.#baseStripeService.getChargeById(chargeId);
 
       // IMPORTANT: Ensure the charge actually belongs to the provided customerId
       if (!rawCharge.customer || rawCharge.customer !== customerId) {
-        throw new Error('Unauthorized: Charge does not belong to the specified customer.');
+        throw new UnauthorizedError('Charge does not belong to the specified customer.', { backend: 'stripe' });
       }
 
       // Now that ownership is verified, get the fully processed (merchant-level) details
@@ -77,15 +77,7 @@ class CustomerStripeService {
         created: fullTransaction.created,
         // Crucially, omit merchant-specific details like fee and net
       };
-
-    } catch (error) {
-      console.error(`Error retrieving detailed transaction for customer ID ${customerId}, charge ID ${chargeId}:`, error);
-      // Re-throw specific unauthorized error
-      if (error.message.includes('Unauthorized')) {
-        throw error;
-      }
-      throw new Error(`Failed to retrieve detailed transaction for customer ID ${customerId}, charge ID ${chargeId}.`);
-    }
+    });
   }
 }
 
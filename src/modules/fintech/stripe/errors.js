@@ -0,0 +1,100 @@
+// errors.js
+
+import { AsyncLocalStorage } from 'async_hooks';
+import {
+  FnError,
+  NotFoundError,
+  ConflictError,
+  UnauthorizedError,
+  RateLimitedError,
+  UnavailableError,
+  PaymentProviderError,
+  CardDeclinedError,
+  isNetworkError,
+} from '../../errors.js';
+import { createLogger } from '../../logger.js';
+
+const BACKEND = 'stripe';
+
+const log = createLogger('stripe');
+
+// Set while a public Stripe operation runs, so the operations it calls neither log nor count as outermost.
+const operations = new AsyncLocalStorage();
+
+/**
+ * Translates an error thrown by the Stripe SDK into one of the library's errors (see ../../errors.js),
+ * keeping the Stripe error as `cause` and its code, type and request ID.
+ * An error that already is the library's, such as a timeout or a failed ownership check, is
+ * wrapped in one of the same class and details with the given message, and kept as `cause`.
+ * A declined card keeps its message, which is written for the customer.
+ * @param {Error} error - The error thrown by the Stripe SDK.
+ * @param {string} message - What failed, e.g. 'Failed to list Stripe charges.'.
+ * @returns {FnError} The library's error.
+ */
+export function toStripeError(error, message) {
+  if (error instanceof CardDeclinedError) {
+    return error;
+  }
+  if (error instanceof FnError) {
+    const { name, ...details } = error;
+    return Object.assign(new error.constructor(message, { cause: error }), details);
+  }
+
+  const details = { cause: error, backend: BACKEND };
+  const provider = {
+    ...details,
+    code: error?.code,
+    type: error?.type,
+    statusCode: error?.statusCode,
+    requestId: error?.requestId,
+  };
+
+  switch (error?.type) {
+    case 'StripeCardError':
+      // Stripe's own message is written for the customer, e.g. "Your card has insufficient funds."
+      return new CardDeclinedError(error.message, { ...provider, declineCode: error.decline_code });
+    case 'StripeRateLimitError': {
+      const retryAfter = Number(error.headers?.['retry-after']);
+      return new RateLimitedError(message, { ...details, retryAfter: Number.isFinite(retryAfter) ? retryAfter : undefined });
+    }
+    case 'StripeAuthenticationError':
+    case 'StripePermissionError':
+      return new UnauthorizedError(message, details);
+    case 'StripeIdempotencyError':
+      return new ConflictError(message, details);
+    case 'StripeConnectionError':
+      return new UnavailableError(message, details);
+    case 'StripeAPIError':
+      return error.statusCode >= 500 ? new UnavailableError(message, details) : new PaymentProviderError(message, provider);
+    default:
+      if (error?.code === 'resource_missing') {
+        return new NotFoundError(message, details);
+      }
+      if (isNetworkError(error)) {
+        return new UnavailableError(message, details);
+      }
+      return new PaymentProviderError(message, provider);
+  }
+}
+
+/**
+ * Runs a public Stripe operation: its failure is translated with toStripeError and the
+ * operation's message, and logged once, by the outermost operation, with its details.
+ * @param {string} operation - The public method, e.g. 'getChargeById'.
+ * @param {object} details - What to log with a failure, e.g. `{ chargeId }`.
+ * @param {string} message - What failed, e.g. 'Failed to retrieve raw charge for ID ch_1.'.
+ * @param {Function} fn - The operation.
+ * @returns {Promise<*>} Its result.
+ */
+export async function runStripeOperation(operation, details, message, fn) {
+  const outermost = !operations.getStore();
+  try {
+    return await operations.run(true, fn);
+  } catch (error) {
+    const failure = toStripeError(error, message);
+    if (outermost) {
+      log.error('Stripe request failed', { operation, ...details, error: failure });
+    }
+    throw failure;
+  }
+}
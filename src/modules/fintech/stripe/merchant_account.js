@@ -1,10 +1,24 @@
 // stripeService.js
 
 import Stripe from 'stripe';
+import { NotFoundError, UnavailableError, ValidationError } from '../../errors.js';
+import { runStripeOperation, toStripeError } from './errors.js';
+import { createLogger } from '../../logger.js';
+import { createResiliencePolicy } from '../../resilience.js';
+import { probe, summarize } from '../../health.js';
+import { traceStripeCall } from '../../telemetry.js';
+import { setTimeout as sleep } from 'timers/promises';
+
+const log = createLogger('stripe');
+
+// Every call is a read, so any transient failure (a rate limit, a 5xx, a dropped connection) is retried.
+const policy = createResiliencePolicy('stripe', { classify: error => toStripeError(error, error?.message) });
 
 class StripeService {
   static #instance;
   #stripeClient;
+  #inflight = new Set();
+  #closing;
 
   constructor() {
     if (StripeService.#instance) {
@@ -12,11 +26,14 @@ class StripeService {
     }
 
     if (!process.env.STRIPE_SECRET_KEY) {
-      console.warn("Stripe secret key (STRIPE_SECRET_KEY) is not set in environment variables. Stripe operations may fail.");
+      log.warn('Stripe secret key (STRIPE_SECRET_KEY) is not set in environment variables. Stripe operations may fail.');
     }
 
     this.#stripeClient = new Stripe(process.env.STRIPE_SECRET_KEY, {
       apiVersion: '2023-10-16',
+      timeout: policy.timeoutFor('default') || undefined,
+      // Retries are left to the resilience policy, so they are counted once and seen by its circuit breaker.
+      maxNetworkRetries: 0,
     });
 
     StripeService.#instance = this;
@@ -29,35 +46,77 @@ class StripeService {
     return StripeService.#instance;
   }
 
-  async getAccountDetails() {
+  // Calls the Stripe API with the policy's timeout, retries and circuit breaker, traced (see ../../telemetry.js)
+  // and tracked so close() can wait for it.
+  async #call(operation, fn) {
+    if (this.#closing) {
+      throw new UnavailableError('The Stripe service is closed.', { backend: 'stripe', retryable: false });
+    }
+    const pending = policy.run(operation, () => traceStripeCall(operation, fn));
+    this.#inflight.add(pending);
     try {
-      const account = await this.#stripeClient.accounts.retrieve();
-      return account;
-    } catch (error) {
-      console.error('Error retrieving Stripe account details:', error);
-      throw new Error('Failed to retrieve Stripe account details.');
+      return await pending;
+    } finally {
+      this.#inflight.delete(pending);
     }
   }
 
-  async #_listCharges(options = {}) { // Using a private helper for internal use
-    try {
-      const charges = await this.#stripeClient.charges.list(options);
+  /**
+   * Reports whether the Stripe API answers, and how fast (see ../../health.js), by retrieving the balance.
+   * @param {object} [options={}] - { timeout: ms to wait for Stripe }.
+   * @returns {Promise<{ status: string, dependencies: { stripe: object } }>}
+   */
+  async healthCheck({ timeout } = {}) {
+    const stripe = await probe('stripe', async () => {
+      if (this.#closing) {
+        throw new UnavailableError('The Stripe service is closed.', { backend: 'stripe', retryable: false });
+      }
+      await this.#stripeClient.balance.retrieve();
+    }, { timeout, breaker: policy.breaker });
+    return summarize({ stripe });
+  }
+
+  /**
+   * Refuses new calls and waits (up to `timeout` ms) for the ones in flight. Stripe keeps no
+   * connection open, so there is nothing else to close.
+   * @param {object} [options={}] - { timeout: ms to wait for in-flight calls (default 10000) }.
+   * @returns {Promise<void>}
+   */
+  async close({ timeout = 10000 } = {}) {
+    this.#closing ??= Promise.race([
+      Promise.allSettled([...this.#inflight]),
+      sleep(timeout, undefined, { ref: false }),
+    ]).then(() => {
+      if (this.#inflight.size > 0) {
+        log.warn('Closing with Stripe calls still in flight', { inflight: this.#inflight.size, timeout });
+      }
+    });
+    return this.#closing;
+  }
+
+  async getAccountDetails() {
+    return runStripeOperation('getAccountDetails', {}, 'Failed to retrieve Stripe account details.', async () => {
+      const account = await this.#call('accounts.retrieve', () => this.#stripeClient.accounts.retrieve());
+      return account;
+    });
+  }
+
+  async #_listCharges(operation, options = {}) { // Using a private helper for internal use
+    return runStripeOperation(operation, { ...(options.customer && { customerId: options.customer }) }, 'Failed to list Stripe charges.', async () => {
+      const charges = await this.#call('charges.list', () => this.#stripeClient.charges.list(options));
       return charges.data;
-    } catch (error) {
-      console.error('Error listing Stripe charges:', error);
-      throw new Error('Failed to list Stripe charges.');
-    }
+    });
   }
 
   async getPaymentHistory({ limit = 10 } = {}) {
-    return this.#_listCharges({ limit });
+    return this.#_listCharges('getPaymentHistory', { limit });
   }
 
   async listChargesByCustomer({ customerId, limit = 10 } = {}) {
     if (!customerId) {
-      throw new Error('customerId is required to list charges by customer.');
+      throw new ValidationError('customerId is required to list charges by customer.', { backend: 'stripe' });
     }
-    return this.#_listCharges({ customer: customerId, limit });
+    return this.#_listCharges('listChargesByCustomer', { customer: customerId, limit });
   }
 
   /**
@@ -66,52 +125,51 @@ class StripeService {
    * access to the full, unprocessed charge data for validation or further processing.
    * @param {string} chargeId - The ID of the Stripe Charge.
    * @returns {Promise<Object>} A Promise that resolves with the raw Stripe Charge object.
-   * @throws {Error} If the charge is not found or the API call fails.
+   * @throws {NotFoundError} If the charge is not found.
+   * @throws {FnError} If the API call fails, as the error class matching the Stripe error (see ./errors.js).
    */
   async getChargeById(chargeId) {
     if (!chargeId) {
-      throw new Error('chargeId is required to retrieve a raw charge.');
+      throw new ValidationError('chargeId is required to retrieve a raw charge.', { backend: 'stripe' });
     }
-    try {
-      const charge = await this.#stripeClient.charges.retrieve(chargeId);
+    return runStripeOperation('getChargeById', { chargeId }, `Failed to retrieve raw charge for ID ${chargeId}.`, async () => {
+      const charge = await this.#call('charges.retrieve', () => this.#stripeClient.charges.retrieve(chargeId));
       if (!charge) {
-        throw new Error(`Charge with ID ${chargeId} not found.`);
+        throw new NotFoundError(`Charge with ID ${chargeId} not found.`, { backend: 'stripe' });
       }
       return charge;
-    } catch (error) {
-      console.error(`Error retrieving raw charge for ID ${chargeId}:`, error);
-      throw new Error(`Failed to retrieve raw charge for ID ${chargeId}.`);
-    }
+    });
   }
 
   async getDetailedTransaction({ chargeId }) {
     if (!chargeId) {
-      throw new Error('chargeId is required to retrieve a detailed transaction.');
+      throw new ValidationError('chargeId is required to retrieve a detailed transaction.', { backend: 'stripe' });
     }
 
-    try {
+    const failure = `Failed to retrieve detailed transaction for charge ID ${chargeId}. Check if the ID is valid and API key has permissions.`;
+    return runStripeOperation('getDetailedTransaction', { chargeId }, failure, async () => {
       const charge = await this.getChargeById(chargeId); // Use the new public method
 
       let feeDetails = { fee: 0, net: charge.amount };
       if (charge.balance_transaction) {
-        const balanceTransaction = await this.#stripeClient.balanceTransactions.retrieve(
+        const balanceTransaction = await this.#call('balanceTransactions.retrieve', () => this.#stripeClient.balanceTransactions.retrieve(
           charge.balance_transaction
-        );
+        ));
         feeDetails = {
           fee: balanceTransaction.fee,
           net: balanceTransaction.net,
         };
       } else {
-        console.warn(`No balance_transaction found for charge ${chargeId}. Fee and net breakdown may not be available.`);
+        log.warn('No balance_transaction found for charge; fee and net breakdown may not be available', { operation: 'getDetailedTransaction', chargeId });
       }
 
       let customerName = 'N/A';
       if (charge.customer) {
         try {
-          const customer = await this.#stripeClient.customers.retrieve(charge.customer);
+          const customer = await this.#call('customers.retrieve', () => this.#stripeClient.customers.retrieve(charge.customer));
           customerName = customer.name || customer.description || customer.email || `Customer ID: ${customer.id}`;
         } catch (customerError) {
-          console.warn(`Could not retrieve customer details for ID ${charge.customer}:`, customerError.message);
+          log.warn('Could not retrieve customer details', { operation: 'getDetailedTransaction', customerId: charge.customer, error: customerError });
           customerName = `Customer ID: ${charge.customer} (details unavailable)`;
         }
       } else if (charge.billing_details && charge.billing_details.name) {
@@ -134,11 +192,7 @@ class StripeService {
         description: charge.description,
         created: new Date(charge.created * 1000).toISOString(),
       };
-
-    } catch (error) {
-      console.error(`Error retrieving detailed transaction for charge ID ${chargeId}:`, error);
-      throw new Error(`Failed to retrieve detailed transaction for charge ID ${chargeId}. Check if the ID is valid and API key has permissions.`);
-    }
+    });
   }
 }
 
@@ -0,0 +1,59 @@
+/**
+ * Health checks of the library's dependencies, as reported by the healthCheck() of
+ * FnDatabaseAdapter, FnRedisService and StripeService:
+ *
+ *   {
+ *     status: 'up',   // 'up', 'degraded' (an optional dependency, such as the cache, is down) or 'down'
+ *     dependencies: {
+ *       database: { name: 'dynamodb', status: 'up', latencyMs: 12.4, circuit: 'closed' },
+ *       cache: { name: 'redis', status: 'down', latencyMs: 2000.3, circuit: 'open', error: 'The redis healthCheck did not finish within 2000 ms.' },
+ *     },
+ *   }
+ *
+ * A readiness probe should fail on 'down' only: a degraded adapter still serves every call.
+ */
+
+import { withTimeout } from './resilience.js';
+import { elapsed } from './logger.js';
+
+// The time a dependency gets to answer a health check, in ms.
+export const DEFAULT_HEALTH_CHECK_TIMEOUT = 2000;
+
+/**
+ * Checks one dependency with a cheap round trip, such as a PING. The check bypasses the
+ * dependency's retries and circuit breaker, so it sees a recovery as soon as it happens.
+ * @param {string} name - The dependency, e.g. 'redis'.
+ * @param {Function} [check] - The round trip; in-process dependencies have none and are always up.
+ * @param {object} [options={}] - { timeout: ms, breaker: its CircuitBreaker, reported as `circuit` }.
+ * @returns {Promise<{ name: string, status: string, latencyMs: number, circuit?: string, error?: string }>}
+ */
+export async function probe(name, check, { timeout = DEFAULT_HEALTH_CHECK_TIMEOUT, breaker } = {}) {
+    const started = performance.now();
+    const report = { name };
+    try {
+        if (check) {
+            await withTimeout(check, timeout, { operation: 'healthCheck', backend: name });
+        }
+        report.status = 'up';
+    } catch (error) {
+        report.status = 'down';
+        report.error = error.message;
+    }
+    report.latencyMs = elapsed(started);
+    if (breaker) {
+        report.circuit = breaker.state;
+    }
+    return report;
+}
+
+/**
+ * Combines dependency reports into a health check.
+ * @param {object} dependencies - The reports of probe(), by role, e.g. `{ database, cache }`.
+ * @param {Array<string>} [optional=[]] - The roles the service works without, e.g. `['cache']`.
+ * @returns {{ status: string, dependencies: object }}
+ */
+export function summarize(dependencies, optional = []) {
+    const down = Object.keys(dependencies).filter(role => dependencies[role].status !== 'up');
+    const status = down.length === 0 ? 'up' : down.every(role => optional.includes(role)) ? 'degraded' : 'down';
+    return { status, dependencies };
+}
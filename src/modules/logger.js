@@ -0,0 +1,144 @@
+/**
+ * The library's logging. Every module logs through createLogger(), which writes structured
+ * records (a message plus fields such as operation, collection, durationMs and error) to the
+ * logger set with configureLogging(): a pino or winston logger, or anything with error, warn,
+ * info and debug methods. Without one, records are written to the console as JSON lines.
+ *
+ * Logging is quiet by default: nothing is written unless LOG_LEVEL is set or a logger is
+ * injected. Fields named in the redaction list (PII and payment data such as email, address
+ * and card) are replaced with "[REDACTED]" at any depth before a record leaves the library.
+ */
+
+import { LOG_LEVEL } from './adaptors/config.js';
+
+export const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+
+export const REDACTED = '[REDACTED]';
+
+// Field names whose values never reach the logs, compared case-insensitively.
+export const DEFAULT_REDACTED_FIELDS = [
+    'password', 'secret', 'token', 'accessToken', 'refreshToken', 'apiKey', 'authorization', 'cookie',
+    'email', 'receipt_email', 'phone', 'address', 'billing_details', 'shipping', 'customerName', 'ssn', 'dob',
+    'card', 'cvc', 'exp_month', 'exp_year', 'iban', 'account_number', 'routing_number', 'payment_method_details',
+];
+
+let settings;
+
+/**
+ * Sets where and how much the library logs. Applies to every module, including loggers
+ * created before the call.
+ * @example
+ * import pino from 'pino';
+ * configureLogging({ logger: pino(), level: 'info', redact: [...DEFAULT_REDACTED_FIELDS, 'taxId'] });
+ * @param {object} [options={}] - Logging settings:
+ *   logger: a pino or winston logger, or any object with error, warn, info and debug methods;
+ *     omit to write JSON lines to the console;
+ *   level: one of LOG_LEVELS; defaults to LOG_LEVEL, else 'info' with an injected logger and
+ *     'silent' without one;
+ *   redact: the field names to redact, replacing DEFAULT_REDACTED_FIELDS.
+ */
+export function configureLogging({ logger, level, redact = DEFAULT_REDACTED_FIELDS } = {}) {
+    const threshold = level ?? LOG_LEVEL ?? (logger ? 'info' : 'silent');
+    if (!LOG_LEVELS.includes(threshold)) {
+        throw new Error(`Unsupported log level "${threshold}". Use one of: ${LOG_LEVELS.join(', ')}.`);
+    }
+    if (logger && typeof logger.error !== 'function') {
+        throw new Error('The logger needs error, warn, info and debug methods, as pino and winston loggers have.');
+    }
+    settings = {
+        logger,
+        // winston takes the message first, pino the fields first.
+        messageFirst: Boolean(logger && typeof logger.add === 'function' && logger.transports),
+        threshold: LOG_LEVELS.indexOf(threshold),
+        redact: new Set(redact.map(field => field.toLowerCase())),
+    };
+}
+
+configureLogging();
+
+/**
+ * Replaces the values of redacted fields, at any depth.
+ * @param {*} value - The value to log.
+ * @param {Set<string>} [fields] - Lower-cased field names; defaults to the configured ones.
+ * @returns {*} A redacted copy; the value itself is not changed.
+ */
+export function redact(value, fields = settings.redact, seen = new WeakSet()) {
+    if (!value || typeof value !== 'object') return value;
+    if (seen.has(value)) return '[Circular]';
+    if (Array.isArray(value)) {
+        seen.add(value);
+        return value.map(item => redact(item, fields, seen));
+    }
+    if (Object.getPrototypeOf(value) !== Object.prototype && Object.getPrototypeOf(value) !== null) {
+        return value; // Dates, ObjectIds and the like are logged as they serialize.
+    }
+    seen.add(value);
+    return Object.fromEntries(Object.entries(value).map(([field, item]) => [
+        field,
+        fields.has(field.toLowerCase()) ? REDACTED : redact(item, fields, seen),
+    ]));
+}
+
+/**
+ * Keeps the parts of an error worth logging. SDK errors can carry whole API responses
+ * (Stripe's include customer and billing details), so only these fields are kept.
+ */
+function serializeError(error) {
+    if (!(error instanceof Error)) return error;
+    const { name, message, code, backend, retryable, stack, cause } = error;
+    return {
+        name, message, code, backend, retryable, stack,
+        ...(cause !== undefined && { cause: serializeError(cause) }),
+    };
+}
+
+function write(level, module, message, fields = {}) {
+    if (LOG_LEVELS.indexOf(level) > settings.threshold) return;
+    const { error, ...rest } = fields;
+    const record = redact({ module, ...rest, ...(error !== undefined && { error: serializeError(error) }) });
+
+    const { logger } = settings;
+    if (logger) {
+        const method = typeof logger[level] === 'function' ? level : 'error';
+        if (settings.messageFirst) {
+            logger[method](message, record);
+        } else {
+            logger[method](record, message);
+        }
+        return;
+    }
+    const line = JSON.stringify({ time: new Date().toISOString(), level, msg: message, ...record });
+    if (level === 'error' || level === 'warn') {
+        console.error(line);
+    } else {
+        console.log(line);
+    }
+}
+
+/**
+ * Creates the logger of a module.
+ * @example
+ * const log = createLogger('dynamodb');
+ * log.debug('Document read', { operation: 'get', collection: 'orders', durationMs: 12 });
+ * @param {string} module - The module's name, added to every record as `module`.
+ * @returns {{ error: Function, warn: Function, info: Function, debug: Function, enabled: Function }}
+ *   Methods taking a message and optional fields; an `error` field may hold an Error.
+ */
+export function createLogger(module) {
+    return {
+        error: (message, fields) => write('error', module, message, fields),
+        warn: (message, fields) => write('warn', module, message, fields),
+        info: (message, fields) => write('info', module, message, fields),
+        debug: (message, fields) => write('debug', module, message, fields),
+        enabled: level => LOG_LEVELS.indexOf(level) <= settings.threshold,
+    };
+}
+
+/**
+ * The milliseconds since a `performance.now()` reading, rounded to 0.1 ms.
+ * @param {number} started - The reading.
+ * @returns {number}
+ */
+export function elapsed(started) {
+    return Math.round((performance.now() - started) * 10) / 10;
+}
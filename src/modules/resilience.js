@@ -0,0 +1,316 @@
+/**
+ * Timeouts, retries and circuit breakers for the library's calls to its dependencies (the
+ * database, the cache and Stripe). Each dependency gets a policy:
+ *
+ *   {
+ *     timeout: 5000,             // ms per attempt, or per operation: { default: 5000, fetch: 15000 }; 0 disables
+ *     retries: 3,                // extra attempts after a transient failure
+ *     baseDelay: 100,            // ms before the first retry, doubled on each one, with full jitter
+ *     maxDelay: 5000,            // the longest wait between attempts
+ *     breaker: { failureThreshold: 5, resetTimeout: 30000 },  // false disables
+ *     retryTimeouts: false,      // also retry attempts that timed out
+ *   }
+ *
+ * Only errors marked `retryable` (see ./errors.js) are retried: throttles, outages and
+ * transaction contention. Calls that are not idempotent, such as an update with an increment,
+ * are only retried when the dependency rejected them unapplied (a throttle or contention),
+ * since a timed-out or dropped write may have been applied. A rate limit's `retryAfter` is
+ * waited out, or ends the retries when it is longer than `maxDelay`.
+ *
+ * A timeout aborts the attempt's AbortSignal, which is passed to the call and available to the
+ * SDK calls it makes through attemptSignal() and attemptTimeLeft(): DynamoDB requests are
+ * aborted, and MongoDB reads get a matching maxTimeMS. Stripe requests time out on their own,
+ * as the client is given the same timeout. Redis and Firestore calls cannot be cancelled and
+ * run on after a timeout, so a retry would add a concurrent copy of the call to a backend that
+ * is already slow; timed-out attempts are therefore not retried unless `retryTimeouts` is set.
+ *
+ * A circuit breaker opens after `failureThreshold` consecutive outages (unavailable, timed out
+ * or throttled calls) and then fails calls at once with CircuitOpenError, until `resetTimeout`
+ * has passed and a trial call succeeds.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { setTimeout as sleep } from 'timers/promises';
+import { RESILIENCE } from './adaptors/config.js';
+import { CircuitOpenError, ConflictError, RateLimitedError, TimeoutError, UnavailableError } from './errors.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('resilience');
+
+// Defaults per dependency, overridden by RESILIENCE and by each module's options.
+export const DEFAULT_POLICIES = {
+    database: { timeout: 10000, retries: 3, baseDelay: 100, maxDelay: 5000, breaker: { failureThreshold: 5, resetTimeout: 30000 } },
+    // A cache is only worth waiting for briefly: a slow one is bypassed, not retried.
+    cache: { timeout: 1000, retries: 0, baseDelay: 50, maxDelay: 1000, breaker: { failureThreshold: 5, resetTimeout: 10000 } },
+    stripe: { timeout: 30000, retries: 2, baseDelay: 500, maxDelay: 10000, breaker: { failureThreshold: 5, resetTimeout: 30000 } },
+};
+
+// Outages trip a breaker; caller errors and conflicts show the dependency is answering.
+const isOutage = error => error instanceof UnavailableError || error instanceof RateLimitedError;
+
+// The { signal, deadline } of the timed call running in the current async context.
+const attempts = new AsyncLocalStorage();
+
+/**
+ * The AbortSignal of the timed call (see withTimeout) the caller runs in, for SDKs that take one.
+ * @returns {AbortSignal|undefined} The signal, or undefined outside a timed call.
+ */
+export function attemptSignal() {
+    return attempts.getStore()?.signal;
+}
+
+/**
+ * The time left before the timed call the caller runs in times out, e.g. for a server-side limit.
+ * @returns {number|undefined} Milliseconds, at least 1, or undefined outside a timed call.
+ */
+export function attemptTimeLeft() {
+    const deadline = attempts.getStore()?.deadline;
+    return deadline === undefined ? undefined : Math.max(1, Math.ceil(deadline - Date.now()));
+}
+
+/**
+ * Runs a call with a time limit. On timeout the call's AbortSignal is aborted with the
+ * TimeoutError; a call that ignores it keeps running, and its outcome is ignored.
+ * @param {Function} fn - The call; receives the AbortSignal, also available as attemptSignal().
+ * @param {number} timeout - The limit in ms; 0 or undefined runs the call without one.
+ * @param {object} [details={}] - { operation, backend }, for the TimeoutError.
+ * @returns {Promise<*>} The call's result.
+ */
+export async function withTimeout(fn, timeout, { operation, backend } = {}) {
+    if (!timeout) {
+        return fn();
+    }
+    const controller = new AbortController();
+    let timer;
+    const expired = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new TimeoutError(
+                `${backend ?? 'The'} ${operation ?? 'call'} did not finish within ${timeout} ms.`,
+                { operation, timeout, backend },
+            );
+            controller.abort(error);
+            reject(error);
+        }, timeout);
+    });
+    const attempt = { signal: controller.signal, deadline: Date.now() + timeout };
+    try {
+        return await Promise.race([attempts.run(attempt, () => fn(controller.signal)), expired]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Fails calls at once while a dependency keeps failing, instead of letting each one wait for
+ * its timeout.
+ */
+export class CircuitBreaker {
+    #name;
+    #failureThreshold;
+    #resetTimeout;
+    #failures = 0;
+    #openedAt = null;
+    #trialRunning = false;
+
+    /**
+     * @param {string} name - The dependency, e.g. 'redis'.
+     * @param {object} [options={}] - { failureThreshold: consecutive outages that open it, resetTimeout: ms before a trial call }.
+     */
+    constructor(name, { failureThreshold = 5, resetTimeout = 30000 } = {}) {
+        this.#name = name;
+        this.#failureThreshold = failureThreshold;
+        this.#resetTimeout = resetTimeout;
+    }
+
+    /**
+     * 'closed' (calls go through), 'open' (calls fail at once) or 'half-open' (the next call is a trial).
+     * @returns {string}
+     */
+    get state() {
+        if (this.#openedAt === null) return 'closed';
+        return Date.now() - this.#openedAt >= this.#resetTimeout ? 'half-open' : 'open';
+    }
+
+    /**
+     * Runs a call unless the circuit is open, and records its outcome.
+     * @param {Function} fn - The call.
+     * @param {Function} [isFailure] - Tells the errors that count towards opening the circuit; defaults to every error.
+     * @returns {Promise<*>} The call's result.
+     */
+    async run(fn, isFailure = () => true) {
+        const state = this.state;
+        if (state === 'open' || (state === 'half-open' && this.#trialRunning)) {
+            const retryAfter = Math.max(0, this.#openedAt + this.#resetTimeout - Date.now()) / 1000;
+            throw new CircuitOpenError(`The ${this.#name} circuit is open after repeated failures.`, { backend: this.#name, retryAfter });
+        }
+        const trial = state === 'half-open';
+        this.#trialRunning = trial;
+        try {
+            const result = await fn();
+            this.#record(false);
+            return result;
+        } catch (error) {
+            this.#record(isFailure(error));
+            throw error;
+        } finally {
+            if (trial) this.#trialRunning = false;
+        }
+    }
+
+    #record(failed) {
+        if (!failed) {
+            if (this.#openedAt !== null) {
+                log.info('Circuit closed', { dependency: this.#name });
+            }
+            this.#failures = 0;
+            this.#openedAt = null;
+            return;
+        }
+        this.#failures += 1;
+        // A failed trial reopens the circuit for another resetTimeout.
+        if (this.#openedAt !== null || this.#failures >= this.#failureThreshold) {
+            if (this.#openedAt === null) {
+                log.warn('Circuit opened', { dependency: this.#name, failures: this.#failures, resetTimeout: this.#resetTimeout });
+            }
+            this.#openedAt = Date.now();
+        }
+    }
+}
+
+/**
+ * The timeout, retry and circuit-breaker policy of one dependency.
+ */
+export class FnResiliencePolicy {
+    #name;
+    #timeout;
+    #retries;
+    #baseDelay;
+    #maxDelay;
+    #breaker;
+    #retryTimeouts;
+    #classify;
+
+    /**
+     * @param {string} name - The dependency, e.g. 'dynamodb'; names its breaker and errors.
+     * @param {object} [options={}] - The policy (see the top of this file), plus `classify`: maps
+     *   an error to the library's error (see ./errors.js) to judge it, for SDKs whose errors are
+     *   translated only after the call, such as Stripe's. The error thrown is the original.
+     */
+    constructor(name, { timeout = 0, retries = 0, baseDelay = 100, maxDelay = 5000, breaker = false, retryTimeouts = false, classify = error => error } = {}) {
+        this.#name = name;
+        this.#timeout = typeof timeout === 'object' ? timeout : { default: timeout };
+        this.#retries = retries;
+        this.#baseDelay = baseDelay;
+        this.#maxDelay = maxDelay;
+        this.#breaker = breaker ? new CircuitBreaker(name, breaker) : null;
+        this.#retryTimeouts = retryTimeouts;
+        this.#classify = classify;
+    }
+
+    /**
+     * The dependency's circuit breaker, or null if it has none.
+     * @returns {CircuitBreaker|null}
+     */
+    get breaker() {
+        return this.#breaker;
+    }
+
+    /**
+     * The timeout of an operation.
+     * @param {string} operation - The operation, e.g. 'get'.
+     * @returns {number} The timeout in ms, or 0 for none.
+     */
+    timeoutFor(operation) {
+        return this.#timeout[operation] ?? this.#timeout.default ?? 0;
+    }
+
+    /**
+     * Runs a call under the policy.
+     * @param {string} operation - The operation, e.g. 'get'; selects its timeout.
+     * @param {Function} fn - The call, made again for each attempt; receives the attempt's AbortSignal (see withTimeout).
+     * @param {object} [options={}] - { idempotent: false limits retries to calls rejected unapplied (default true),
+     *   timeout: ms overriding the operation's }.
+     * @returns {Promise<*>} The call's result.
+     */
+    async run(operation, fn, { idempotent = true, timeout = this.timeoutFor(operation) } = {}) {
+        const attempt = () => withTimeout(fn, timeout, { operation, backend: this.#name });
+        for (let retry = 0; ; retry++) {
+            try {
+                return await (this.#breaker ? this.#breaker.run(attempt, error => isOutage(this.#classify(error))) : attempt());
+            } catch (error) {
+                const delay = this.#retryDelay(this.#classify(error), retry, idempotent);
+                if (delay === undefined) {
+                    throw error;
+                }
+                log.debug('Retrying after a transient failure', { dependency: this.#name, operation, retry: retry + 1, delayMs: Math.round(delay), error });
+                await sleep(delay);
+            }
+        }
+    }
+
+    // The wait before the next attempt, or undefined if the error is not worth retrying.
+    #retryDelay(error, retry, idempotent) {
+        if (retry >= this.#retries || !error?.retryable || error instanceof CircuitOpenError) {
+            return undefined;
+        }
+        if (error instanceof TimeoutError && !this.#retryTimeouts) {
+            return undefined;
+        }
+        if (!idempotent && !(error instanceof RateLimitedError || error instanceof ConflictError)) {
+            return undefined;
+        }
+        const delay = Math.random() * Math.min(this.#maxDelay, this.#baseDelay * 2 ** retry);
+        if (Number.isFinite(error.retryAfter)) {
+            const retryAfter = error.retryAfter * 1000;
+            return retryAfter > this.#maxDelay ? undefined : Math.max(delay, retryAfter);
+        }
+        return delay;
+    }
+}
+
+/**
+ * Creates the policy of a dependency from its defaults, RESILIENCE and the given options.
+ * @example
+ * const policy = createResiliencePolicy('database', { timeout: { default: 2000, fetch: 10000 } }, 'dynamodb');
+ * const user = await policy.run('get', () => dynamo.get('users', { id: 'u1' }));
+ * @param {string} dependency - 'database', 'cache' or 'stripe'.
+ * @param {object|false} [options={}] - Overrides of the policy; false disables timeouts, retries and the breaker.
+ * @param {string} [name=dependency] - The name in errors and logs, e.g. the database type.
+ * @returns {FnResiliencePolicy}
+ */
+export function createResiliencePolicy(dependency, options = {}, name = dependency) {
+    if (options === false || RESILIENCE[dependency] === false) {
+        return new FnResiliencePolicy(name, { classify: options?.classify });
+    }
+    const defaults = DEFAULT_POLICIES[dependency] ?? {};
+    const configured = RESILIENCE[dependency] ?? {};
+    const breaker = options.breaker ?? configured.breaker ?? defaults.breaker;
+    return new FnResiliencePolicy(name, {
+        ...defaults,
+        ...configured,
+        ...options,
+        breaker: breaker && { ...defaults.breaker, ...configured.breaker, ...breaker },
+    });
+}
+
+/**
+ * Wraps a service so that the listed methods run under a policy; other members are passed through.
+ * @param {object} service - The service, e.g. a database backend.
+ * @param {FnResiliencePolicy} policy - The policy.
+ * @param {object} operations - The methods to guard, each with its run options, e.g. `{ get: {}, update: { idempotent: false } }`.
+ * @returns {object} The wrapped service.
+ */
+export function withPolicy(service, policy, operations) {
+    return new Proxy(service, {
+        get(target, property) {
+            const value = Reflect.get(target, property, target);
+            if (typeof value !== 'function') {
+                return value;
+            }
+            if (!Object.hasOwn(operations, property)) {
+                return value.bind(target);
+            }
+            return (...args) => policy.run(property, () => value.apply(target, args), operations[property]);
+        },
+    });
+}
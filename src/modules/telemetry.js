@@ -0,0 +1,181 @@
+/**
+ * OpenTelemetry spans and metrics for the adapter, the database backends and Stripe.
+ *
+ * The library never registers providers itself. It uses those passed to configureTelemetry(),
+ * else the global ones of @opentelemetry/api when that package is installed; until the
+ * application registers a provider, the API's are no-ops. Without either, nothing is recorded.
+ *
+ * Spans:
+ *   `{operation} {collection}` (client)   one per backend call, and per retry of it
+ *   `adapter.{operation} {collection}`    one per adapter operation, around its cache lookups and backend calls
+ *   `stripe {operation}` (client)          one per Stripe API call, and per retry of it
+ * Metrics:
+ *   db.client.operation.duration (s)      backend call latency
+ *   fnlib.db.operation.duration (s)       adapter operation latency, cache and retries included
+ *   fnlib.db.operations, fnlib.db.errors  adapter operations and failed ones; their ratio is the error rate
+ *   fnlib.cache.lookups                   cache lookups, by `cache.result` ('hit' or 'miss')
+ *   fnlib.stripe.request.duration (s), fnlib.stripe.requests, fnlib.stripe.errors
+ * Database attributes follow the semantic conventions: db.system, db.collection and
+ * db.operation; failures add error.type, the error's class name.
+ */
+
+const INSTRUMENTATION_NAME = '@alihaiye/5nnetworks-5nlib';
+const INSTRUMENTATION_VERSION = '1.0.0';
+
+// SpanKind and SpanStatusCode of @opentelemetry/api, which may not be installed.
+const SPAN_KIND_INTERNAL = 0;
+const SPAN_KIND_CLIENT = 2;
+const SPAN_STATUS_ERROR = 2;
+
+// The OpenTelemetry API, if the application installed it.
+const otel = await import('@opentelemetry/api').catch(() => null);
+
+let settings = {};
+let instruments = null;
+
+/**
+ * Sets the providers the library records to, instead of the global ones. Useful in tests,
+ * e.g. with a BasicTracerProvider over an InMemorySpanExporter.
+ * @example
+ * const exporter = new InMemorySpanExporter();
+ * configureTelemetry({ tracerProvider: new BasicTracerProvider({ spanProcessors: [new SimpleSpanProcessor(exporter)] }) });
+ * @param {object} [providers={}] - { tracerProvider, meterProvider }; omit both to go back to the global ones.
+ */
+export function configureTelemetry({ tracerProvider, meterProvider } = {}) {
+    settings = { tracerProvider, meterProvider };
+    instruments = null;
+}
+
+function getTracer() {
+    const provider = settings.tracerProvider ?? otel?.trace.getTracerProvider();
+    return provider?.getTracer(INSTRUMENTATION_NAME, INSTRUMENTATION_VERSION);
+}
+
+// Instruments are created once per meter; the global meter changes when a provider is registered.
+function getInstruments() {
+    const provider = settings.meterProvider ?? otel?.metrics.getMeterProvider();
+    const meter = provider?.getMeter(INSTRUMENTATION_NAME, INSTRUMENTATION_VERSION);
+    if (!meter) return null;
+    if (instruments?.meter !== meter) {
+        instruments = {
+            meter,
+            backendDuration: meter.createHistogram('db.client.operation.duration', { unit: 's', description: 'Duration of database backend calls.' }),
+            adapterDuration: meter.createHistogram('fnlib.db.operation.duration', { unit: 's', description: 'Duration of adapter operations, cache lookups and retries included.' }),
+            adapterOperations: meter.createCounter('fnlib.db.operations', { description: 'Adapter operations.' }),
+            adapterErrors: meter.createCounter('fnlib.db.errors', { description: 'Adapter operations that failed.' }),
+            cacheLookups: meter.createCounter('fnlib.cache.lookups', { description: 'Cache lookups, by cache.result.' }),
+            stripeDuration: meter.createHistogram('fnlib.stripe.request.duration', { unit: 's', description: 'Duration of Stripe API calls.' }),
+            stripeRequests: meter.createCounter('fnlib.stripe.requests', { description: 'Stripe API calls.' }),
+            stripeErrors: meter.createCounter('fnlib.stripe.errors', { description: 'Stripe API calls that failed.' }),
+        };
+    }
+    return instruments;
+}
+
+/**
+ * Runs a call in a span and records its duration, count and failure in the given instruments.
+ */
+async function traced(name, kind, attributes, metrics, fn) {
+    const tracer = getTracer();
+    const recorded = getInstruments();
+    if (!tracer && !recorded) {
+        return fn();
+    }
+    const run = async span => {
+        const started = performance.now();
+        let failure;
+        try {
+            return await fn();
+        } catch (error) {
+            failure = { ...attributes, 'error.type': error?.name ?? 'Error' };
+            span?.setAttribute('error.type', failure['error.type']);
+            span?.recordException(error);
+            span?.setStatus({ code: SPAN_STATUS_ERROR, message: error?.message });
+            throw error;
+        } finally {
+            if (recorded) {
+                const { duration, count, errors } = metrics;
+                recorded[duration]?.record((performance.now() - started) / 1000, failure ?? attributes);
+                recorded[count]?.add(1, failure ?? attributes);
+                if (failure) recorded[errors]?.add(1, failure);
+            }
+            span?.end();
+        }
+    };
+    return tracer ? tracer.startActiveSpan(name, { kind, attributes }, run) : run();
+}
+
+function databaseAttributes(system, operation, collection) {
+    return {
+        'db.system': system,
+        'db.operation': operation,
+        ...(typeof collection === 'string' && { 'db.collection': collection }),
+    };
+}
+
+/**
+ * Traces one adapter operation.
+ * @param {string} system - The database type, e.g. 'dynamodb'.
+ * @param {string} operation - The operation, e.g. 'get'.
+ * @param {string} [collection] - The collection, if the operation has one.
+ * @param {Function} fn - The operation.
+ * @returns {Promise<*>} Its result.
+ */
+export function traceAdapterOperation(system, operation, collection, fn) {
+    const name = collection ? `adapter.${operation} ${collection}` : `adapter.${operation}`;
+    return traced(name, SPAN_KIND_INTERNAL, databaseAttributes(system, operation, collection),
+        { duration: 'adapterDuration', count: 'adapterOperations', errors: 'adapterErrors' }, fn);
+}
+
+/**
+ * Counts cache lookups of an adapter operation.
+ * @param {string} system - The database type.
+ * @param {string} collection - The collection.
+ * @param {number} hits - Lookups answered by the cache, including remembered misses.
+ * @param {number} [misses=0] - Lookups that went to the database.
+ */
+export function recordCacheLookups(system, collection, hits, misses = 0) {
+    const counter = getInstruments()?.cacheLookups;
+    if (!counter) return;
+    const attributes = { 'db.system': system, 'db.collection': collection };
+    if (hits > 0) counter.add(hits, { ...attributes, 'cache.result': 'hit' });
+    if (misses > 0) counter.add(misses, { ...attributes, 'cache.result': 'miss' });
+}
+
+/**
+ * Wraps a database backend so that each call of the listed methods gets a client span and its
+ * latency is recorded. A string first argument is taken as the collection.
+ * @param {object} service - The backend.
+ * @param {string} system - The database type, e.g. 'dynamodb'.
+ * @param {object} operations - The methods to trace, as keys.
+ * @returns {object} The wrapped backend.
+ */
+export function instrumentService(service, system, operations) {
+    return new Proxy(service, {
+        get(target, property) {
+            const value = Reflect.get(target, property, target);
+            if (typeof value !== 'function') {
+                return value;
+            }
+            if (!Object.hasOwn(operations, property)) {
+                return value.bind(target);
+            }
+            return (...args) => {
+                const collection = typeof args[0] === 'string' ? args[0] : undefined;
+                return traced(collection ? `${property} ${collection}` : property, SPAN_KIND_CLIENT, databaseAttributes(system, property, collection),
+                    { duration: 'backendDuration' }, () => value.apply(target, args));
+            };
+        },
+    });
+}
+
+/**
+ * Traces one Stripe API call.
+ * @param {string} operation - The API method, e.g. 'charges.list'.
+ * @param {Function} fn - The call.
+ * @returns {Promise<*>} Its result.
+ */
+export function traceStripeCall(operation, fn) {
+    return traced(`stripe ${operation}`, SPAN_KIND_CLIENT, { 'server.address': 'api.stripe.com', 'stripe.operation': operation },
+        { duration: 'stripeDuration', count: 'stripeRequests', errors: 'stripeErrors' }, fn);
+}
@@ -0,0 +1,516 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { FnMemoryCacheService } from '../src/modules/database/CACHE/FnMemoryCache.js';
+import { FnRedisService } from '../src/modules/database/CACHE/FnRedis.js';
+import { FnMemoryService } from '../src/modules/database/MEMORY/FnMemory.js';
+import { applyQuery } from '../src/modules/database/query.js';
+import { createDatabaseAdapter } from '../src/modules/adaptors/FnDB.js';
+import { ConflictError, ValidationError } from '../src/modules/database/errors.js';
+
+describe('createDatabaseAdapter', () => {
+    it('creates adapters with independent backends', async () => {
+        const first = createDatabaseAdapter({ type: 'memory', cache: 'memory' });
+        const second = createDatabaseAdapter({ type: 'memory', cache: 'memory' });
+
+        await first.set('users', 'u1', { name: 'Ada' });
+
+        assert.equal((await first.get('users', 'u1')).name, 'Ada');
+        assert.equal(await second.get('users', 'u1'), null);
+        assert.equal(first.type, 'memory');
+    });
+
+    it('rejects keys and key schemas that do not fit the database', async () => {
+        const adapter = createDatabaseAdapter({ type: 'memory', cache: 'memory' });
+        await assert.rejects(adapter.get('users', { id: 'u1' }), /keyed by document ID/);
+        assert.throws(
+            () => createDatabaseAdapter({ type: 'memory', keySchemas: { orders: { partitionKey: 'customerId' } } }),
+            /only DynamoDB tables have partition and sort keys/
+        );
+    });
+
+    it('rejects an unknown database type', async () => {
+        const adapter = createDatabaseAdapter({ type: 'cassandra', cache: 'memory' });
+        await assert.rejects(adapter.get('users', 'u1'), /Unsupported database type: cassandra/);
+    });
+});
+
+describe('FnDatabaseAdapter caching', () => {
+    it('serves cached reads and evicts them on delete', async () => {
+        const cache = new FnMemoryCacheService();
+        const adapter = createDatabaseAdapter({ type: 'memory', cache });
+
+        await adapter.set('users', 'u1', { name: 'Ada' });
+        assert.equal((await cache.get('users:u1')).name, 'Ada');
+
+        await adapter.delete('users', 'u1');
+        assert.equal(await cache.get('users:u1'), null);
+        assert.equal(await adapter.get('users', 'u1', { useCache: true }), null);
+    });
+
+    it('does not cache a read that a write overtook', async t => {
+        const cache = new FnMemoryCacheService();
+        const adapter = createDatabaseAdapter({ type: 'memory', cache });
+        await adapter.set('users', 'u1', { name: 'Ada' });
+        await cache.delete('users:u1');
+
+        // The cache-miss read returns the old document only after the write below has cached the new one.
+        let resume;
+        const paused = new Promise(resolve => {
+            resume = resolve;
+        });
+        const read = FnMemoryService.prototype.get;
+        t.mock.method(FnMemoryService.prototype, 'get', async function (...args) {
+            const doc = await read.apply(this, args);
+            await paused;
+            return doc;
+        });
+        const slowGet = adapter.get('users', 'u1', { useCache: true });
+        await new Promise(resolve => setImmediate(resolve));
+        t.mock.restoreAll();
+
+        await adapter.set('users', 'u1', { name: 'Ada Lovelace' });
+        resume();
+        assert.equal((await slowGet).name, 'Ada');
+        assert.equal((await cache.get('users:u1')).name, 'Ada Lovelace');
+        assert.equal((await adapter.get('users', 'u1', { useCache: true })).name, 'Ada Lovelace');
+    });
+});
+
+// One in-process Redis keyspace, serving as both the redis backend and the adapter's cache.
+class SharedRedis extends FnRedisService {
+    values = new Map();
+    expiries = new Map();
+
+    async get(key) {
+        return structuredClone(this.values.get(key) ?? null);
+    }
+
+    async getMany(keys) {
+        return Promise.all(keys.map(key => this.get(key)));
+    }
+
+    async set(key, data, expiresInSeconds) {
+        this.values.set(key, structuredClone(data));
+        this.expiries.set(key, expiresInSeconds);
+    }
+
+    async setIf(key, data, { ifNotExists }, expiresInSeconds) {
+        if (ifNotExists && this.values.has(key)) return false;
+        await this.set(key, data, expiresInSeconds);
+        return true;
+    }
+
+    async delete(key) {
+        this.expiries.delete(key);
+        return this.values.delete(key);
+    }
+
+    async tag(tag, key) {
+        this.values.set(tag, [...(this.values.get(tag) ?? []), key]);
+    }
+
+    async invalidateTag(tag) {
+        const keys = this.values.get(tag) ?? [];
+        keys.forEach(key => this.values.delete(key));
+        this.values.delete(tag);
+        return keys.length;
+    }
+
+    // Like SCAN MATCH collection:*, every value under the collection's prefix.
+    async fetch(collection, query = {}) {
+        const docs = [...this.values].filter(([key]) => key.startsWith(`${collection}:`)).map(([, value]) => structuredClone(value));
+        return applyQuery(docs, query);
+    }
+}
+
+describe('FnDatabaseAdapter with a redis cache on a redis database', () => {
+    it('keeps cache entries apart from the documents they cache', async () => {
+        const redis = new SharedRedis();
+        const adapter = createDatabaseAdapter({ type: 'redis', options: redis, cache: redis });
+
+        await adapter.set('users', 'u1', { name: 'Ada' });
+        assert.equal(await adapter.get('users', 'u9', { useCache: true }), null);
+        assert.equal((await adapter.fetch('users', {}, { useCache: true })).length, 1);
+
+        assert.equal(redis.expiries.get('users:u1'), undefined);
+        assert.equal((await redis.get('cache:users:u1')).name, 'Ada');
+        assert.equal(await redis.get('users:u9'), null);
+        assert.deepEqual(await redis.get('cache:users:u9'), { __fnNotFound: true });
+        assert.deepEqual((await adapter.fetch('users')).map(user => user.id), ['u1']);
+        assert.equal(await adapter.get('users', 'u9'), null);
+    });
+
+    it('needs a cache key prefix to share a redis with the documents', () => {
+        assert.throws(() => createDatabaseAdapter({ type: 'redis', cache: 'redis', cacheKeyPrefix: '' }), /needs a cacheKeyPrefix/);
+    });
+
+    it('rejects a transaction with a ValidationError', async () => {
+        const adapter = createDatabaseAdapter({ type: 'redis', options: new SharedRedis(), cache: 'none' });
+        await assert.rejects(adapter.transaction(async () => {}), error => error instanceof ValidationError && error.backend === 'redis');
+    });
+});
+
+describe('FnDatabaseAdapter batch and transaction', () => {
+    it('applies a batch and evicts cached copies after commit', async () => {
+        const cache = new FnMemoryCacheService();
+        const adapter = createDatabaseAdapter({ type: 'memory', cache });
+        await adapter.set('carts', 'c1', { items: 2 });
+
+        await adapter.batch([
+            { type: 'set', collection: 'orders', key: 'o1', data: { status: 'placed' } },
+            { type: 'delete', collection: 'carts', key: 'c1' },
+        ]);
+
+        assert.equal((await adapter.get('orders', 'o1')).status, 'placed');
+        assert.equal(await adapter.get('carts', 'c1'), null);
+        assert.equal(await cache.get('carts:c1'), null);
+    });
+
+    it('rejects malformed batch operations', async () => {
+        const adapter = createDatabaseAdapter({ type: 'memory', cache: 'memory' });
+        await assert.rejects(adapter.batch([{ type: 'update', collection: 'orders', key: 'o1' }]), /unsupported type "update"/);
+    });
+
+    it('commits a read-modify-write transaction and retries on conflicting writes', async () => {
+        const adapter = createDatabaseAdapter({ type: 'memory', cache: 'memory' });
+        await adapter.set('inventory', 'sku1', { stock: 5 });
+
+        let attempts = 0;
+        const result = await adapter.transaction(async tx => {
+            attempts += 1;
+            const item = await tx.get('inventory', 'sku1');
+            if (attempts === 1) {
+                // A concurrent writer changes the document after it was read.
+                await adapter.set('inventory', 'sku1', { stock: 4 });
+            }
+            await tx.set('inventory', 'sku1', { stock: item.stock - 1 });
+            return item.stock - 1;
+        });
+
+        assert.equal(attempts, 2);
+        assert.equal(result, 3);
+        assert.equal((await adapter.get('inventory', 'sku1')).stock, 3);
+    });
+
+    it('rejects a transaction write with a bad key before it commits', async () => {
+        const adapter = createDatabaseAdapter({ type: 'memory', cache: 'memory' });
+        await assert.rejects(adapter.transaction(tx => {
+            tx.set('users', 'u2', { name: 'y' });
+            tx.set('users', { id: 'u1' }, { name: 'x' });
+        }), ValidationError);
+        assert.deepEqual(await adapter.fetch('users'), []);
+    });
+});
+
+describe('FnMemoryService batch', () => {
+    it('applies a batch in one step, or not at all', async () => {
+        const backend = new FnMemoryService();
+        const ops = Array.from({ length: 5 }, (_, index) => ({ type: 'set', collection: 'orders', key: `o${index}`, data: { index } }));
+
+        const seen = new Set();
+        let done = false;
+        const applied = backend.batch(ops).then(() => {
+            done = true;
+        });
+        while (!done) {
+            seen.add((await backend.fetch('orders')).length);
+        }
+        await applied;
+        assert.deepEqual([...seen].filter(count => count !== 0 && count !== 5), []);
+
+        await assert.rejects(backend.batch([
+            { type: 'delete', collection: 'orders', key: 'o0' },
+            { type: 'set', collection: 'orders', key: 'o9', data: { callback: () => {} } },
+        ]));
+        assert.equal((await backend.fetch('orders')).length, 5);
+    });
+});
+
+describe('FnDatabaseAdapter cache policies', () => {
+    // Counts cache writes, which happen once per database read on a miss.
+    const countingCache = () => {
+        const cache = new FnMemoryCacheService();
+        const writes = [];
+        const set = cache.set.bind(cache);
+        cache.set = async (key, data, ttl) => {
+            writes.push({ key, data, ttl });
+            return set(key, data, ttl);
+        };
+        return { cache, writes };
+    };
+
+    it('reads the database once for concurrent misses on the same key', async () => {
+        const { cache, writes } = countingCache();
+        const adapter = createDatabaseAdapter({ type: 'memory', cache });
+        await adapter.set('users', 'u1', { name: 'Ada' });
+        await cache.delete('users:u1');
+        writes.length = 0;
+
+        const docs = await Promise.all(Array.from({ length: 5 }, () => adapter.get('users', 'u1', { useCache: true })));
+
+        assert.ok(docs.every(doc => doc.name === 'Ada'));
+        assert.equal(writes.length, 1);
+    });
+
+    it('caches missing documents until they are written', async () => {
+        const { cache, writes } = countingCache();
+        const adapter = createDatabaseAdapter({ type: 'memory', cache, cachePolicies: { users: { negativeTtl: 30 } } });
+
+        assert.equal(await adapter.get('users', 'ghost', { useCache: true }), null);
+        assert.equal(await adapter.get('users', 'ghost', { useCache: true }), null);
+        assert.equal(writes.length, 1);
+        assert.equal(writes[0].ttl, 30);
+
+        await adapter.set('users', 'ghost', { name: 'Casper' });
+        assert.equal((await adapter.get('users', 'ghost', { useCache: true })).name, 'Casper');
+    });
+
+    it('applies per-collection TTLs', async () => {
+        const { cache, writes } = countingCache();
+        const adapter = createDatabaseAdapter({
+            type: 'memory',
+            cache,
+            cachePolicies: { default: { ttl: 120 }, sessions: { ttl: 15 } },
+        });
+
+        await adapter.set('sessions', 's1', { user: 'u1' });
+        await adapter.set('users', 'u1', { name: 'Ada' });
+
+        assert.deepEqual(writes.map(({ key, ttl }) => [key, ttl]), [['sessions:s1', 15], ['users:u1', 120]]);
+    });
+});
+
+describe('FnDatabaseAdapter cached fetch', () => {
+    const adults = { where: [{ field: 'age', op: '>=', value: 18 }], orderBy: 'age' };
+
+    it('serves equivalent queries from one cache entry', async () => {
+        const cache = new FnMemoryCacheService();
+        const writer = createDatabaseAdapter({ type: 'memory', cache });
+        await writer.set('people', 'p1', { age: 30 });
+        const first = await writer.fetch('people', adults, { useCache: true });
+
+        // A second adapter over an empty backend can only see the person through the shared cache.
+        const reader = createDatabaseAdapter({ type: 'memory', cache });
+        const reordered = { orderBy: [{ field: 'age', direction: 'asc' }], where: adults.where };
+
+        assert.deepEqual(await reader.fetch('people', reordered, { useCache: true }), first);
+        assert.deepEqual(await reader.fetch('people', adults), []);
+    });
+
+    it('drops cached results when the collection is written', async () => {
+        const adapter = createDatabaseAdapter({ type: 'memory', cache: 'memory' });
+        await adapter.set('people', 'p1', { age: 30 });
+        await adapter.set('pets', 'x1', { age: 3 });
+        assert.equal((await adapter.fetch('people', adults, { useCache: true })).length, 1);
+
+        await adapter.set('people', 'p2', { age: 40 });
+        assert.equal((await adapter.fetch('people', adults, { useCache: true })).length, 2);
+
+        await adapter.batch([{ type: 'delete', collection: 'people', key: 'p1' }]);
+        assert.equal((await adapter.fetch('people', adults, { useCache: true })).length, 1);
+
+        await adapter.deleteMany('people');
+        assert.deepEqual(await adapter.fetch('people', adults, { useCache: true }), []);
+    });
+
+    it('rejects caching results in a store without tags', async () => {
+        const entries = new Map();
+        const cache = { get: async key => entries.get(key) ?? null, set: async (key, data) => entries.set(key, data), delete: async key => entries.delete(key) };
+        const adapter = createDatabaseAdapter({ type: 'memory', cache });
+        await assert.rejects(adapter.fetch('people', adults, { useCache: true }), ValidationError);
+    });
+    it('does not keep a result a write invalidated while it was being cached', async () => {
+        const cache = new FnMemoryCacheService();
+        const adapter = createDatabaseAdapter({ type: 'memory', cache });
+        await adapter.set('people', 'p1', { age: 30 });
+
+        // The write lands after the fetch read the database, while its result is being stored.
+        const store = cache.set.bind(cache);
+        cache.set = async (key, data, expiresInSeconds) => {
+            if (key.includes(':query:')) {
+                cache.set = store;
+                await adapter.set('people', 'p2', { age: 40 });
+            }
+            return store(key, data, expiresInSeconds);
+        };
+        assert.equal((await adapter.fetch('people', adults, { useCache: true })).length, 1);
+        assert.equal((await adapter.fetch('people', adults, { useCache: true })).length, 2);
+    });
+});
+
+describe('FnDatabaseAdapter conditional writes', () => {
+    it('refreshes the cache only when the versioned write succeeds', async () => {
+        const cache = new FnMemoryCacheService();
+        const adapter = createDatabaseAdapter({ type: 'memory', cache });
+        const created = await adapter.set('carts', 'c1', { items: 1 }, { ifNotExists: true });
+
+        const updated = await adapter.set('carts', 'c1', { items: 2 }, { ifVersion: created._version });
+        assert.equal((await cache.get('carts:c1')).items, 2);
+
+        await assert.rejects(adapter.set('carts', 'c1', { items: 3 }, { ifVersion: created._version }), ConflictError);
+        assert.equal(await cache.get('carts:c1'), null);
+        assert.deepEqual(await adapter.get('carts', 'c1', { useCache: true }), updated);
+    });
+
+    it('rejects a missing or ambiguous condition', async () => {
+        const adapter = createDatabaseAdapter({ type: 'memory', cache: 'memory' });
+        await assert.rejects(adapter.set('carts', 'c1', {}, { ifVersion: undefined }), /ifVersion needs the _version/);
+        await assert.rejects(adapter.set('carts', 'c1', {}, { ifVersion: 'v1', ifNotExists: true }), /either ifVersion or ifNotExists/);
+    });
+});
+
+describe('FnDatabaseAdapter update', () => {
+    it('refreshes the cache with the updated document', async () => {
+        const cache = new FnMemoryCacheService();
+        const adapter = createDatabaseAdapter({ type: 'memory', cache });
+        await adapter.set('posts', 'p1', { views: 1 });
+
+        const updated = await adapter.update('posts', 'p1', [{ op: 'increment', field: 'views', value: 1 }]);
+
+        assert.equal(updated.views, 2);
+        assert.deepEqual(await cache.get('posts:p1'), updated);
+    });
+
+    it('rejects invalid operations before touching the backend', async () => {
+        const adapter = createDatabaseAdapter({ type: 'memory', cache: 'memory' });
+        await assert.rejects(adapter.update('posts', 'p1', [{ op: 'multiply', field: 'views', value: 2 }]), /Unsupported update operator "multiply"/);
+        await assert.rejects(adapter.update('posts', 'p1', [
+            { op: 'set', field: 'stats', value: {} },
+            { op: 'increment', field: 'stats.views', value: 1 },
+        ]), /overlap/);
+        assert.equal(await adapter.get('posts', 'p1'), null);
+    });
+});
+
+describe('FnDatabaseAdapter getMany', () => {
+    it('reads hits from the cache, loads only the misses and writes them back', async () => {
+        const cache = new FnMemoryCacheService();
+        const adapter = createDatabaseAdapter({ type: 'memory', cache, cachePolicies: { users: { negativeTtl: 30 } } });
+        await adapter.set('users', 'u1', { name: 'Ada' });
+        await adapter.set('users', 'u2', { name: 'Alan' });
+        await cache.delete('users:u2');
+        // Cached but changed behind the cache's back, so a result from the cache is recognisable.
+        await cache.set('users:u1', { id: 'u1', name: 'Ada (cached)' });
+
+        const docs = await adapter.getMany('users', ['u2', 'ghost', 'u1', 'u2'], { useCache: true });
+
+        assert.deepEqual(docs.map(doc => doc?.name ?? null), ['Alan', null, 'Ada (cached)', 'Alan']);
+        assert.equal((await cache.get('users:u2')).name, 'Alan');
+        assert.deepEqual(await cache.get('users:ghost'), { __fnNotFound: true });
+    });
+});
+
+describe('FnDatabaseAdapter schemas', () => {
+    const schemas = {
+        users: {
+            fields: {
+                email: { type: 'string', required: true },
+                plan: { type: 'string', enum: ['free', 'pro'], default: 'free' },
+                address: { type: 'object', fields: { city: { type: 'string', required: true } } },
+                logins: { type: 'integer' },
+            },
+            timestamps: true,
+            readDates: 'iso',
+        },
+    };
+
+    it('applies defaults and createdAt on create and keeps createdAt on later writes', async () => {
+        const adapter = createDatabaseAdapter({ type: 'memory', cache: 'memory', schemas });
+        const created = await adapter.set('users', 'u1', { email: 'ada@example.com' });
+
+        assert.equal(created.plan, 'free');
+        assert.equal(created.createdAt, created.updatedAt);
+        assert.match(created.createdAt, /^\d{4}-\d{2}-\d{2}T/);
+
+        const updated = await adapter.set('users', 'u1', { plan: 'pro' });
+        assert.equal(updated.email, 'ada@example.com');
+        assert.equal(updated.createdAt, created.createdAt);
+        assert.deepEqual(await adapter.get('users', 'u1', { useCache: true }), updated);
+    });
+
+    it('reports every problem in one ValidationError before writing', async () => {
+        const adapter = createDatabaseAdapter({ type: 'memory', cache: 'memory', schemas });
+        const error = await adapter.set('users', 'u1', { plan: 'gold', address: {}, nickname: 'x' }).catch(caught => caught);
+
+        assert.ok(error instanceof ValidationError);
+        assert.deepEqual(error.errors.map(({ path, rule }) => `${path}:${rule}`).sort(), [
+            'address.city:required', 'email:required', 'nickname:unknown', 'plan:enum',
+        ]);
+        assert.equal(await adapter.get('users', 'u1'), null);
+    });
+
+    it('validates update operations and batch sets', async () => {
+        const adapter = createDatabaseAdapter({ type: 'memory', cache: 'memory', schemas });
+        await adapter.set('users', 'u1', { email: 'ada@example.com' });
+
+        await assert.rejects(adapter.update('users', 'u1', [{ op: 'increment', field: 'email', value: 1 }]), ValidationError);
+        await assert.rejects(adapter.update('users', 'u1', [{ op: 'unset', field: 'email' }]), ValidationError);
+        const updated = await adapter.update('users', 'u1', [{ op: 'increment', field: 'logins', value: 1 }]);
+        assert.equal(updated.logins, 1);
+        assert.ok(updated.updatedAt >= updated.createdAt);
+
+        await assert.rejects(adapter.batch([{ type: 'set', collection: 'users', key: 'u2', data: { logins: 1.5 } }]), ValidationError);
+    });
+});
+
+describe('FnDatabaseAdapter watch', () => {
+    it('polls backends without a change feed and evicts changed documents from the cache', async () => {
+        const cache = new FnMemoryCacheService();
+        const adapter = createDatabaseAdapter({ type: 'memory', cache });
+        await adapter.set('tickets', 't1', { status: 'open' });
+        const events = [];
+        const unsubscribe = await adapter.watch('tickets', { where: [{ field: 'status', op: '==', value: 'open' }] }, event => {
+            events.push(`${event.type}:${event.id}`);
+        }, { pollInterval: 5 });
+
+        await adapter.set('tickets', 't2', { status: 'open' });
+        await adapter.set('tickets', 't1', { status: 'closed' });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        await cache.set('tickets:t2', { id: 't2', status: 'stale' });
+        await adapter.set('tickets', 't2', { status: 'open', priority: 1 });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        await unsubscribe();
+
+        assert.deepEqual(events, ['added:t2', 'removed:t1', 'modified:t2']);
+        assert.equal(await cache.get('tickets:t2'), null);
+    });
+});
+
+describe('FnDatabaseAdapter document lifecycle', () => {
+    const documentPolicies = { sessions: { ttl: 900 }, orders: { softDelete: true } };
+
+    it('hides expired documents and stamps the collection ttl', async () => {
+        const cache = new FnMemoryCacheService();
+        const adapter = createDatabaseAdapter({ type: 'memory', cache, documentPolicies });
+        const session = await adapter.set('sessions', 's1', { user: 'u1' });
+        const remaining = session.expiresAt.getTime() - Date.now();
+        assert.ok(remaining > 890_000 && remaining <= 900_000);
+
+        await adapter.set('sessions', 's2', { user: 'u2' }, { expiresAt: Date.now() - 1000 });
+        assert.equal(await adapter.get('sessions', 's2', { useCache: true }), null);
+        assert.equal(await cache.get('sessions:s2'), null);
+        assert.deepEqual((await adapter.fetch('sessions')).map(doc => doc.user), ['u1']);
+        assert.throws(() => createDatabaseAdapter({ type: 'memory', documentPolicies: { sessions: { ttl: 0 } } }), /positive number/);
+    });
+
+    it('soft-deletes documents, hides them from reads and revives them on set', async () => {
+        const adapter = createDatabaseAdapter({ type: 'memory', cache: 'memory', documentPolicies });
+        await adapter.set('orders', 'o1', { status: 'open' });
+        await adapter.set('orders', 'o2', { status: 'open' });
+
+        assert.equal((await adapter.get('orders', 'o1', { useCache: true })).status, 'open');
+        assert.equal(await adapter.delete('orders', 'o1'), true);
+        assert.equal(await adapter.delete('orders', 'o1'), false);
+        assert.equal(await adapter.get('orders', 'o1', { useCache: true }), null);
+        assert.ok((await adapter.get('orders', 'o1', { includeDeleted: true })).deletedAt instanceof Date);
+        assert.deepEqual((await adapter.fetch('orders')).map(doc => doc.id), ['o2']);
+
+        const revived = await adapter.set('orders', 'o1', { status: 'reopened' });
+        assert.equal(revived.deletedAt, null);
+        assert.equal((await adapter.get('orders', 'o1')).status, 'reopened');
+
+        assert.equal(await adapter.deleteMany('orders', { where: [{ field: 'status', op: '==', value: 'open' }] }), 1);
+        assert.equal(await adapter.delete('orders', 'o2', { permanent: true }), true);
+        assert.equal(await adapter.get('orders', 'o2', { includeDeleted: true }), null);
+    });
+});
@@ -0,0 +1,131 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCacheStore } from '../src/modules/database/CACHE/cacheStore.js';
+import { FnLruCacheService } from '../src/modules/database/CACHE/FnLruCache.js';
+import { FnMemoryCacheService } from '../src/modules/database/CACHE/FnMemoryCache.js';
+import { FnRedisService } from '../src/modules/database/CACHE/FnRedis.js';
+
+describe('FnLruCacheService', () => {
+    it('evicts the least recently used entry', async () => {
+        const cache = new FnLruCacheService({ maxEntries: 2 });
+        await cache.set('a', 1);
+        await cache.set('b', 2);
+        await cache.get('a');
+        await cache.set('c', 3);
+
+        assert.equal(await cache.get('a'), 1);
+        assert.equal(await cache.get('b'), null);
+        assert.equal(await cache.get('c'), 3);
+    });
+
+    it('round-trips values through JSON like Redis', async () => {
+        const cache = new FnLruCacheService();
+        const date = new Date('2024-01-01T00:00:00Z');
+        await cache.set('d', { date });
+        assert.deepEqual(await cache.get('d'), { date: date.toISOString() });
+    });
+});
+
+describe('tags', () => {
+    for (const [name, Store] of [['FnLruCacheService', FnLruCacheService], ['FnMemoryCacheService', FnMemoryCacheService]]) {
+        it(`${name} forgets a tagged key once its TTL passes, like a Redis tag set`, async t => {
+            t.mock.timers.enable({ apis: ['Date'] });
+            const cache = new Store();
+            await cache.set('q1', 1, 1);
+            await cache.tag('query', 'q1', 1);
+            t.mock.timers.tick(2000);
+            await cache.set('q1', 2); // Cached again, but no longer under the tag.
+            assert.equal(await cache.invalidateTag('query'), 0);
+            assert.equal(await cache.get('q1'), 2);
+        });
+    }
+
+    it('FnRedisService expires a new tag set with its first key, and only ever extends it', async () => {
+        const sets = new Map();
+        const expiries = new Map();
+        const client = {
+            sadd: async (tag, key) => sets.set(tag, new Set([...(sets.get(tag) ?? []), key])),
+            ttl: async tag => (sets.has(tag) ? expiries.get(tag) ?? -1 : -2),
+            expire: async (tag, seconds) => expiries.set(tag, seconds),
+        };
+        const cache = new class extends FnRedisService {
+            async connect() {
+                return client;
+            }
+        }({ mode: 'standalone' });
+
+        await cache.tag('users:queries', 'q1', 60);
+        assert.equal(expiries.get('users:queries'), 60);
+        await cache.tag('users:queries', 'q2', 30);
+        assert.equal(expiries.get('users:queries'), 60);
+        await cache.tag('users:queries', 'q3', 120);
+        assert.equal(expiries.get('users:queries'), 120);
+    });
+
+    it('still invalidates the live keys of a tag swept of evicted ones', async () => {
+        const cache = new FnLruCacheService({ maxEntries: 10 });
+        for (let index = 0; index < 200; index++) {
+            await cache.set(`q${index}`, index);
+            await cache.tag('query', `q${index}`);
+        }
+        assert.equal(await cache.invalidateTag('query'), 10);
+        assert.equal(cache.size, 0);
+    });
+});
+
+describe('createCacheStore', () => {
+    it('builds a tiered cache that backfills faster tiers', async () => {
+        const front = new FnLruCacheService();
+        const back = new FnLruCacheService();
+        const tiered = await createCacheStore({ type: 'tiered', tiers: [front, back] });
+
+        await back.set('users:u1', { name: 'Ada' });
+        assert.deepEqual(await tiered.get('users:u1'), { name: 'Ada' });
+        assert.deepEqual(await front.get('users:u1'), { name: 'Ada' });
+
+        await tiered.delete('users:u1');
+        assert.equal(await front.get('users:u1'), null);
+        assert.equal(await back.get('users:u1'), null);
+    });
+
+    it('multi-gets across tiers, asking slower tiers only for misses', async () => {
+        const front = new FnLruCacheService();
+        const back = new FnLruCacheService();
+        const tiered = await createCacheStore({ type: 'tiered', tiers: [front, back] });
+
+        await front.set('users:u1', { name: 'Ada' });
+        await back.set('users:u2', { name: 'Alan' });
+        assert.deepEqual(await tiered.getMany(['users:u2', 'users:u3', 'users:u1']), [{ name: 'Alan' }, null, { name: 'Ada' }]);
+        assert.deepEqual(await front.get('users:u2'), { name: 'Alan' });
+    });
+
+    it('copies hits into faster tiers for the time they have left, capped by maxTtl', async () => {
+        const front = new FnLruCacheService();
+        const back = new FnLruCacheService();
+        const tiered = await createCacheStore({ type: 'tiered', tiers: [front, back], maxTtl: 30 });
+
+        await back.set('users:u1', { name: 'Ada' }, 5);
+        await back.set('users:u2', { __fnNotFound: true });
+        await tiered.getMany(['users:u1', 'users:u2']);
+        assert.equal(await front.ttl('users:u1'), 5);
+        assert.equal(await front.ttl('users:u2'), 30);
+
+        await tiered.set('users:u3', { name: 'Alan' }, 3600);
+        assert.equal(await front.ttl('users:u3'), 30);
+        assert.equal(await back.ttl('users:u3'), 3600);
+    });
+
+    it('rejects unknown cache types', async () => {
+        await assert.rejects(createCacheStore('memcached'), /Unsupported cache type: memcached/);
+    });
+
+    it('disables caching with the none type', async () => {
+        const store = await createCacheStore('none');
+        await store.set('k', { v: 1 });
+        assert.equal(await store.get('k'), null);
+    });
+
+    it('rejects an unknown Redis topology before connecting', async () => {
+        await assert.rejects(createCacheStore({ type: 'redis', options: { mode: 'replica' } }), /Unsupported Redis mode: replica/);
+    });
+});
@@ -0,0 +1,305 @@
+/**
+ * Conformance suite for database backends.
+ *
+ * Every backend must pass the same get/set/fetch/delete/fetchPage contract, so code
+ * written against FnDatabaseAdapter keeps working when DATABASE_TYPE changes.
+ * The in-memory backend always runs. The others run when their emulator is configured:
+ *   DYNAMODB_ENDPOINT=http://localhost:8000      (DynamoDB Local)
+ *   FIRESTORE_EMULATOR_HOST=localhost:8080       (Firestore emulator)
+ *   MONGODB_URI=mongodb://localhost:27017/test   (mongod)
+ *   REDIS_CLUSTER_NODES=localhost:7000           (redis-server in cluster mode)
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConflictError } from '../src/modules/database/errors.js';
+
+const BACKENDS = [
+    {
+        name: 'memory',
+        enabled: true,
+        load: () => import('../src/modules/database/MEMORY/FnMemory.js'),
+    },
+    {
+        name: 'dynamodb',
+        enabled: Boolean(process.env.DYNAMODB_ENDPOINT),
+        load: () => import('../src/modules/database/AWS/FnDynamoDB.js'),
+        key: id => ({ id }),
+        // DynamoDB takes the whole item, including its key, instead of a separate ID.
+        write: (backend, collection, id, data, condition) => backend.set(collection, { id, ...data }, condition),
+        // Only the sort key of a table can be ordered on, and this table has none.
+        supportsOrderBy: false,
+        ordersMissingFields: false,
+        async setup(collection) {
+            const { DynamoDBClient, CreateTableCommand, waitUntilTableExists } = await import('@aws-sdk/client-dynamodb');
+            const client = new DynamoDBClient({ region: process.env.AWS_REGION || 'us-east-1', endpoint: process.env.DYNAMODB_ENDPOINT });
+            await client.send(new CreateTableCommand({
+                TableName: collection,
+                KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+                AttributeDefinitions: [{ AttributeName: 'id', AttributeType: 'S' }],
+                BillingMode: 'PAY_PER_REQUEST',
+            }));
+            await waitUntilTableExists({ client, maxWaitTime: 30 }, { TableName: collection });
+        },
+    },
+    {
+        name: 'firestore',
+        enabled: Boolean(process.env.FIRESTORE_EMULATOR_HOST),
+        load: () => import('../src/modules/database/GCP/FnFirestore.js'),
+        // Firestore leaves documents without an orderBy field out of the results.
+        ordersMissingFields: false,
+    },
+    {
+        name: 'mongodb',
+        enabled: Boolean(process.env.MONGODB_URI),
+        load: () => import('../src/modules/database/MONGO/FnMongo.js'),
+        idOf: doc => doc._id.toString(),
+    },
+    {
+        name: 'redis',
+        enabled: Boolean(process.env.REDIS_CLUSTER_NODES),
+        load: () => import('../src/modules/database/CACHE/FnRedisDatabase.js'),
+    },
+];
+
+const PEOPLE = {
+    ada: { name: 'Ada', age: 36, status: 'active', tags: ['math', 'code'] },
+    alan: { name: 'Alan', age: 41, status: 'active', tags: ['code'] },
+    grace: { name: 'Grace', age: 85, status: 'retired', tags: ['navy', 'code'] },
+    edsger: { name: 'Edsger', age: 72, status: 'retired', tags: ['math'] },
+};
+
+for (const fixture of BACKENDS) {
+    const {
+        name,
+        key = id => id,
+        write = (backend, collection, id, data, condition) => backend.set(collection, key(id), data, condition),
+        idOf = doc => doc.id,
+        supportsOrderBy = true,
+        ordersMissingFields = supportsOrderBy,
+        setup = async () => {},
+    } = fixture;
+
+    describe(`${name} backend conformance`, { skip: !fixture.enabled && `${name} emulator not configured` }, () => {
+        const collection = `conformance_${name}_${Date.now()}`;
+        let backend;
+
+        const ids = docs => docs.map(idOf).sort();
+
+        before(async () => {
+            backend = (await fixture.load()).default;
+            await setup(collection);
+        });
+
+        after(async () => {
+            await backend.deleteMany(collection, {});
+        });
+
+        describe('get/set', () => {
+            it('returns null for a missing document', async () => {
+                assert.equal(await backend.get(collection, key('missing')), null);
+            });
+
+            it('returns the stored document, including its key, from set', async () => {
+                const stored = await write(backend, collection, 'ada', PEOPLE.ada);
+                assert.equal(idOf(stored), 'ada');
+                assert.equal(stored.name, 'Ada');
+                assert.deepEqual(stored.tags, ['math', 'code']);
+            });
+
+            it('reads back what set stored', async () => {
+                const doc = await backend.get(collection, key('ada'));
+                assert.equal(idOf(doc), 'ada');
+                assert.equal(doc.age, 36);
+                assert.equal(doc.status, 'active');
+            });
+
+            it('gets several documents in input order, with null for missing ones', async () => {
+                await write(backend, collection, 'alan', PEOPLE.alan);
+                const docs = await backend.getMany(collection, [key('alan'), key('missing'), key('ada'), key('alan')]);
+                assert.deepEqual(docs.map(doc => doc && idOf(doc)), ['alan', null, 'ada', 'alan']);
+                assert.deepEqual(await backend.getMany(collection, []), []);
+            });
+
+            it('overwrites fields when set is called again', async () => {
+                await write(backend, collection, 'ada', { ...PEOPLE.ada, age: 37 });
+                const doc = await backend.get(collection, key('ada'));
+                assert.equal(doc.age, 37);
+                await write(backend, collection, 'ada', PEOPLE.ada);
+            });
+        });
+
+        describe('conditional writes', () => {
+            it('creates a document only if it does not exist', async () => {
+                const created = await write(backend, collection, 'kurt', { name: 'Kurt' }, { ifNotExists: true });
+                assert.equal(created.name, 'Kurt');
+                await assert.rejects(write(backend, collection, 'kurt', { name: 'Other' }, { ifNotExists: true }), ConflictError);
+                assert.equal((await backend.get(collection, key('kurt'))).name, 'Kurt');
+            });
+
+            it('writes only over the expected version', async () => {
+                const { _version: version } = await backend.get(collection, key('kurt'));
+                const updated = await write(backend, collection, 'kurt', { name: 'Kurt G.' }, { ifVersion: version });
+                assert.equal(updated.name, 'Kurt G.');
+
+                const stored = await backend.get(collection, key('kurt'));
+                assert.notEqual(stored._version, version);
+                await assert.rejects(write(backend, collection, 'kurt', { name: 'Stale' }, { ifVersion: version }), ConflictError);
+                assert.equal((await backend.get(collection, key('kurt'))).name, 'Kurt G.');
+                await backend.delete(collection, key('kurt'));
+            });
+
+            it('lets exactly one of concurrent first writes with ifNotExists create the document', async () => {
+                const attempts = await Promise.allSettled(['Kurt', 'Other', 'Third'].map(name => write(backend, collection, 'race', { name }, { ifNotExists: true })));
+                const created = attempts.filter(({ status }) => status === 'fulfilled');
+                assert.equal(created.length, 1);
+                assert.ok(attempts.every(({ status, reason }) => status === 'fulfilled' || reason instanceof ConflictError));
+                assert.equal((await backend.get(collection, key('race'))).name, created[0].value.name);
+                await backend.delete(collection, key('race'));
+            });
+
+            it('applies concurrent unconditional first writes to one document', async () => {
+                await Promise.all(['Kurt', 'Other'].map(name => write(backend, collection, 'race', { name })));
+                assert.equal((await backend.fetch(collection)).filter(doc => idOf(doc) === 'race').length, 1);
+                await backend.delete(collection, key('race'));
+            });
+
+            it('rejects a versioned write to a missing document', async () => {
+                await assert.rejects(write(backend, collection, 'nobody', { name: 'Nobody' }, { ifVersion: 'v1' }), ConflictError);
+            });
+        });
+
+        describe('update', () => {
+            it('applies every operator and returns the updated document', async () => {
+                await write(backend, collection, 'barbara', { name: 'Barbara', logins: 1, tags: ['code', 'clu'], draft: true });
+                const updated = await backend.update(collection, key('barbara'), [
+                    { op: 'increment', field: 'logins', value: 2 },
+                    { op: 'set', field: 'name', value: 'Barbara L.' },
+                    { op: 'unset', field: 'draft' },
+                    { op: 'array-union', field: 'tags', value: ['code', 'turing'] },
+                ]);
+                assert.equal(updated.logins, 3);
+                assert.equal(updated.name, 'Barbara L.');
+                assert.equal(updated.draft, undefined);
+                assert.deepEqual(updated.tags, ['code', 'clu', 'turing']);
+
+                const removed = await backend.update(collection, key('barbara'), [{ op: 'array-remove', field: 'tags', value: ['clu'] }]);
+                assert.deepEqual(removed.tags, ['code', 'turing']);
+                assert.deepEqual((await backend.get(collection, key('barbara'))).tags, ['code', 'turing']);
+            });
+
+            it('creates a missing document, counting from zero', async () => {
+                const created = await backend.update(collection, key('john'), [{ op: 'increment', field: 'logins', value: 1 }]);
+                assert.equal(created.logins, 1);
+                assert.equal(idOf(await backend.get(collection, key('john'))), 'john');
+                await backend.delete(collection, key('john'));
+                await backend.delete(collection, key('barbara'));
+            });
+        });
+
+        describe('fetch', () => {
+            before(async () => {
+                for (const [id, data] of Object.entries(PEOPLE)) {
+                    await write(backend, collection, id, data);
+                }
+            });
+
+            it('returns every document without a query', async () => {
+                assert.deepEqual(ids(await backend.fetch(collection)), ['ada', 'alan', 'edsger', 'grace']);
+            });
+
+            it('returns an empty array when nothing matches', async () => {
+                const docs = await backend.fetch(collection, { where: [{ field: 'status', op: '==', value: 'unknown' }] });
+                assert.deepEqual(docs, []);
+            });
+
+            it('filters on equality, ranges, in and array-contains', async () => {
+                const active = await backend.fetch(collection, { where: [{ field: 'status', op: '==', value: 'active' }] });
+                assert.deepEqual(ids(active), ['ada', 'alan']);
+
+                const range = await backend.fetch(collection, {
+                    where: [{ field: 'age', op: '>=', value: 41 }, { field: 'age', op: '<', value: 80 }],
+                });
+                assert.deepEqual(ids(range), ['alan', 'edsger']);
+
+                const named = await backend.fetch(collection, { where: [{ field: 'name', op: 'in', value: ['Ada', 'Grace'] }] });
+                assert.deepEqual(ids(named), ['ada', 'grace']);
+
+                const math = await backend.fetch(collection, { where: [{ field: 'tags', op: 'array-contains', value: 'math' }] });
+                assert.deepEqual(ids(math), ['ada', 'edsger']);
+            });
+
+            it('accepts a bare where array', async () => {
+                const docs = await backend.fetch(collection, [{ field: 'status', op: '==', value: 'retired' }]);
+                assert.deepEqual(ids(docs), ['edsger', 'grace']);
+            });
+
+            it('orders and limits results', { skip: !supportsOrderBy && `${name} cannot order by a non-key field` }, async () => {
+                const docs = await backend.fetch(collection, { orderBy: [{ field: 'age', direction: 'desc' }], limit: 2 });
+                assert.deepEqual(docs.map(idOf), ['grace', 'edsger']);
+            });
+
+            it('rejects ordering it cannot serve with a clear error', { skip: supportsOrderBy && `${name} supports ordering` }, async () => {
+                await assert.rejects(backend.fetch(collection, { orderBy: 'age' }), /order/);
+            });
+
+            it('projects selected fields', async () => {
+                const [doc] = await backend.fetch(collection, {
+                    where: [{ field: 'name', op: '==', value: 'Alan' }],
+                    select: ['name'],
+                });
+                assert.equal(doc.name, 'Alan');
+                assert.equal(doc.age, undefined);
+            });
+        });
+
+        describe('fetchPage', () => {
+            it('walks every document exactly once', async () => {
+                const seen = [];
+                let cursor = null;
+                do {
+                    const page = await backend.fetchPage(collection, {}, { pageSize: 3, cursor });
+                    assert.ok(Array.isArray(page.items));
+                    seen.push(...page.items);
+                    cursor = page.nextCursor;
+                } while (cursor);
+                assert.deepEqual(ids(seen), ['ada', 'alan', 'edsger', 'grace']);
+            });
+
+            it('pages past documents that lack the sort field', { skip: !ordersMissingFields && 'documents without the field are not returned' }, async () => {
+                await write(backend, collection, 'nobody1', { name: 'Nobody' });
+                await write(backend, collection, 'nobody2', { name: 'Nobody' });
+                const walk = async direction => {
+                    const seen = [];
+                    let cursor = null;
+                    do {
+                        const page = await backend.fetchPage(collection, { orderBy: [{ field: 'age', direction }] }, { pageSize: 1, cursor });
+                        seen.push(...page.items.map(idOf));
+                        cursor = page.nextCursor;
+                    } while (cursor);
+                    return seen;
+                };
+                try {
+                    assert.deepEqual(await walk('asc'), ['nobody1', 'nobody2', 'ada', 'alan', 'edsger', 'grace']);
+                    assert.deepEqual(await walk('desc'), ['grace', 'edsger', 'alan', 'ada', 'nobody1', 'nobody2']);
+                } finally {
+                    await backend.delete(collection, key('nobody1'));
+                    await backend.delete(collection, key('nobody2'));
+                }
+            });
+        });
+
+        describe('delete', () => {
+            it('reports whether a document was deleted', async () => {
+                assert.equal(await backend.delete(collection, key('alan')), true);
+                assert.equal(await backend.delete(collection, key('alan')), false);
+                assert.equal(await backend.get(collection, key('alan')), null);
+            });
+
+            it('deletes every matching document and returns their keys', async () => {
+                const deleted = await backend.deleteMany(collection, { where: [{ field: 'status', op: '==', value: 'retired' }] });
+                assert.equal(deleted.length, 2);
+                assert.deepEqual(ids(await backend.fetch(collection)), ['ada']);
+            });
+        });
+    });
+}
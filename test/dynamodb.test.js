@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DynamoDBDocumentClient } from '@aws-sdk/lib-dynamodb';
+import { FnDynamoDBService } from '../src/modules/database/AWS/FnDynamoDB.js';
+import { UnavailableError } from '../src/modules/database/errors.js';
+
+// Records the commands sent to DynamoDB instead of sending them.
+function recordCommands(t, respond = async () => ({})) {
+    const sent = [];
+    t.mock.method(DynamoDBDocumentClient.prototype, 'send', async command => {
+        sent.push(command);
+        return respond(command);
+    });
+    return sent;
+}
+
+describe('FnDynamoDBService', () => {
+    it('writes the primary key into the items a batch and a transaction put', async t => {
+        const sent = recordCommands(t);
+        const backend = new FnDynamoDBService({ region: 'us-east-1' });
+
+        await backend.batch([{ type: 'set', collection: 'orders', key: { id: 'o1' }, data: { id: 'stale', status: 'placed' } }]);
+        await backend.transaction(async tx => {
+            tx.set('orders', { id: 'o2' }, { status: 'paid' });
+        });
+
+        const puts = sent.map(command => command.input.TransactItems[0].Put.Item);
+        assert.deepEqual(puts.map(({ id, status }) => ({ id, status })), [{ id: 'o1', status: 'placed' }, { id: 'o2', status: 'paid' }]);
+    });
+
+    it('translates a failed transaction read', async t => {
+        recordCommands(t, async () => {
+            throw Object.assign(new Error('Service unavailable'), { name: 'ServiceUnavailable' });
+        });
+        const backend = new FnDynamoDBService({ region: 'us-east-1' });
+        await assert.rejects(
+            backend.transaction(tx => tx.get('orders', { id: 'o1' })),
+            error => error instanceof UnavailableError && error.backend === 'dynamodb'
+        );
+    });
+});
@@ -0,0 +1,105 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    FnError, NotFoundError, ConflictError, ValidationError, UnauthorizedError, RateLimitedError, UnavailableError, TimeoutError, CardDeclinedError, PaymentProviderError,
+} from '../src/modules/errors.js';
+import { toDatabaseError } from '../src/modules/database/errors.js';
+import { runStripeOperation, toStripeError } from '../src/modules/fintech/stripe/errors.js';
+import { configureLogging } from '../src/modules/logger.js';
+import { createDatabaseAdapter } from '../src/modules/adaptors/FnDB.js';
+
+const sdkError = (message, fields) => Object.assign(new Error(message), fields);
+
+describe('toDatabaseError', () => {
+    it('maps SDK errors to typed errors that keep the cause, backend and retryable flag', () => {
+        const throttled = sdkError('Rate exceeded', { name: 'ProvisionedThroughputExceededException' });
+        const error = toDatabaseError(throttled, 'dynamodb');
+        assert.ok(error instanceof RateLimitedError && error instanceof FnError);
+        assert.equal(error.cause, throttled);
+        assert.equal(error.backend, 'dynamodb');
+        assert.equal(error.retryable, true);
+
+        assert.ok(toDatabaseError(sdkError('14 UNAVAILABLE', { code: 14 }), 'firestore') instanceof UnavailableError);
+        assert.ok(toDatabaseError(sdkError('7 PERMISSION_DENIED', { code: 7 }), 'firestore') instanceof UnauthorizedError);
+        assert.ok(toDatabaseError(sdkError('connect ECONNREFUSED', { code: 'ECONNREFUSED' }), 'redis') instanceof UnavailableError);
+        assert.ok(toDatabaseError(sdkError('NOAUTH Authentication required.'), 'redis') instanceof UnauthorizedError);
+
+        const duplicate = toDatabaseError(sdkError('E11000 duplicate key', { code: 11000 }), 'mongodb');
+        assert.ok(duplicate instanceof ConflictError);
+        assert.equal(duplicate.retryable, false);
+        assert.equal(toDatabaseError(sdkError('WriteConflict', { code: 112 }), 'mongodb').retryable, true);
+
+        const unknown = toDatabaseError(new TypeError('boom'), 'mongodb');
+        assert.equal(unknown.constructor, FnError);
+        assert.equal(unknown.retryable, false);
+
+        const typed = new ValidationError('bad');
+        assert.equal(toDatabaseError(typed, 'memory'), typed);
+        assert.equal(typed.backend, 'memory');
+    });
+
+    it('is what the adapter throws for invalid input', async () => {
+        const adapter = createDatabaseAdapter({ type: 'memory', cache: 'memory' });
+        await assert.rejects(adapter.fetch('users', { where: [{ field: 'age', op: '~', value: 1 }] }), ValidationError);
+        await assert.rejects(adapter.fetchPage('users', {}, { cursor: '%%%' }), ValidationError);
+        await assert.rejects(adapter.forTenant('acme').fetch('users', { TableName: 'users' }), UnauthorizedError);
+    });
+});
+
+describe('toStripeError', () => {
+    it('keeps the Stripe type, code and decline reason', () => {
+        const declined = sdkError('Your card has insufficient funds.', {
+            type: 'StripeCardError', code: 'card_declined', decline_code: 'insufficient_funds', statusCode: 402, requestId: 'req_1',
+        });
+        const error = toStripeError(declined, 'Failed to create the charge.');
+        assert.ok(error instanceof CardDeclinedError && error instanceof PaymentProviderError);
+        assert.equal(error.message, 'Your card has insufficient funds.');
+        assert.equal(error.declineCode, 'insufficient_funds');
+        assert.equal(error.requestId, 'req_1');
+        assert.equal(error.backend, 'stripe');
+        assert.equal(error.retryable, false);
+
+        const limited = toStripeError(sdkError('Too many requests', { type: 'StripeRateLimitError', headers: { 'retry-after': '2' } }), 'Failed.');
+        assert.ok(limited instanceof RateLimitedError);
+        assert.equal(limited.retryAfter, 2);
+        assert.ok(toStripeError(sdkError('No such charge', { type: 'StripeInvalidRequestError', code: 'resource_missing' }), 'Failed.') instanceof NotFoundError);
+        assert.ok(toStripeError(sdkError('Invalid API Key', { type: 'StripeAuthenticationError' }), 'Failed.') instanceof UnauthorizedError);
+
+        const invalid = toStripeError(sdkError('Invalid amount', { type: 'StripeInvalidRequestError', code: 'parameter_invalid_integer' }), 'Failed.');
+        assert.equal(invalid.constructor, PaymentProviderError);
+        assert.equal(invalid.code, 'parameter_invalid_integer');
+    });
+
+    it('adds what failed to an error already classified, keeping it as cause', () => {
+        const timeout = new TimeoutError('The stripe charges.retrieve did not finish within 30000 ms.', { operation: 'charges.retrieve', timeout: 30000, backend: 'stripe' });
+        const error = toStripeError(timeout, 'Failed to retrieve raw charge for ID ch_1.');
+        assert.ok(error instanceof TimeoutError);
+        assert.equal(error.message, 'Failed to retrieve raw charge for ID ch_1.');
+        assert.equal(error.cause, timeout);
+        assert.equal(error.timeout, 30000);
+        assert.equal(error.backend, 'stripe');
+        assert.equal(error.retryable, true);
+    });
+});
+
+describe('runStripeOperation', () => {
+    afterEach(() => configureLogging());
+
+    it('logs a failure once, at the outermost operation, with each operation\'s message in the cause chain', async () => {
+        const records = [];
+        configureLogging({ logger: { error: (record, msg) => records.push({ msg, ...record }) }, level: 'error' });
+        const declined = sdkError('No such charge', { type: 'StripeInvalidRequestError', code: 'resource_missing' });
+
+        const error = await runStripeOperation('getCustomerDetailedTransaction', { customerId: 'cus_1' }, 'Failed to retrieve detailed transaction for customer ID cus_1.', () =>
+            runStripeOperation('getChargeById', { chargeId: 'ch_1' }, 'Failed to retrieve raw charge for ID ch_1.', () => Promise.reject(declined)),
+        ).catch(caught => caught);
+
+        assert.ok(error instanceof NotFoundError);
+        assert.equal(error.message, 'Failed to retrieve detailed transaction for customer ID cus_1.');
+        assert.equal(error.cause.message, 'Failed to retrieve raw charge for ID ch_1.');
+        assert.equal(error.cause.cause, declined);
+        assert.equal(records.length, 1);
+        assert.equal(records[0].operation, 'getCustomerDetailedTransaction');
+        assert.equal(records[0].customerId, 'cus_1');
+    });
+});
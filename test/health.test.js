@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDatabaseAdapter } from '../src/modules/adaptors/FnDB.js';
+import { FnMemoryCacheService } from '../src/modules/database/CACHE/FnMemoryCache.js';
+import { UnavailableError } from '../src/modules/errors.js';
+
+// A memory cache that pretends to hold a connection.
+function connectedCache({ reachable = true } = {}) {
+    const cache = new FnMemoryCacheService();
+    cache.closed = false;
+    cache.ping = async () => {
+        if (!reachable) throw new UnavailableError('connect ECONNREFUSED', { backend: 'redis' });
+    };
+    cache.close = async () => {
+        cache.closed = true;
+    };
+    return cache;
+}
+
+describe('FnDatabaseAdapter health and shutdown', () => {
+    it('reports each dependency, and is degraded but serving when only the cache is down', async () => {
+        const healthy = await createDatabaseAdapter({ type: 'memory', cache: connectedCache() }).healthCheck();
+        assert.equal(healthy.status, 'up');
+        assert.equal(healthy.dependencies.database.name, 'memory');
+        assert.equal(healthy.dependencies.database.circuit, 'closed');
+        assert.equal(typeof healthy.dependencies.cache.latencyMs, 'number');
+
+        const adapter = createDatabaseAdapter({ type: 'memory', cache: connectedCache({ reachable: false }) });
+        const degraded = await adapter.healthCheck();
+        assert.equal(degraded.status, 'degraded');
+        assert.equal(degraded.dependencies.cache.status, 'down');
+        assert.match(degraded.dependencies.cache.error, /ECONNREFUSED/);
+        await adapter.set('users', 'u1', { name: 'Ada' });
+        assert.equal((await adapter.get('users', 'u1')).name, 'Ada');
+    });
+
+    it('waits for in-flight operations, stops watches and closes its clients', async () => {
+        const cache = connectedCache();
+        const adapter = createDatabaseAdapter({ type: 'memory', cache });
+        adapter.use('slow', { beforeSet: () => new Promise(resolve => setTimeout(resolve, 30)) });
+        const stop = await adapter.watch('users', {}, () => {}, { pollInterval: 10 });
+
+        const write = adapter.set('slow', 's1', { value: 1 });
+        await adapter.close();
+        assert.equal((await write).value, 1);
+        assert.equal(cache.closed, true);
+        await stop(); // Already stopped by close(); stopping again is harmless.
+
+        await assert.rejects(adapter.get('slow', 's1'), UnavailableError);
+        assert.equal((await adapter.healthCheck()).status, 'down');
+    });
+});
@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatKey, keyFromItem, normalizeKeySchema } from '../src/modules/database/keySchema.js';
+
+describe('key schemas', () => {
+    const orders = { partitionKey: 'customerId', sortKey: 'orderId' };
+
+    it('formats partition and sort keys deterministically, whatever the attribute order', () => {
+        const a = formatKey('orders', orders, { customerId: 'c1', orderId: 'o1' });
+        const b = formatKey('orders', orders, { orderId: 'o1', customerId: 'c1' });
+        assert.equal(a, '["c1","o1"]');
+        assert.equal(a, b);
+        assert.notEqual(a, formatKey('orders', orders, { customerId: 'c1', orderId: 'o2' }));
+    });
+
+    it('takes the key of an item from its schema, not from its first field', () => {
+        const item = { total: 12, orderId: 'o1', customerId: 'c1' };
+        assert.deepEqual(keyFromItem('orders', orders, item), { customerId: 'c1', orderId: 'o1' });
+        assert.throws(() => keyFromItem('orders', orders, { customerId: 'c1' }), /keyed by \{ customerId, orderId \}/);
+    });
+
+    it('rejects keys that do not match the schema', () => {
+        assert.throws(() => formatKey('orders', orders, 'c1'), /keyed by/);
+        assert.throws(() => formatKey('orders', orders, { customerId: 'c1', orderId: 'o1', extra: 1 }), /keyed by/);
+        assert.throws(() => formatKey('users', { idField: 'id' }, { id: 'u1' }), /keyed by document ID/);
+        assert.equal(formatKey('users', { idField: 'id' }, 'u1'), 'u1');
+    });
+
+    it('rejects malformed schemas', () => {
+        assert.throws(() => normalizeKeySchema('orders', { sortKey: 'orderId' }), /needs either a partitionKey/);
+        assert.throws(() => normalizeKeySchema('orders', { partitionKey: 'a', idField: 'id' }), /needs either a partitionKey/);
+    });
+});
@@ -0,0 +1,70 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { configureLogging, createLogger, REDACTED } from '../src/modules/logger.js';
+import { createDatabaseAdapter } from '../src/modules/adaptors/FnDB.js';
+import { ValidationError } from '../src/modules/errors.js';
+
+// Records calls the way pino takes them: fields first, then the message.
+function fakePino() {
+    const records = [];
+    const logger = {};
+    for (const level of ['error', 'warn', 'info', 'debug']) {
+        logger[level] = (record, msg) => records.push({ level, msg, ...record });
+    }
+    return { logger, records };
+}
+
+describe('logger', () => {
+    afterEach(() => configureLogging());
+
+    it('writes nothing unless a logger or level is configured', t => {
+        const log = t.mock.method(console, 'log');
+        const error = t.mock.method(console, 'error');
+        createLogger('test').error('Something failed', { operation: 'get' });
+        assert.equal(log.mock.callCount() + error.mock.callCount(), 0);
+    });
+
+    it('passes structured records to an injected logger, above its level', () => {
+        const { logger, records } = fakePino();
+        configureLogging({ logger, level: 'warn' });
+        const log = createLogger('test');
+        log.info('Not written');
+        log.warn('Slow query', { operation: 'fetch', collection: 'orders', durationMs: 812 });
+        assert.deepEqual(records, [{ level: 'warn', msg: 'Slow query', module: 'test', operation: 'fetch', collection: 'orders', durationMs: 812 }]);
+    });
+
+    it('redacts PII and payment fields at any depth, and keeps only the safe parts of errors', () => {
+        const { logger, records } = fakePino();
+        configureLogging({ logger, level: 'debug' });
+        const cause = Object.assign(new Error('declined'), { raw: { billing_details: { email: 'ada@example.com' } } });
+        createLogger('test').error('Charge failed', {
+            customer: { Email: 'ada@example.com', card: { last4: '4242' }, tags: [{ phone: '555' }] },
+            error: new ValidationError('bad charge', { cause }),
+        });
+        const [record] = records;
+        assert.deepEqual(record.customer, { Email: REDACTED, card: REDACTED, tags: [{ phone: REDACTED }] });
+        assert.equal(record.error.name, 'ValidationError');
+        assert.equal(record.error.cause.message, 'declined');
+        assert.equal(record.error.cause.raw, undefined);
+    });
+
+    it('logs each adapter operation with its collection and duration', async () => {
+        const { logger, records } = fakePino();
+        configureLogging({ logger, level: 'debug' });
+        const adapter = createDatabaseAdapter({ type: 'memory', cache: 'memory' });
+        await adapter.set('users', 'u1', { name: 'Ada', email: 'ada@example.com' });
+        await assert.rejects(adapter.fetch('users', { limit: 0 }), ValidationError);
+
+        const completed = records.find(record => record.msg === 'Database operation completed');
+        assert.equal(completed.level, 'debug');
+        assert.equal(completed.operation, 'set');
+        assert.equal(completed.collection, 'users');
+        assert.equal(completed.database, 'memory');
+        assert.equal(typeof completed.durationMs, 'number');
+
+        const failed = records.find(record => record.msg === 'Database operation failed');
+        assert.equal(failed.level, 'warn');
+        assert.equal(failed.operation, 'fetch');
+        assert.equal(failed.error.name, 'ValidationError');
+    });
+});
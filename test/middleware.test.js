@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDatabaseAdapter } from '../src/modules/adaptors/FnDB.js';
+
+describe('FnDatabaseAdapter middleware', () => {
+    it('runs the same afterGet hooks on cache hits and backend reads', async () => {
+        const adapter = createDatabaseAdapter({ type: 'memory', cache: 'memory' });
+        const reads = [];
+        adapter.use({ beforeGet: ({ operation, key, keys }) => { reads.push(`${operation}:${key ?? keys}`); } });
+        adapter.use('users', { afterGet: user => ({ ...user, ssn: '***' }) });
+
+        await adapter.set('users', 'u1', { name: 'Ada', ssn: '123-45-6789' });
+        await adapter.set('teams', 't1', { ssn: 'not masked' });
+        const fromBackend = await adapter.get('users', 'u1', { useCache: true });
+        const fromCache = await adapter.get('users', 'u1', { useCache: true });
+        const [many, missing] = await adapter.getMany('users', ['u1', 'u2'], { useCache: true });
+
+        assert.equal(fromBackend.ssn, '***');
+        assert.deepEqual(fromCache, fromBackend);
+        assert.equal(many.ssn, '***');
+        assert.equal(missing, null);
+        assert.equal((await adapter.get('teams', 't1')).ssn, 'not masked');
+        assert.deepEqual(reads, ['get:u1', 'get:u1', 'getMany:u1,u2', 'get:t1']);
+    });
+
+    it('lets before hooks change or abort writes and after hooks change results', async () => {
+        const adapter = createDatabaseAdapter({ type: 'memory', cache: 'memory' });
+        const remove = adapter.use(['orders'], {
+            beforeSet: context => {
+                if (context.operation === 'update') return undefined;
+                return { ...context, data: { ...context.data, total: context.data.qty * context.data.price } };
+            },
+            beforeDelete: ({ key }) => {
+                if (key === 'locked') throw new Error('Order is locked.');
+            },
+            afterFetch: docs => docs.map(({ id, total }) => ({ id, total })),
+        });
+
+        const order = await adapter.set('orders', 'o1', { qty: 2, price: 5 });
+        assert.equal(order.total, 10);
+        await adapter.batch([{ type: 'set', collection: 'orders', key: 'o2', data: { qty: 1, price: 3 } }]);
+        assert.deepEqual(await adapter.fetch('orders', { orderBy: ['total'] }), [{ id: 'o2', total: 3 }, { id: 'o1', total: 10 }]);
+
+        await adapter.set('orders', 'locked', { qty: 1, price: 1 });
+        await assert.rejects(adapter.delete('orders', 'locked'), /locked/);
+        assert.ok(await adapter.get('orders', 'locked'));
+
+        remove();
+        assert.equal((await adapter.set('orders', 'o3', { qty: 1, price: 1 })).total, undefined);
+        assert.throws(() => adapter.use({ afterDelete: () => {} }), /Unknown middleware hooks: afterDelete/);
+    });
+
+    it('runs the hooks around transaction reads and writes, and on watched documents', async () => {
+        const adapter = createDatabaseAdapter({ type: 'memory', cache: 'memory' });
+        adapter.use('users', {
+            beforeSet: ({ data }) => {
+                if (data?.role === 'root') throw new Error('Not allowed.');
+            },
+            afterGet: user => ({ ...user, ssn: '***' }),
+        });
+        await adapter.set('users', 'u1', { name: 'Ada', ssn: '123' });
+
+        const read = await adapter.transaction(tx => tx.get('users', 'u1'));
+        assert.equal(read.ssn, '***');
+        await assert.rejects(adapter.transaction(tx => {
+            tx.set('users', 'u1', { role: 'root' });
+        }), /Not allowed/);
+        assert.equal((await adapter.get('users', 'u1')).role, undefined);
+
+        const docs = [];
+        const unsubscribe = await adapter.watch('users', {}, event => {
+            docs.push(event.doc);
+        }, { pollInterval: 5 });
+        await adapter.set('users', 'u2', { name: 'Alan', ssn: '456' });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        await unsubscribe();
+        assert.deepEqual(docs.map(doc => doc.ssn), ['***']);
+    });
+});
@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createDatabaseAdapter } from '../src/modules/adaptors/FnDB.js';
+import { exportCollection, fileCheckpoint, importCollection, migrateCollection } from '../src/modules/adaptors/FnMigration.js';
+
+async function seed(count) {
+    const source = createDatabaseAdapter({ type: 'memory', cache: 'none' });
+    for (let i = 1; i <= count; i++) {
+        await source.set('users', `u${i}`, { name: `user ${i}`, active: i % 2 === 1 });
+    }
+    return source;
+}
+
+describe('migrateCollection', () => {
+    it('reports what a dry run would copy without writing', async () => {
+        const source = await seed(5);
+        const target = createDatabaseAdapter({ type: 'memory', cache: 'none' });
+
+        const report = await migrateCollection({
+            source, target, collection: 'users', batchSize: 2, dryRun: true,
+            transform: doc => (doc.active ? doc : null),
+        });
+
+        assert.deepEqual(report, { read: 5, written: 3, skipped: 2, batches: 0, dryRun: true });
+        assert.deepEqual(await target.fetch('users'), []);
+    });
+
+    it('resumes from its checkpoint after an interruption', async () => {
+        const source = await seed(5);
+        const target = createDatabaseAdapter({ type: 'memory', cache: 'none' });
+        const path = join(await mkdtemp(join(tmpdir(), 'fn-migration-')), 'checkpoint.json');
+        const options = {
+            source, target, collection: 'users', targetCollection: 'people', batchSize: 2,
+            checkpoint: fileCheckpoint(path),
+            mapKey: doc => doc.id.toUpperCase(),
+        };
+
+        await assert.rejects(migrateCollection({
+            ...options,
+            transform: doc => {
+                if (doc.id === 'u4') throw new Error('interrupted');
+                return doc;
+            },
+        }), /interrupted/);
+        assert.equal(JSON.parse(await readFile(path, 'utf8')).written, 2);
+
+        const report = await migrateCollection({ ...options, transform: doc => ({ ...doc, migrated: true }) });
+
+        assert.deepEqual(report, { read: 5, written: 5, skipped: 0, batches: 3, dryRun: false });
+        const people = await target.fetch('people', { orderBy: 'id' });
+        assert.deepEqual(people.map(doc => doc.id), ['U1', 'U2', 'U3', 'U4', 'U5']);
+        assert.deepEqual(people.map(doc => Boolean(doc.migrated)), [false, false, true, true, true]);
+        await assert.rejects(readFile(path), { code: 'ENOENT' });
+    });
+});
+
+describe('exportCollection and importCollection', () => {
+    it('round-trips a collection through NDJSON, keeping dates', async () => {
+        const source = await seed(3);
+        await source.set('users', 'u1', { joined: new Date('2024-01-02T03:04:05.000Z') });
+        const path = join(await mkdtemp(join(tmpdir(), 'fn-export-')), 'users.ndjson');
+
+        assert.equal(await exportCollection(source, 'users', path, { pageSize: 2 }), 3);
+        const target = createDatabaseAdapter({ type: 'memory', cache: 'none' });
+        const report = await importCollection(target, 'users', path, { batchSize: 2 });
+
+        assert.equal(report.written, 3);
+        const imported = await target.get('users', 'u1');
+        assert.equal(imported.name, 'user 1');
+        assert.ok(imported.joined instanceof Date);
+        assert.equal(imported.joined.toISOString(), '2024-01-02T03:04:05.000Z');
+    });
+});
@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MongoClient } from 'mongodb';
+import { FnMongoService } from '../src/modules/database/MONGO/FnMongo.js';
+import { UnavailableError } from '../src/modules/database/errors.js';
+
+// Stands in for a connected client whose collections open the given change stream and fail to list documents.
+function fakeDatabase(t, changeStream, listError) {
+    t.mock.method(MongoClient.prototype, 'connect', async () => {});
+    t.mock.method(MongoClient.prototype, 'db', () => ({
+        collection: () => ({
+            watch: () => changeStream,
+            find: () => ({
+                toArray: async () => {
+                    throw listError;
+                },
+            }),
+        }),
+    }));
+}
+
+describe('FnMongoService', () => {
+    it('closes the change stream and translates the error when watch cannot list the matching documents', async t => {
+        let closed = false;
+        const changeStream = {
+            on: () => {},
+            close: async () => {
+                closed = true;
+            },
+        };
+        fakeDatabase(t, changeStream, Object.assign(new Error('connection reset'), { name: 'MongoNetworkError' }));
+        const backend = new FnMongoService({ uri: 'mongodb://localhost:27017/test' });
+
+        await assert.rejects(
+            backend.watch('users', {}, () => {}, () => {}),
+            error => error instanceof UnavailableError && error.backend === 'mongodb'
+        );
+        assert.equal(closed, true);
+    });
+});
@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { FnResiliencePolicy, attemptSignal, attemptTimeLeft, createResiliencePolicy } from '../src/modules/resilience.js';
+import { CircuitOpenError, ConflictError, RateLimitedError, TimeoutError, UnavailableError } from '../src/modules/errors.js';
+import { createDatabaseAdapter } from '../src/modules/adaptors/FnDB.js';
+import { FnMemoryCacheService } from '../src/modules/database/CACHE/FnMemoryCache.js';
+
+// Fails with each given error in turn, then returns 'ok'.
+function flaky(...errors) {
+    const call = async () => {
+        call.calls += 1;
+        if (errors.length > 0) throw errors.shift();
+        return 'ok';
+    };
+    call.calls = 0;
+    return call;
+}
+
+describe('FnResiliencePolicy', () => {
+    it('retries transient failures with backoff, and only throttles and contention for writes', async () => {
+        const policy = new FnResiliencePolicy('test', { retries: 3, baseDelay: 1, maxDelay: 5 });
+
+        const read = flaky(new UnavailableError('down'), new RateLimitedError('slow down'));
+        assert.equal(await policy.run('get', read), 'ok');
+        assert.equal(read.calls, 3);
+
+        const write = flaky(new UnavailableError('dropped'));
+        await assert.rejects(policy.run('update', write, { idempotent: false }), UnavailableError);
+        assert.equal(write.calls, 1);
+
+        const contended = flaky(new ConflictError('aborted', { retryable: true }), new RateLimitedError('slow down'));
+        assert.equal(await policy.run('update', contended, { idempotent: false }), 'ok');
+
+        const failedCondition = flaky(new ConflictError('version changed'));
+        await assert.rejects(policy.run('set', failedCondition), ConflictError);
+        assert.equal(failedCondition.calls, 1);
+
+        const tooLong = flaky(new RateLimitedError('slow down', { retryAfter: 60 }));
+        await assert.rejects(policy.run('get', tooLong), RateLimitedError);
+        assert.equal(tooLong.calls, 1);
+    });
+
+    it('times out each attempt', async () => {
+        const policy = createResiliencePolicy('database', { timeout: { default: 1000, fetch: 10 }, retries: 0 }, 'memory');
+        const error = await policy.run('fetch', () => new Promise(resolve => setTimeout(resolve, 200))).catch(caught => caught);
+        assert.ok(error instanceof TimeoutError && error instanceof UnavailableError);
+        assert.equal(error.timeout, 10);
+        assert.equal(error.backend, 'memory');
+    });
+
+    it('aborts a timed-out attempt and only retries it with retryTimeouts', async () => {
+        const hanging = signal => {
+            hanging.calls = (hanging.calls ?? 0) + 1;
+            hanging.signals = [...(hanging.signals ?? []), signal];
+            return new Promise(() => {});
+        };
+        const policy = new FnResiliencePolicy('test', { timeout: 10, retries: 2, baseDelay: 1 });
+        await assert.rejects(policy.run('get', hanging), TimeoutError);
+        assert.equal(hanging.calls, 1);
+        assert.equal(hanging.signals[0].aborted, true);
+        assert.ok(hanging.signals[0].reason instanceof TimeoutError);
+
+        const retrying = new FnResiliencePolicy('test', { timeout: 10, retries: 2, baseDelay: 1, retryTimeouts: true });
+        await assert.rejects(retrying.run('get', hanging), TimeoutError);
+        assert.equal(hanging.calls, 4);
+    });
+
+    it('tells the calls it makes their signal and time left', async () => {
+        const policy = new FnResiliencePolicy('test', { timeout: 1000 });
+        const seen = await policy.run('get', async signal => ({ same: attemptSignal() === signal, left: attemptTimeLeft() }));
+        assert.equal(seen.same, true);
+        assert.ok(seen.left > 0 && seen.left <= 1000);
+        assert.equal(attemptSignal(), undefined);
+    });
+
+    it('opens its circuit after repeated outages and closes it after a successful trial', async () => {
+        const policy = new FnResiliencePolicy('test', { breaker: { failureThreshold: 2, resetTimeout: 20 } });
+        const down = () => Promise.reject(new UnavailableError('down'));
+        await assert.rejects(policy.run('get', down), UnavailableError);
+        await assert.rejects(policy.run('get', down), UnavailableError);
+        assert.equal(policy.breaker.state, 'open');
+
+        const skipped = flaky();
+        await assert.rejects(policy.run('get', skipped), CircuitOpenError);
+        assert.equal(skipped.calls, 0);
+
+        await new Promise(resolve => setTimeout(resolve, 25));
+        assert.equal(policy.breaker.state, 'half-open');
+        assert.equal(await policy.run('get', flaky()), 'ok');
+        assert.equal(policy.breaker.state, 'closed');
+    });
+});
+
+describe('FnDatabaseAdapter resilience', () => {
+    it('bypasses a broken cache instead of failing reads and writes', async () => {
+        const broken = new FnMemoryCacheService();
+        const fail = () => Promise.reject(new UnavailableError('Connection is closed.', { backend: 'redis' }));
+        Object.assign(broken, { get: fail, getMany: fail, set: fail, delete: fail, tag: fail, invalidateTag: fail });
+        const adapter = createDatabaseAdapter({ type: 'memory', cache: broken, resilience: { cache: { breaker: { failureThreshold: 2 } } } });
+
+        await adapter.set('users', 'u1', { name: 'Ada' });
+        assert.equal((await adapter.get('users', 'u1', { useCache: true })).name, 'Ada');
+        assert.deepEqual((await adapter.getMany('users', ['u1', 'u2'], { useCache: true })).map(user => user?.name ?? null), ['Ada', null]);
+        assert.equal((await adapter.fetch('users', {}, { useCache: true })).length, 1);
+        assert.equal(await adapter.delete('users', 'u1'), true);
+    });
+});
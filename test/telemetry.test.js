@@ -0,0 +1,82 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { configureTelemetry } from '../src/modules/telemetry.js';
+import { createDatabaseAdapter } from '../src/modules/adaptors/FnDB.js';
+import { ValidationError } from '../src/modules/errors.js';
+
+// In-memory stand-ins for an SDK TracerProvider with an InMemorySpanExporter, and a MeterProvider with an in-memory reader.
+function inMemoryProviders() {
+    const spans = [];
+    const points = [];
+    const tracerProvider = {
+        getTracer: () => ({
+            startActiveSpan(name, { kind, attributes }, fn) {
+                const span = {
+                    name, kind, attributes: { ...attributes }, ended: false,
+                    setAttribute(key, value) { this.attributes[key] = value; },
+                    recordException(error) { this.exception = error; },
+                    setStatus(status) { this.status = status; },
+                    end() { this.ended = true; },
+                };
+                spans.push(span);
+                return fn(span);
+            },
+        }),
+    };
+    const instrument = name => ({
+        add: (value, attributes) => points.push({ name, value, attributes }),
+        record: (value, attributes) => points.push({ name, value, attributes }),
+    });
+    const meterProvider = { getMeter: () => ({ createCounter: instrument, createHistogram: instrument }) };
+    return { tracerProvider, meterProvider, spans, points };
+}
+
+describe('telemetry', () => {
+    afterEach(() => configureTelemetry());
+
+    it('traces adapter operations and backend calls with database attributes', async () => {
+        const { tracerProvider, meterProvider, spans, points } = inMemoryProviders();
+        configureTelemetry({ tracerProvider, meterProvider });
+        const adapter = createDatabaseAdapter({ type: 'memory', cache: 'memory' });
+
+        await adapter.set('users', 'u1', { name: 'Ada' });
+        assert.deepEqual(spans.map(span => span.name), ['adapter.set users', 'set users']);
+        assert.ok(spans.every(span => span.ended));
+        assert.deepEqual(spans[1].attributes, { 'db.system': 'memory', 'db.operation': 'set', 'db.collection': 'users' });
+        assert.equal(spans[1].kind, 2);
+
+        const durations = points.filter(point => point.name === 'db.client.operation.duration');
+        assert.equal(durations.length, 1);
+        assert.equal(typeof durations[0].value, 'number');
+        assert.deepEqual(points.find(point => point.name === 'fnlib.db.operations').attributes, spans[0].attributes);
+    });
+
+    it('counts cache hits and misses, and failed operations', async () => {
+        const { tracerProvider, meterProvider, spans, points } = inMemoryProviders();
+        configureTelemetry({ tracerProvider, meterProvider });
+        const adapter = createDatabaseAdapter({ type: 'memory', cache: 'memory' });
+
+        await adapter.set('users', 'u1', { name: 'Ada' });
+        await adapter.get('users', 'u1', { useCache: true }); // Cached by set().
+        await adapter.get('users', 'u9', { useCache: true });
+        await adapter.get('users', 'u9', { useCache: true }); // A remembered miss.
+        await adapter.getMany('users', ['u1', 'u2'], { useCache: true });
+        const lookups = points.filter(point => point.name === 'fnlib.cache.lookups')
+            .map(({ value, attributes }) => `${attributes['cache.result']}:${value}`);
+        assert.deepEqual(lookups, ['hit:1', 'miss:1', 'hit:1', 'hit:1', 'miss:1']);
+
+        await assert.rejects(adapter.fetch('users', { limit: -1 }), ValidationError);
+        const failed = spans.find(span => span.name === 'adapter.fetch users');
+        assert.equal(failed.status.code, 2);
+        assert.equal(failed.attributes['error.type'], 'ValidationError');
+        const errors = points.filter(point => point.name === 'fnlib.db.errors');
+        assert.equal(errors.length, 1);
+        assert.equal(errors[0].attributes['error.type'], 'ValidationError');
+    });
+
+    it('records nothing without a provider', async () => {
+        const adapter = createDatabaseAdapter({ type: 'memory', cache: 'memory' });
+        await adapter.set('users', 'u1', { name: 'Ada' });
+        assert.equal((await adapter.get('users', 'u1')).name, 'Ada');
+    });
+});
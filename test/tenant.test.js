@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { FnMemoryCacheService } from '../src/modules/database/CACHE/FnMemoryCache.js';
+import { createDatabaseAdapter } from '../src/modules/adaptors/FnDB.js';
+
+describe('forTenant', () => {
+    it('prefixes collections and cache keys with the tenant', async () => {
+        const cache = new FnMemoryCacheService();
+        const adapter = createDatabaseAdapter({ type: 'memory', cache, cachePolicies: { users: { ttl: 30 } } });
+        const acme = adapter.forTenant('acme');
+        const globex = adapter.forTenant('globex');
+
+        await acme.set('users', 'u1', { name: 'Ada' });
+        await globex.set('users', 'u1', { name: 'Grace' });
+
+        assert.equal((await acme.get('users', 'u1', { useCache: true })).name, 'Ada');
+        assert.equal((await globex.get('users', 'u1', { useCache: true })).name, 'Grace');
+        assert.equal((await cache.get('acme.users:u1')).name, 'Ada');
+        assert.equal((await adapter.get('globex.users', 'u1')).name, 'Grace');
+        assert.equal(await adapter.get('users', 'u1'), null);
+    });
+
+    it('partitions shared collections by key prefix and a tenant field', async () => {
+        const cache = new FnMemoryCacheService();
+        const adapter = createDatabaseAdapter({ type: 'memory', cache, tenancy: { scheme: 'partition' } });
+        const acme = adapter.forTenant('acme');
+        const globex = adapter.forTenant('globex');
+
+        const stored = await acme.set('users', 'u1', { name: 'Ada', plan: 'pro' });
+        await globex.set('users', 'u1', { name: 'Grace', plan: 'pro' });
+
+        assert.deepEqual({ id: stored.id, name: stored.name, tenant: stored._tenant }, { id: 'u1', name: 'Ada', tenant: undefined });
+        assert.equal((await adapter.get('users', 'acme#u1'))._tenant, 'acme');
+        assert.deepEqual((await acme.fetch('users', { where: [{ field: 'plan', op: '==', value: 'pro' }] })).map(doc => doc.name), ['Ada']);
+        assert.deepEqual((await globex.fetch('users', { where: [{ field: 'id', op: 'in', value: ['u1'] }], select: ['name'] })), [{ id: 'u1', name: 'Grace' }]);
+        assert.equal((await globex.update('users', 'u2', [{ op: 'increment', field: 'logins', value: 1 }])).id, 'u2');
+        assert.equal(await globex.deleteMany('users'), 2);
+        assert.equal((await acme.get('users', 'u1', { useCache: true })).name, 'Ada');
+        assert.ok(await cache.get('users:acme#u1'));
+    });
+
+    it('rejects access that could reach another tenant', async () => {
+        const adapter = createDatabaseAdapter({ type: 'memory', cache: 'memory', tenancy: { scheme: 'partition' } });
+        const acme = adapter.forTenant('acme');
+
+        assert.throws(() => adapter.forTenant('acme#2'), /Invalid tenant ID/);
+        await assert.rejects(acme.get('users*', 'u1'), /patterns and paths are not allowed/);
+        await assert.rejects(acme.fetch('users', { TableName: 'users' }), /Cross-tenant access rejected/);
+        await assert.rejects(acme.set('users', 'u1', { _tenant: 'globex' }), /Cross-tenant access rejected/);
+        await assert.rejects(acme.fetch('users', [{ field: '_tenant', op: '==', value: 'globex' }]), /Cross-tenant access rejected/);
+        await assert.rejects(acme.update('users', 'u1', [{ op: 'set', field: '_tenant', value: 'globex' }]), /Cross-tenant access rejected/);
+    });
+
+    it('only allows the subcollection scheme on Firestore', () => {
+        assert.throws(() => createDatabaseAdapter({ type: 'memory', tenancy: { scheme: 'subcollection' } }), /needs Firestore/);
+    });
+});
@@ -0,0 +1,16 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChangeTracker } from '../src/modules/database/watch.js';
+
+describe('ChangeTracker', () => {
+    it('turns writes and deletes into events relative to the query', () => {
+        const tracker = new ChangeTracker({ where: [{ field: 'plan', op: '==', value: 'pro' }], select: ['plan'] }, ['u1']);
+
+        assert.deepEqual(tracker.written('u1', { id: 'u1', plan: 'pro', name: 'Ada' }), { type: 'modified', id: 'u1', doc: { id: 'u1', plan: 'pro' } });
+        assert.equal(tracker.written('u2', { id: 'u2', plan: 'free' }), null);
+        assert.equal(tracker.written('u2', { id: 'u2', plan: 'pro' }).type, 'added');
+        assert.deepEqual(tracker.written('u1', { id: 'u1', plan: 'free' }), { type: 'removed', id: 'u1', doc: null });
+        assert.deepEqual(tracker.removed('u2'), { type: 'removed', id: 'u2', doc: null });
+        assert.equal(tracker.removed('u3'), null);
+    });
+});